@@ -1,5 +1,5 @@
 import React, { useEffect, useRef, useState } from "react";
-import { MapContainer, TileLayer, Polyline, Popup, useMap, Polygon, Circle, CircleMarker } from "react-leaflet";
+import { MapContainer, TileLayer, Polyline, Popup, useMap, Polygon, Circle, CircleMarker, Marker } from "react-leaflet";
 import { SnapLoadingState } from "./utils/loadingState";
 import L from "leaflet";
 import "leaflet/dist/leaflet.css";
@@ -7,101 +7,47 @@ import "@geoman-io/leaflet-geoman-free";
 import "@geoman-io/leaflet-geoman-free/dist/leaflet-geoman.css";
 import { getPathLength } from "geolib";
 import { exportPdf, exportDocx } from "./exports/docs";
+import { buildSurveyGeoJSON, parseSurveyJSON } from "./exports/geojson";
+import { buildSegmentsCsv, buildSegmentsXlsx } from "./exports/tabular";
+import { buildKml, buildKmz, parseKml, parseKmz } from "./exports/kml";
+import { buildSurveyPackage, readSurveyPackage } from "./exports/package";
+import { EMPTY_INFO, normalizeInfo, surveyFileBase } from "./utils/surveyInfo";
+import {
+  normalizePasses, makePass, passLabel, segmentCount, withCount, withoutPass, passOccupancy, segmentOccupancy, formatOccupancy,
+  OCCUPANCY_SCALE, NOT_COUNTED_COLOR, occupancyStyle, localDateTime,
+} from "./utils/occupancy";
+import {
+  REGULATION_TYPES, makeRegulation, normalizeRegulations, migrateRegulations, summarizeRegulations, regulationText, legacyRulesText,
+  PARKING_STATUSES, parkingStatusStyle, visitorCapacityAt,
+} from "./utils/regulations";
+import { downloadBlob } from "./utils/download";
+import { roadCacheStatus } from "./utils/roadCache";
+import { findClosestRoad, matchSegmentToRoad } from "./utils/roadMatch";
+import { SIDES, ORIENTATIONS, DEFAULT_ORIENTATION, normalizeOrientation } from "./utils/orientation";
+import {
+  VEHICLE_TYPES, DEDUCTION_TYPES, DEFAULT_CAPACITY_MODEL, STALL_LENGTH_RANGE, DEDUCTION_RANGE,
+  normalizeCapacityModel, stallLength, deductedLength, estimateSpaces, recomputeSpaces,
+} from "./utils/capacityModel";
+import { POINT_TYPES, POINT_ICONS, makePoint, normalizePoints, pointCountsFor } from "./utils/curbPoints";
+import { splitSegment, mergeSegments } from "./utils/segmentTools";
+import { BULK_FIELDS, sharedValue, segmentIdsInLasso, applyBulkEdit } from "./utils/selection";
+import { makeZone, normalizeZones, sumByZone } from "./utils/zones";
+import { DEFAULT_CURB_OFFSET, CURB_OFFSET_RANGE, CURB_ADJUST_RANGE, normalizeCurbOffset, curbOffsetFor } from "./utils/curbOffset";
+import { loadRoadNetwork, parseRoadFile, DEFAULT_ROAD_SETTINGS, PROXY_ENDPOINT } from "./utils/osmRoads";
 import { translations } from "./i18n";
 import * as turf from "@turf/turf";
 import "leaflet-geometryutil"; // adds L.GeometryUtil.* helpers
-import { safeReInitLayer, createGuidesFromFeatureCollection, safeDisablePm, safeSetPmOptions } from "./utils/geomanHelpers";
+import { safeReInitLayer, createGuidesFromFeatureCollection, safeDisablePm, safeEnablePm, safeSetPmOptions } from "./utils/geomanHelpers";
 import useGeomanLayer from "./hooks/useGeomanLayer";
 import useGuideManager from "./hooks/useGuideManager";
 import useGlobalEditGuard from "./hooks/useGlobalEditGuard";
-
-// Shared Overpass helper (fetch OSM roads for bbox)
-async function fetchOSMRoadsForBBox(bboxArr, onProgress) {
-  const [w, s, e, n] = bboxArr;
-  const query = `
-    [out:json][timeout:25];
-    (way["highway"]["highway"!~"footway|path|cycleway|steps|bridleway"](${s},${w},${n},${e}););
-    out geom;
-  `;
-  const endpoints = [
-    "https://overpass-api.de/api/interpreter",
-    "https://overpass.kumi.systems/api/interpreter",
-    "https://overpass.openstreetmap.ru/api/interpreter"
-  ];
-  
-  let data = null, lastErr = null;
-  const maxRetries = 2; // Try each endpoint up to 2 times on timeout
-  
-  for (let endpointIdx = 0; endpointIdx < endpoints.length; endpointIdx++) {
-    const url = endpoints[endpointIdx];
-    
-    for (let retry = 0; retry < maxRetries; retry++) {
-      try {
-        if (onProgress) {
-          const attemptInfo = retry > 0 ? ` (retry ${retry}/${maxRetries - 1})` : '';
-          onProgress(`Fetching from server ${endpointIdx + 1}/${endpoints.length}${attemptInfo}...`);
-        }
-        
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), 30000); // 30s timeout
-        
-        const res = await fetch(url, {
-          method: "POST",
-          headers: { "Content-Type": "application/x-www-form-urlencoded;charset=UTF-8" },
-          body: `data=${encodeURIComponent(query)}`,
-          signal: controller.signal
-        });
-        
-        clearTimeout(timeoutId);
-        
-        if (res.status === 504 || res.status === 502 || res.status === 503) {
-          lastErr = new Error(`Server temporarily unavailable (${res.status})`);
-          if (retry < maxRetries - 1) {
-            if (onProgress) {
-              onProgress(`Server busy, retrying in 2 seconds...`);
-            }
-            await new Promise(resolve => setTimeout(resolve, 2000));
-            continue; // Retry this endpoint
-          }
-          continue; // Move to next endpoint
-        }
-        
-        if (!res.ok) { 
-          lastErr = new Error(`HTTP ${res.status}`); 
-          continue; // Try next endpoint
-        }
-        
-        data = await res.json(); 
-        break; // Success!
-      } catch (err) { 
-        lastErr = err;
-        if (err.name === 'AbortError') {
-          lastErr = new Error('Request timed out after 30 seconds');
-          if (onProgress && retry < maxRetries - 1) {
-            onProgress(`Request timed out, retrying...`);
-          }
-          if (retry < maxRetries - 1) {
-            await new Promise(resolve => setTimeout(resolve, 1000));
-            continue; // Retry
-          }
-        }
-      }
-    }
-    
-    if (data) break; // Success, no need to try other endpoints
-  }
-  
-  if (!data) {
-    const errorMsg = lastErr?.message || "Overpass request failed";
-    throw new Error(`Unable to load street data: ${errorMsg}. Please try again or check your internet connection.`);
-  }
-
-  const features = (data.elements || [])
-    .filter(el => el.type === "way" && Array.isArray(el.geometry))
-    .map(el => turf.lineString(el.geometry.map(g => [g.lon, g.lat]), { id: el.id }));
-  return turf.featureCollection(features);
-}
-
+import useProjects from "./hooks/useProjects";
+import useHistory from "./hooks/useHistory";
+import useStorageUsage from "./hooks/useStorageUsage";
+import useRoadSource from "./hooks/useRoadSource";
+import usePhotoUrl from "./hooks/usePhotoUrl";
+import { saveSurvey, putPhoto, getPhoto, ingestImages, hydrateImages, isQuotaError, requestPersistentStorage } from "./utils/surveyStore";
+import { DEFAULT_CATEGORIES, LINE_STYLES, normalizeCategories, getCategory, categoryLabel, categoryStyle, sumByCategory, makeCategoryId } from "./utils/categories";
 
 function PanelToggle({ open, setOpen, label }) {
   return (
@@ -135,16 +81,41 @@ function PanelToggle({ open, setOpen, label }) {
 
 const INITIAL_CENTER = [50.9279, 11.5865];
 const INITIAL_ZOOM = 16;
+const BOUNDARY_STYLE = { color: "#111827", weight: 2, dashArray: "6 6", fillOpacity: 0.08 };
 
-// Category styles
-const CATEGORY_STYLES = {
-  free: { color: "#22c55e", weight: 8 },
-  residents: { color: "#ef4444", weight: 8 },
-  limited: { color: "#f59e0b", weight: 8 },
-};
+// Legend swatch: a short line drawn in the category color and line style
+function CategorySwatch({ category }) {
+  const dash = LINE_STYLES[category?.lineStyle];
+  return (
+    <svg width={24} height={6} style={{ marginRight: 8, verticalAlign: "middle", flex: "none" }}>
+      <line
+        x1={1} y1={3} x2={23} y2={3}
+        stroke={category?.color}
+        strokeWidth={4}
+        strokeLinecap="round"
+        strokeDasharray={dash ? dash.split(" ").map((n) => Number(n) / 2).join(" ") : undefined}
+      />
+    </svg>
+  );
+}
+
+// Map icon of a curb point (emoji; Leaflet's default marker images are not bundled)
+const pointIcons = {};
+function pointIcon(pointType) {
+  return (pointIcons[pointType] ??= L.divIcon({
+    className: "ps-point-icon",
+    html: `<span style="font-size:22px;line-height:28px;filter:drop-shadow(0 1px 1px rgba(0,0,0,.5))">${POINT_ICONS[pointType] ?? POINT_ICONS.sign}</span>`,
+    iconSize: [28, 28],
+    iconAnchor: [14, 14],
+  }));
+}
 
-function LegendControl({ t }) {
+function LegendControl({ t, lang, categories, mapMode, setMapMode, passes, activePass, setActivePassId, simTime, setSimTime }) {
   const [open, setOpen] = React.useState(false);
+  const to = t.occupancy;
+  const showOccupancy = mapMode === "occupancy" && !!activePass;
+  const modes = passes.length > 0 ? ["category", "time", "occupancy"] : ["category", "time"];
+  const passIndex = activePass ? passes.findIndex((p) => p.id === activePass.id) : -1;
 
   // shared styles
   const padLeft = 12;  // use a little extra space for thumb
@@ -170,9 +141,68 @@ function LegendControl({ t }) {
           }}
         >
           <div style={{ fontWeight: 700, marginBottom: 6 }}>{t.legend}</div>
-          <div><span style={{display:"inline-block",width:24,height:4,background:"#22c55e",borderRadius:2,marginRight:8}}/> {t.category.free}</div>
-          <div><span style={{display:"inline-block",width:24,height:4,background:"#ef4444",borderRadius:2,marginRight:8}}/> {t.category.residents}</div>
-          <div><span style={{display:"inline-block",width:24,height:4,background:"#f59e0b",borderRadius:2,marginRight:8}}/> {t.category.limited}</div>
+          <div style={{ display: "flex", alignItems: "center", gap: 6, fontSize: 12, marginBottom: 8 }}>
+            {to.colorBy}
+            {modes.map((m) => (
+              <button
+                key={m}
+                onClick={() => setMapMode(m)}
+                style={{
+                  padding: "2px 8px",
+                  borderRadius: 9999,
+                  border: "1px solid #d1d5db",
+                  background: mapMode === m ? "#111827" : "#fff",
+                  color: mapMode === m ? "#fff" : "#111827",
+                  fontSize: 12,
+                }}
+              >
+                {to.modes[m]}
+              </button>
+            ))}
+          </div>
+          {mapMode === "time" ? (
+            <>
+              <label style={{ display: "block", fontSize: 12, marginBottom: 6 }}>
+                {t.parkable.at}{" "}
+                <input
+                  type="datetime-local"
+                  value={simTime}
+                  onChange={(e) => e.target.value && setSimTime(e.target.value)}
+                  style={{ fontSize: 12 }}
+                />
+              </label>
+              {PARKING_STATUSES.map((s) => (
+                <div key={s.id}>
+                  <CategorySwatch category={{ color: s.color, lineStyle: s.id === "prohibited" ? "dotted" : "solid" }} /> {t.parkable.statuses[s.id]}
+                </div>
+              ))}
+            </>
+          ) : showOccupancy ? (
+            <>
+              <div style={{ fontSize: 12, marginBottom: 6 }}>
+                {to.pass}: <b>{passLabel(activePass)}</b>
+                {passes.length > 1 && (
+                  <input
+                    type="range"
+                    min={0}
+                    max={passes.length - 1}
+                    step={1}
+                    value={passIndex}
+                    onChange={(e) => setActivePassId(passes[Number(e.target.value)]?.id ?? null)}
+                    style={{ display: "block", width: "100%", marginTop: 4 }}
+                  />
+                )}
+              </div>
+              {OCCUPANCY_SCALE.map((c) => (
+                <div key={c.id}><CategorySwatch category={{ color: c.color, lineStyle: "solid" }} /> {to.scale[c.id]}</div>
+              ))}
+              <div><CategorySwatch category={{ color: NOT_COUNTED_COLOR, lineStyle: "dotted" }} /> {to.scale.none}</div>
+            </>
+          ) : (
+            categories.map((c) => (
+              <div key={c.id}><CategorySwatch category={c} /> {categoryLabel(c, lang)}</div>
+            ))
+          )}
         </div>
       )}
 
@@ -274,38 +304,655 @@ function LabelBtn({ variant = "muted", htmlFor, full, style, children }) {
   );
 }
 
+// Survey (project) picker with create / rename / duplicate / delete
+function ProjectManager({ t, projects }) {
+  const tp = t.projects;
+  const { projects: list, activeId, switchTo, create, rename, duplicate, remove } = projects;
+  const active = list.find((p) => p.id === activeId);
+
+  const smallBtn = { ...BTN_BASE, height: 32, fontSize: 13, padding: "0 8px", borderRadius: 10 };
+
+  return (
+    <div style={{ background: "#f9fafb", borderRadius: 12, padding: 12, marginBottom: 12 }}>
+      <div style={{ fontWeight: 500, marginBottom: 6 }}>{tp.label}</div>
+      <select
+        value={activeId ?? ""}
+        onChange={(e) => switchTo(e.target.value)}
+        style={{ width: "100%", padding: "6px 8px", border: "1px solid #ddd", borderRadius: 6, marginBottom: 8 }}
+      >
+        {list.map((p) => (
+          <option key={p.id} value={p.id}>{p.name}</option>
+        ))}
+      </select>
+      <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 6 }}>
+        <Btn
+          variant="light"
+          style={smallBtn}
+          onClick={() => {
+            const name = window.prompt(tp.namePrompt, `${tp.defaultName} ${list.length + 1}`);
+            if (name != null) create(name.trim() || `${tp.defaultName} ${list.length + 1}`);
+          }}
+        >
+          {tp.create}
+        </Btn>
+        <Btn
+          variant="light"
+          style={smallBtn}
+          disabled={!active}
+          onClick={() => {
+            const name = window.prompt(tp.renamePrompt, active?.name ?? "");
+            if (name != null && name.trim()) rename(activeId, name.trim());
+          }}
+        >
+          {tp.rename}
+        </Btn>
+        <Btn
+          variant="light"
+          style={smallBtn}
+          disabled={!active}
+          onClick={() => duplicate(activeId, `${active?.name} ${tp.copySuffix}`)}
+        >
+          {tp.duplicate}
+        </Btn>
+        <Btn
+          variant="danger"
+          style={smallBtn}
+          disabled={!active}
+          onClick={() => {
+            if (window.confirm(tp.confirmDelete.replace("{name}", active?.name ?? ""))) remove(activeId);
+          }}
+        >
+          {tp.remove}
+        </Btn>
+      </div>
+    </div>
+  );
+}
+
+// −/+ stepper for a vehicle count (null = not counted)
+// A typed count is committed on blur / Enter, so typing "12" is one change.
+function CountStepper({ t, count, onChange }) {
+  const to = t.occupancy;
+  const stepBtn = { width: 34, height: 34, borderRadius: 8, border: "1px solid #d1d5db", background: "#fff", fontSize: 18, lineHeight: 1 };
+  return (
+    <div style={{ display: "inline-flex", alignItems: "center", gap: 6 }}>
+      <button style={stepBtn} disabled={!count} onClick={() => onChange(Math.max(0, (count ?? 0) - 1))} aria-label="−1">−</button>
+      <input
+        key={count ?? ""}
+        type="number"
+        min={0}
+        defaultValue={count ?? ""}
+        placeholder={to.notCounted}
+        onKeyDown={(e) => { if (e.key === "Enter") e.currentTarget.blur(); }}
+        onBlur={(e) => {
+          const n = e.target.value === "" ? null : Math.max(0, parseInt(e.target.value, 10) || 0);
+          if (n !== count) onChange(n);
+          else e.target.value = count ?? "";
+        }}
+        style={{ width: 64, padding: "6px 4px", border: "1px solid #ddd", borderRadius: 6, textAlign: "center" }}
+      />
+      <button style={stepBtn} onClick={() => onChange((count ?? 0) + 1)} aria-label="+1">+</button>
+      {count != null && (
+        <button style={{ fontSize: 12, border: "none", background: "none", color: "#6b7280" }} onClick={() => onChange(null)}>
+          {to.clearCount}
+        </button>
+      )}
+    </div>
+  );
+}
+
+// "3 days ago" style age of an ISO timestamp
+function formatAge(iso, lang) {
+  const secs = (new Date(iso).getTime() - Date.now()) / 1000;
+  const rtf = new Intl.RelativeTimeFormat(lang, { numeric: "auto" });
+  for (const [unit, size] of [["day", 86400], ["hour", 3600], ["minute", 60]]) {
+    if (Math.abs(secs) >= size) return rtf.format(Math.round(secs / size), unit);
+  }
+  return rtf.format(0, "minute");
+}
+
+// Offline road data for the study area: cache status, pre-download and refresh
+function OfflineRoadsPanel({ t, lang, boundary, roadSource, onEditRoadSettings }) {
+  const map = useMap();
+  const tr = t.roadCache;
+  const [status, setStatus] = React.useState(null);
+  const [busy, setBusy] = React.useState(false);
+  const smallBtn = { ...BTN_BASE, height: 32, fontSize: 13, padding: "0 8px", borderRadius: 10 };
+
+  const bbox = React.useMemo(() => {
+    if (!Array.isArray(boundary) || boundary.length < 3) return null;
+    const lats = boundary.map(([lat]) => lat);
+    const lngs = boundary.map(([, lng]) => lng);
+    return [Math.min(...lngs), Math.min(...lats), Math.max(...lngs), Math.max(...lats)];
+  }, [boundary]);
+
+  const updateStatus = React.useCallback(async () => {
+    setStatus(bbox ? await roadCacheStatus(bbox) : null);
+  }, [bbox]);
+
+  React.useEffect(() => { updateStatus(); }, [updateStatus]);
+
+  const download = async (refresh) => {
+    setBusy(true);
+    try {
+      await loadRoadNetwork(bbox, roadSource, { refresh });
+      map.fire("ps:roads-updated");
+    } catch (err) {
+      alert(tr.failed.replace("{msg}", err.message));
+    } finally {
+      setBusy(false);
+      updateStatus();
+    }
+  };
+
+  return (
+    <div style={{ background: "#f9fafb", borderRadius: 12, padding: 12, marginTop: 8 }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 6 }}>
+        <span style={{ fontWeight: 500 }}>{tr.title}</span>
+        <button onClick={onEditRoadSettings} style={{ fontSize: 12, border: "1px solid #e5e7eb", borderRadius: 6, background: "#fff", padding: "2px 8px" }}>
+          {t.roadSettings.open}
+        </button>
+      </div>
+      {roadSource.settings.source === "file" ? (
+        <div style={{ color: "#6b7280", fontSize: 12 }}>
+          {roadSource.file
+            ? t.roadSettings.usingFile.replace("{name}", roadSource.file.name).replace("{n}", roadSource.file.fc.features.length)
+            : t.roadSettings.noFile}
+        </div>
+      ) : !bbox ? (
+        <div style={{ color: "#6b7280", fontSize: 12 }}>{tr.needBoundary}</div>
+      ) : (
+        <>
+          <div style={{ color: "#6b7280", fontSize: 12, marginBottom: 8 }}>
+            {busy
+              ? tr.working
+              : !status?.cached
+                ? tr.none
+                : `${tr.status.replace("{cached}", status.cached).replace("{total}", status.total)}, ${tr.updated.replace("{age}", formatAge(status.oldest, lang))}`}
+          </div>
+          <div style={{ display: "grid", gridTemplateColumns: "2fr 1fr", gap: 6 }}>
+            <Btn variant="light" style={smallBtn} disabled={busy || (status && status.cached === status.total)} onClick={() => download(false)}>
+              {tr.prepare}
+            </Btn>
+            <Btn variant="light" style={smallBtn} disabled={busy || !status?.cached} onClick={() => download(true)}>
+              {tr.refresh}
+            </Btn>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+// Per-survey curb offset for snap guides, with a live guide preview
+function CurbOffsetPanel({ t, curbOffset, setCurbOffset, previewGuides, setPreviewGuides, boundary }) {
+  const tc = t.curbOffset;
+  const fixed = curbOffset.mode === "fixed";
+  const range = fixed ? CURB_OFFSET_RANGE : CURB_ADJUST_RANGE;
+  const value = fixed ? curbOffset.meters : curbOffset.adjust;
+  const hasBoundary = Array.isArray(boundary) && boundary.length >= 3;
+
+  return (
+    <div style={{ background: "#f9fafb", borderRadius: 12, padding: 12, marginTop: 8 }}>
+      <div style={{ fontWeight: 500, marginBottom: 2 }}>{tc.title}</div>
+      <div style={{ color: "#6b7280", fontSize: 12, marginBottom: 6 }}>{tc.hint}</div>
+      <select
+        value={curbOffset.mode}
+        onChange={(e) => setCurbOffset((c) => ({ ...c, mode: e.target.value }))}
+        style={{ width: "100%", padding: "6px 8px", border: "1px solid #ddd", borderRadius: 6, marginBottom: 6 }}
+      >
+        {["auto", "fixed"].map((m) => (
+          <option key={m} value={m}>{tc.modes[m]}</option>
+        ))}
+      </select>
+      <label style={{ display: "flex", alignItems: "center", gap: 8, fontSize: 12 }}>
+        {fixed ? tc.meters : tc.adjust}
+        <input
+          type="range"
+          min={range.min}
+          max={range.max}
+          step={0.5}
+          value={value}
+          onChange={(e) => {
+            const n = Number(e.target.value);
+            setCurbOffset((c) => (fixed ? { ...c, meters: n } : { ...c, adjust: n }));
+          }}
+          style={{ flex: 1 }}
+        />
+        <span style={{ minWidth: 44, textAlign: "right" }}>{!fixed && value > 0 ? "+" : ""}{value} m</span>
+      </label>
+      {hasBoundary && (
+        <label style={{ display: "flex", alignItems: "center", gap: 6, fontSize: 12, marginTop: 4 }}>
+          <input type="checkbox" checked={previewGuides} onChange={(e) => setPreviewGuides(e.target.checked)} />
+          {tc.preview}
+        </label>
+      )}
+    </div>
+  );
+}
+
+// Count passes and occupancy of the active pass (side panel)
+function OccupancyPanel({
+  t, lang, features, categories, passes, activePass, setActivePassId, onAddPass, onUpdatePass, onRemovePass, mapMode, setMapMode,
+}) {
+  const to = t.occupancy;
+  const result = React.useMemo(
+    () => (activePass ? passOccupancy(features, categories, activePass.id) : null),
+    [features, categories, activePass]
+  );
+  const counted = activePass ? features.filter((f) => segmentCount(f, activePass.id) != null).length : 0;
+  const smallBtn = { ...BTN_BASE, height: 32, fontSize: 13, padding: "0 8px", borderRadius: 10 };
+  const row = { display: "flex", justifyContent: "space-between", gap: 8 };
+
+  const addPass = () => {
+    const label = window.prompt(to.passPrompt, "");
+    if (label != null) onAddPass(label.trim());
+  };
+
+  return (
+    <div style={{ background: "#f9fafb", borderRadius: 12, padding: 12, marginTop: 8 }}>
+      <div style={{ fontWeight: 500, marginBottom: 6 }}>{to.title}</div>
+      {!activePass ? (
+        <>
+          <div style={{ color: "#6b7280", fontSize: 12, marginBottom: 8 }}>{to.noPasses}</div>
+          <Btn variant="light" style={smallBtn} onClick={addPass}>{to.addPass}</Btn>
+        </>
+      ) : (
+        <>
+          <select
+            value={activePass.id}
+            onChange={(e) => setActivePassId(e.target.value)}
+            style={{ width: "100%", padding: "6px 8px", border: "1px solid #ddd", borderRadius: 6, marginBottom: 6 }}
+          >
+            {passes.map((p) => (
+              <option key={p.id} value={p.id}>{passLabel(p)}</option>
+            ))}
+          </select>
+          <label style={{ display: "flex", alignItems: "center", gap: 6, fontSize: 12, marginBottom: 6 }}>
+            {to.time}
+            <input
+              type="datetime-local"
+              value={activePass.time}
+              onChange={(e) => onUpdatePass(activePass.id, { time: e.target.value })}
+              style={{ flex: 1, padding: "4px 6px", border: "1px solid #ddd", borderRadius: 6 }}
+            />
+          </label>
+          <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr 1fr", gap: 6, marginBottom: 8 }}>
+            <Btn variant="light" style={smallBtn} onClick={addPass}>{to.addPass}</Btn>
+            <Btn
+              variant="light"
+              style={smallBtn}
+              onClick={() => {
+                const label = window.prompt(to.passPrompt, activePass.label);
+                if (label != null) onUpdatePass(activePass.id, { label: label.trim() });
+              }}
+            >
+              {to.renamePass}
+            </Btn>
+            <Btn
+              variant="danger"
+              style={smallBtn}
+              onClick={() => {
+                if (window.confirm(to.confirmRemovePass.replace("{name}", passLabel(activePass)))) onRemovePass(activePass.id);
+              }}
+            >
+              {to.removePass}
+            </Btn>
+          </div>
+          <label style={{ display: "flex", alignItems: "center", gap: 6, fontSize: 13, marginBottom: 6 }}>
+            <input
+              type="checkbox"
+              checked={mapMode === "occupancy"}
+              onChange={(e) => setMapMode(e.target.checked ? "occupancy" : "category")}
+            />
+            {to.showOnMap}
+          </label>
+          <div style={{ color: "#6b7280", fontSize: 12, marginBottom: 4 }}>
+            {to.counted.replace("{n}", counted).replace("{total}", features.length)}
+          </div>
+          {categories
+            .filter((c) => result.byCategory.has(c.id))
+            .map((c) => (
+              <div key={c.id} style={row}>
+                <span>{categoryLabel(c, lang)}</span>
+                <span>{formatOccupancy(result.byCategory.get(c.id))}</span>
+              </div>
+            ))}
+          <div style={{ ...row, fontWeight: 600, borderTop: "1px solid #e5e7eb", marginTop: 4, paddingTop: 4 }}>
+            <span>{t.pdf.occupancyTotal}</span>
+            <span>{formatOccupancy(result.total)}</span>
+          </div>
+          {result.byStreet.size > 0 && (
+            <details style={{ marginTop: 6 }}>
+              <summary style={{ cursor: "pointer" }}>{to.byStreet}</summary>
+              {[...result.byStreet.entries()]
+                .sort(([a], [b]) => a.localeCompare(b))
+                .map(([street, g]) => (
+                  <div key={street} style={row}>
+                    <span>{street || t.pdf.unnamedStreet}</span>
+                    <span>{formatOccupancy(g)}</span>
+                  </div>
+                ))}
+            </details>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+// Named zones (e.g. permit zones A/B/C) with their share of the totals
+function ZonesPanel({ t, lang, features, categories, zones, drawingZone, onDrawZone, onUpdateZone, onRemoveZone }) {
+  const tz = t.zones;
+  const totals = React.useMemo(() => sumByZone(features, zones, categories), [features, zones, categories]);
+  const smallBtn = { fontSize: 12, border: "1px solid #e5e7eb", borderRadius: 6, background: "#fff", padding: "2px 8px" };
+  const fmtMeters = (n) => (n >= 1000 ? `${(n / 1000).toFixed(2)} km` : `${Math.round(n)} m`);
+
+  return (
+    <div style={{ background: "#f9fafb", borderRadius: 12, padding: 12, marginTop: 8 }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 6 }}>
+        <span style={{ fontWeight: 500 }}>{tz.title}</span>
+        <button onClick={onDrawZone} disabled={drawingZone} style={smallBtn}>{tz.draw}</button>
+      </div>
+      {(drawingZone || !zones.length) && (
+        <div style={{ color: "#6b7280", fontSize: 12 }}>{drawingZone ? tz.drawing : tz.hint}</div>
+      )}
+      {zones.length > 0 && totals.map(({ zone, segments, length_m, spaces }) => (
+        <div key={zone?.id ?? "outside"} style={{ display: "flex", alignItems: "center", gap: 6, marginTop: 4 }}>
+          {zone ? (
+            <>
+              <input
+                type="color"
+                value={zone.color}
+                aria-label={tz.color}
+                onChange={(e) => onUpdateZone(zone.id, { color: e.target.value })}
+                style={{ width: 24, height: 22, padding: 0, border: "1px solid #ddd", borderRadius: 4 }}
+              />
+              <input
+                key={zone.name}
+                defaultValue={zone.name}
+                aria-label={tz.name}
+                onKeyDown={(e) => { if (e.key === "Enter") e.currentTarget.blur(); }}
+                onBlur={(e) => {
+                  const name = e.target.value.trim();
+                  if (name && name !== zone.name) onUpdateZone(zone.id, { name });
+                  else e.target.value = zone.name;
+                }}
+                style={{ flex: 1, minWidth: 0, padding: "2px 6px", border: "1px solid #ddd", borderRadius: 6, fontSize: 13 }}
+              />
+            </>
+          ) : (
+            <span style={{ flex: 1, color: "#6b7280" }}>{tz.outside}</span>
+          )}
+          <span
+            title={categories.map((c) => `${categoryLabel(c, lang)}: ${spaces.byId[c.id]}`).join("\n")}
+            style={{ whiteSpace: "nowrap", fontSize: 12 }}
+          >
+            {tz.totals.replace("{spaces}", spaces.capacity).replace("{segments}", segments).replace("{length}", fmtMeters(length_m))}
+          </span>
+          {zone && (
+            <button onClick={() => onRemoveZone(zone.id)} title={tz.remove} style={{ ...smallBtn, padding: "2px 6px" }}>✕</button>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// Docked attribute table: every visible segment with sorting, search, inline
+// edits of street / category / spaces, and zoom-to on row click. The checkboxes
+// drive the multi-selection (Shift-click selects a range). With a count pass
+// active, an extra column shows each segment's occupancy in it.
+const TABLE_COLUMNS = ["street", "category", "spaces", "length_m", "photos"];
+
+function AttributeTable({
+  t, lang, features, categories, filter, activePass, selectedIds, setSelectedIds, highlightId, onHighlight, onUpdate, onOpenForm, onBulkEdit, onClose,
+}) {
+  const map = useMap();
+  const ta = t.attributeTable;
+  const [query, setQuery] = useState("");
+  const [sort, setSort] = useState({ key: "street", dir: 1 });
+  // _id of the last ticked row: the anchor of a Shift-click range
+  const anchorId = useRef(null);
+  const rootRef = useRef(null);
+  const selected = React.useMemo(() => new Set(selectedIds), [selectedIds]);
+
+  // keep wheel and clicks in the table from reaching the map
+  useEffect(() => {
+    const el = rootRef.current;
+    if (!el) return;
+    L.DomEvent.disableClickPropagation(el);
+    L.DomEvent.disableScrollPropagation(el);
+  }, []);
+
+  const rows = React.useMemo(() => {
+    const sortValue = (f, key) => {
+      const p = f.properties;
+      if (key === "category") return categoryLabel(getCategory(categories, p.category), lang).toLowerCase();
+      if (key === "photos") return p.images?.length ?? 0;
+      if (key === "street") return (p.street || "").toLowerCase();
+      // not counted sorts below 0%
+      if (key === "occupancy") return segmentOccupancy(f, activePass?.id)?.ratio ?? -1;
+      return Number(p[key]) || 0;
+    };
+    const q = query.trim().toLowerCase();
+    const visible = features.filter((f) => {
+      if (f.geometry?.type !== "LineString" || !f.properties?._id) return false;
+      const category = getCategory(categories, f.properties.category);
+      if (filter[category.id] === false) return false;
+      if (!q) return true;
+      const p = f.properties;
+      return [p.street, p.notes, categoryLabel(category, lang), regulationText(p, lang), p._id]
+        .some((v) => String(v ?? "").toLowerCase().includes(q));
+    });
+    return visible.sort((a, b) => {
+      const x = sortValue(a, sort.key), y = sortValue(b, sort.key);
+      return (typeof x === "string" ? x.localeCompare(y, lang) : x - y) * sort.dir;
+    });
+  }, [features, categories, filter, activePass, query, sort, lang]);
+  const columns = activePass ? [...TABLE_COLUMNS, "occupancy"] : TABLE_COLUMNS;
+  const selectedRows = rows.filter((f) => selected.has(f.properties._id)).length;
+
+  // the range runs between the rows' current positions (after sorting / searching)
+  const toggle = (index, checked, range) => {
+    const anchor = range ? rows.findIndex((f) => f.properties._id === anchorId.current) : -1;
+    const from = anchor >= 0 ? Math.min(anchor, index) : index;
+    const to = anchor >= 0 ? Math.max(anchor, index) : index;
+    const ids = rows.slice(from, to + 1).map((f) => f.properties._id);
+    anchorId.current = rows[index].properties._id;
+    setSelectedIds((prev) => (checked ? [...new Set([...prev, ...ids])] : prev.filter((id) => !ids.includes(id))));
+  };
+
+  // fit the map to the segment, clear of the table
+  const zoomTo = (f) => {
+    const below = rootRef.current?.offsetHeight ?? 0;
+    map.fitBounds(L.geoJSON(f).getBounds(), { paddingTopLeft: [40, 40], paddingBottomRight: [40, below + 40], maxZoom: 19 });
+    onHighlight(f.properties._id);
+  };
+
+  const cellInput = { width: "100%", padding: "2px 4px", border: "1px solid #e5e7eb", borderRadius: 4, fontSize: 13, boxSizing: "border-box" };
+  const smallBtn = { fontSize: 12, border: "1px solid #e5e7eb", borderRadius: 6, background: "#fff", padding: "2px 8px" };
+  // inputs commit on blur / Enter; the key resets them when the value changes elsewhere
+  const commitOnEnter = (e) => { if (e.key === "Enter") e.currentTarget.blur(); };
+
+  return (
+    <div
+      ref={rootRef}
+      style={{
+        position: "absolute",
+        left: 10,
+        right: 10,
+        bottom: "calc(64px + env(safe-area-inset-bottom, 0px))",
+        height: "38vh",
+        display: "flex",
+        flexDirection: "column",
+        background: "rgba(255,255,255,0.97)",
+        borderRadius: 14,
+        boxShadow: "0 6px 18px rgba(0,0,0,0.2)",
+        fontSize: 13,
+        zIndex: 1050,
+      }}
+    >
+      <div style={{ display: "flex", alignItems: "center", gap: 8, padding: "8px 10px", borderBottom: "1px solid #e5e7eb", flexWrap: "wrap" }}>
+        <span style={{ fontWeight: 600, fontSize: 14 }}>{ta.title} ({rows.length})</span>
+        <input
+          type="search"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder={ta.search}
+          style={{ ...cellInput, width: 180, padding: "4px 6px" }}
+        />
+        <button style={smallBtn} onClick={() => setSelectedIds(rows.map((f) => f.properties._id))}>{t.selection.all}</button>
+        <button style={smallBtn} onClick={() => setSelectedIds([])}>{t.selection.none}</button>
+        {/* bulk edit only reaches the selected rows the table shows */}
+        <button style={smallBtn} disabled={!selectedRows} onClick={() => onBulkEdit(rows.map((f) => f.properties._id))}>
+          {t.selection.edit} ({selectedRows})
+        </button>
+        <button onClick={onClose} title={ta.close} style={{ ...smallBtn, marginLeft: "auto" }}>✕</button>
+      </div>
+
+      <div style={{ flex: 1, overflow: "auto" }}>
+        <table style={{ width: "100%", borderCollapse: "collapse" }}>
+          <thead style={{ position: "sticky", top: 0, background: "#f9fafb" }}>
+            <tr>
+              <th style={{ width: 28 }} />
+              {columns.map((key) => (
+                <th
+                  key={key}
+                  title={key === "occupancy" ? passLabel(activePass) : undefined}
+                  onClick={() => setSort((s) => ({ key, dir: s.key === key ? -s.dir : 1 }))}
+                  style={{ textAlign: key === "street" || key === "category" ? "left" : "right", padding: "6px 8px", cursor: "pointer", whiteSpace: "nowrap", userSelect: "none" }}
+                >
+                  {ta.columns[key]}
+                  {sort.key === key && (sort.dir > 0 ? " ▲" : " ▼")}
+                </th>
+              ))}
+              <th style={{ width: 32 }} />
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((f, i) => {
+              const p = f.properties;
+              const id = p._id;
+              const category = getCategory(categories, p.category);
+              return (
+                <tr
+                  key={id}
+                  onClick={(e) => { if (!/^(INPUT|SELECT|BUTTON|OPTION)$/.test(e.target.tagName)) zoomTo(f); }}
+                  style={{ borderTop: "1px solid #f3f4f6", cursor: "pointer", background: id === highlightId ? "#fef3c7" : selected.has(id) ? "#eff6ff" : undefined }}
+                >
+                  <td style={{ padding: "2px 6px" }}>
+                    <input type="checkbox" checked={selected.has(id)} onChange={(e) => toggle(i, e.target.checked, e.nativeEvent.shiftKey)} />
+                  </td>
+                  <td style={{ padding: "2px 8px", minWidth: 140 }}>
+                    <input
+                      key={`${id}:${p.street ?? ""}`}
+                      defaultValue={p.street ?? ""}
+                      placeholder={t.selection.unnamed}
+                      style={cellInput}
+                      onKeyDown={commitOnEnter}
+                      onBlur={(e) => { if (e.target.value !== (p.street ?? "")) onUpdate(id, { street: e.target.value }); }}
+                    />
+                  </td>
+                  <td style={{ padding: "2px 8px" }}>
+                    <span style={{ display: "inline-flex", alignItems: "center", width: "100%" }}>
+                      <CategorySwatch category={category} />
+                      <select style={cellInput} value={p.category} onChange={(e) => onUpdate(id, { category: e.target.value })}>
+                        {categories.map((c) => (
+                          <option key={c.id} value={c.id}>{categoryLabel(c, lang)}</option>
+                        ))}
+                        {!categories.some((c) => c.id === p.category) && <option value={p.category}>{p.category}</option>}
+                      </select>
+                    </span>
+                  </td>
+                  <td style={{ padding: "2px 8px", width: 80 }}>
+                    <input
+                      key={`${id}:${p.spaces ?? 0}`}
+                      type="number"
+                      min={0}
+                      defaultValue={p.spaces ?? 0}
+                      title={p.spacesEdited ? ta.manualSpaces : ta.autoSpaces}
+                      style={{ ...cellInput, textAlign: "right", fontStyle: p.spacesEdited ? "normal" : "italic" }}
+                      onKeyDown={commitOnEnter}
+                      onBlur={(e) => {
+                        const n = Math.max(0, parseInt(e.target.value, 10) || 0);
+                        if (n !== (p.spaces ?? 0)) onUpdate(id, { spaces: n, spacesEdited: true });
+                      }}
+                    />
+                  </td>
+                  <td style={{ padding: "2px 8px", textAlign: "right", whiteSpace: "nowrap" }}>{p.length_m ?? 0} m</td>
+                  <td style={{ padding: "2px 8px", textAlign: "right" }}>{p.images?.length ? `📷 ${p.images.length}` : "—"}</td>
+                  {activePass && (
+                    <td style={{ padding: "2px 8px", textAlign: "right", whiteSpace: "nowrap" }}>
+                      {segmentOccupancy(f, activePass.id) ? formatOccupancy(segmentOccupancy(f, activePass.id)) : "—"}
+                    </td>
+                  )}
+                  <td style={{ padding: "2px 6px" }}>
+                    <button title={ta.openForm} onClick={() => onOpenForm(f)} style={{ ...smallBtn, padding: "2px 6px" }}>✎</button>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+        {!rows.length && <div style={{ padding: 12, color: "#6b7280" }}>{query ? ta.noMatches : ta.empty}</div>}
+      </div>
+    </div>
+  );
+}
+
 function Controls({
   t,
   lang,
+  projects,
+  storage,
+  history,
   features,
   setFeatures,
+  setPoints,
+  categories,
+  onEditCategories,
+  onEditCapacityModel,
+  info,
+  onEditSettings,
+  roadSource,
+  onEditRoadSettings,
+  curbOffset,
+  setCurbOffset,
+  previewGuides,
+  setPreviewGuides,
+  passes,
+  activePass,
+  setActivePassId,
+  onAddPass,
+  onUpdatePass,
+  onRemovePass,
+  mapMode,
+  setMapMode,
+  simDate,
   filter,
   setFilter,
+  onOpenTable,
+  zones,
+  setZones,
+  drawingZone,
+  onDrawZone,
+  onUpdateZone,
+  onRemoveZone,
   onExport,
   onImport,
   setBoundary,
   boundary,
 }) {
-  const totals = React.useMemo(() => {
-    const acc = { free: 0, residents: 0, limited: 0 };
-    for (const f of features) {
-      if (f?.properties?.category && Number.isFinite(f?.properties?.spaces)) {
-        acc[f.properties.category] += f.properties.spaces;
-      }
-    }
-    return acc;
-  }, [features]);
-
-  const meters = React.useMemo(() => {
-    const acc = { free: 0, residents: 0, limited: 0 };
-    for (const f of features) {
-      const c = f.properties?.category;
-      if (c && acc[c] != null) acc[c] += Number(f.properties?.length_m || 0);
-    }
-    return acc;
-  }, [features]);
+  const totals = React.useMemo(() => sumByCategory(features, categories, "spaces"), [features, categories]);
+  const meters = React.useMemo(() => sumByCategory(features, categories, "length_m"), [features, categories]);
+  const visitorSpaces = React.useMemo(
+    () => (mapMode === "time" ? visitorCapacityAt(features, categories, simDate) : null),
+    [mapMode, features, categories, simDate]
+  );
 
   const fmtMeters = (n) => (n >= 1000 ? `${(n / 1000).toFixed(2)} km` : `${Math.round(n)} m`);
+  const projectName = projects.projects.find((p) => p.id === projects.activeId)?.name;
 
   // Responsive: center panel on narrow/mobile screens
   const [isNarrow, setIsNarrow] = React.useState(typeof window !== 'undefined' ? window.innerWidth <= 520 : false);
@@ -338,63 +985,93 @@ function Controls({
       <div style={{ fontWeight: 600, fontSize: 18, marginBottom: 6 }}>{t.appTitle}</div>
       <div style={{ color: "#6b7280", fontSize: 12, marginBottom: 10 }}>{t.subtitle}</div>
 
-      <label style={{ display: "inline-flex", alignItems: "center", marginRight: 12 }}>
-        <input
-          type="checkbox"
-          checked={filter.free}
-          onChange={(e) => setFilter((v) => ({ ...v, free: e.target.checked }))}
-        />
-        &nbsp;{t.category.free}
-      </label>
-      <label style={{ display: "inline-flex", alignItems: "center", marginRight: 12 }}>
-        <input
-          type="checkbox"
-          checked={filter.residents}
-          onChange={(e) => setFilter((v) => ({ ...v, residents: e.target.checked }))}
-        />
-        &nbsp;{t.category.residents}
-      </label>
-      <label style={{ display: "inline-flex", alignItems: "center" }}>
-        <input
-          type="checkbox"
-          checked={filter.limited}
-          onChange={(e) => setFilter((v) => ({ ...v, limited: e.target.checked }))}
-        />
-        &nbsp;{t.category.limited}
-      </label>
+      <ProjectManager t={t} projects={projects} />
+
+      {/* Category filters */}
+      <div style={{ display: "flex", flexWrap: "wrap", gap: "4px 12px" }}>
+        {categories.map((c) => (
+          <label key={c.id} style={{ display: "inline-flex", alignItems: "center" }}>
+            <input
+              type="checkbox"
+              checked={filter[c.id] !== false}
+              onChange={(e) => setFilter((v) => ({ ...v, [c.id]: e.target.checked }))}
+            />
+            &nbsp;<CategorySwatch category={c} />{categoryLabel(c, lang)}
+          </label>
+        ))}
+      </div>
 
       {/* Spaces by category */}
       <div style={{ background: "#f9fafb", borderRadius: 12, padding: 12, marginTop: 12 }}>
         <div style={{ fontWeight: 500, marginBottom: 6 }}>{t.approxSpaces}</div>
-        <div style={{ display: "flex", justifyContent: "space-between" }}>
-          <span>{t.category.free}</span>
-          <span>{totals.free}</span>
-        </div>
-        <div style={{ display: "flex", justifyContent: "space-between" }}>
-          <span>{t.category.residents}</span>
-          <span>{totals.residents}</span>
-        </div>
-        <div style={{ display: "flex", justifyContent: "space-between" }}>
-          <span>{t.category.limited}</span>
-          <span>{totals.limited}</span>
+        {categories.map((c) => (
+          <div key={c.id} style={{ display: "flex", justifyContent: "space-between" }}>
+            <span>{categoryLabel(c, lang)}</span>
+            <span>{totals.byId[c.id]}</span>
+          </div>
+        ))}
+        <div style={{ display: "flex", justifyContent: "space-between", fontWeight: 600, borderTop: "1px solid #e5e7eb", marginTop: 4, paddingTop: 4 }}>
+          <span>{t.totalCapacity}</span>
+          <span>{totals.capacity}</span>
         </div>
+        {visitorSpaces != null && (
+          <div style={{ display: "flex", justifyContent: "space-between", fontWeight: 600, color: "#1d4ed8" }}>
+            <span>
+              {t.parkable.visitorCapacity}
+              <span style={{ fontWeight: 400, color: "#6b7280" }}> · {simDate.toLocaleString(lang === "de" ? "de-DE" : "en-GB", { weekday: "short", hour: "2-digit", minute: "2-digit" })}</span>
+            </span>
+            <span>{visitorSpaces}</span>
+          </div>
+        )}
       </div>
 
+      <ZonesPanel
+        t={t}
+        lang={lang}
+        features={features}
+        categories={categories}
+        zones={zones}
+        drawingZone={drawingZone}
+        onDrawZone={onDrawZone}
+        onUpdateZone={onUpdateZone}
+        onRemoveZone={onRemoveZone}
+      />
+
+      <OccupancyPanel
+        t={t}
+        lang={lang}
+        features={features}
+        categories={categories}
+        passes={passes}
+        activePass={activePass}
+        setActivePassId={setActivePassId}
+        onAddPass={onAddPass}
+        onUpdatePass={onUpdatePass}
+        onRemovePass={onRemovePass}
+        mapMode={mapMode}
+        setMapMode={setMapMode}
+      />
+
+      <OfflineRoadsPanel t={t} lang={lang} boundary={boundary} roadSource={roadSource} onEditRoadSettings={onEditRoadSettings} />
+
+      <CurbOffsetPanel
+        t={t}
+        curbOffset={curbOffset}
+        setCurbOffset={setCurbOffset}
+        previewGuides={previewGuides}
+        setPreviewGuides={setPreviewGuides}
+        boundary={boundary}
+      />
+
       {/* Measured lengths */}
       <div style={{ background: "#f9fafb", borderRadius: 12, padding: 12, marginTop: 8 }}>
         <div style={{ fontWeight: 500, marginBottom: 6 }}>{t.measuredLength}</div>
-        <div style={{ display: "flex", justifyContent: "space-between" }}>
-          <span>{t.category.free}</span>
-          <span>{fmtMeters(meters.free)}</span>
-        </div>
-        <div style={{ display: "flex", justifyContent: "space-between" }}>
-          <span>{t.category.residents}</span>
-          <span>{fmtMeters(meters.residents)}</span>
-        </div>
-        <div style={{ display: "flex", justifyContent: "space-between" }}>
-          <span>{t.category.limited}</span>
-          <span>{fmtMeters(meters.limited)}</span>
-        </div>
+        {categories.map((c) => (
+          <div key={c.id} style={{ display: "flex", justifyContent: "space-between" }}>
+            <span>{categoryLabel(c, lang)}</span>
+            <span>{fmtMeters(meters.byId[c.id])}</span>
+          </div>
+        ))}
       </div>
 
       {/* Actions grid */}
@@ -414,7 +1091,7 @@ function Controls({
         <input
           id="importFile"
           type="file"
-          accept=".geojson,.json,application/geo+json,application/json"
+          accept=".geojson,.json,.kml,.kmz,.zip,application/geo+json,application/json,application/zip"
           style={{ display: "none" }}
           onChange={onImport}
         />
@@ -426,21 +1103,46 @@ function Controls({
         </LabelBtn>
 
         <Btn
-          onClick={() => exportPdf({ features, boundary, lang })}
+          onClick={() => exportPdf({ features, boundary, zones, categories, passes, info, name: projectName, lang })}
           variant="dark"
         >
           {t.exportPDF}
         </Btn>
 
         <Btn
-          onClick={() => exportDocx({ features, boundary, lang })}
+          onClick={async () => exportDocx({ features: await hydrateImages(features), boundary, zones, categories, passes, info, name: projectName, lang })}
           variant="brand"
         >
           {t.exportWord}
         </Btn>
 
         {/* Full-width buttons below */}
-        <Btn onClick={() => setBoundary(null)} variant="light" full style={{ height: 40 }}>
+        <Btn onClick={onOpenTable} variant="light" full style={{ height: 40 }}>
+          {t.attributeTable.open}
+        </Btn>
+
+        <Btn onClick={onEditSettings} variant="light" full style={{ height: 40 }}>
+          {t.surveySettings.open}
+        </Btn>
+
+        <Btn onClick={onEditCategories} variant="light" full style={{ height: 40 }}>
+          {t.editCategories}
+        </Btn>
+
+        <Btn onClick={onEditCapacityModel} variant="light" full style={{ height: 40 }}>
+          {t.capacityModel.open}
+        </Btn>
+
+        <Btn
+          onClick={() => {
+            if (!boundary) return;
+            history.record(t.history.clearStudyArea);
+            setBoundary(null);
+          }}
+          variant="light"
+          full
+          style={{ height: 40 }}
+        >
           {t.clearStudy}
         </Btn>
 
@@ -449,11 +1151,15 @@ function Controls({
             const confirmMsg =
               t.confirmClearAll ??
               (lang === "de"
-                ? "Alle gespeicherten Daten wirklich löschen?"
-                : "Really delete all saved data?");
+                ? "Alle Daten dieser Erhebung wirklich löschen?"
+                : "Really delete all data of this survey?");
             if (window.confirm(confirmMsg)) {
-              localStorage.removeItem("jena-parking-features-v1");
+              // autosave writes the emptied survey back to the active project only;
+              // categories are kept, as undo does not cover them
+              history.record(t.history.clearSurvey);
               setFeatures([]);
+              setPoints([]);
+              setZones([]);
               setBoundary(null);
             }
           }}
@@ -467,38 +1173,112 @@ function Controls({
       </div>
 
       <div style={{ color: "#6b7280", fontSize: 12, marginTop: 8 }}>{t.autosaveInfo}</div>
+      <StorageUsage t={t} storage={storage} />
     </div>
   );
 }
 
-function useAutosave(features, setFeatures, boundary, setBoundary) {
-  // load
-  useEffect(() => {
-    try {
-      const raw = localStorage.getItem("jena-parking-features-v1");
-      if (raw) {
-        const parsed = JSON.parse(raw);
-        if (Array.isArray(parsed.features)) setFeatures(parsed.features);
-        if (Array.isArray(parsed.boundary)) setBoundary(parsed.boundary);
-      }
-    } catch {}
-  }, [setFeatures, setBoundary]);
+// Save the active survey whenever its data changes.
+// `openedRef` holds the data as it was when the project was opened, so merely
+// switching projects does not bump the project's "updated" timestamp.
+function useAutosave(activeId, { features, boundary, categories, info, passes, curbOffset, capacityModel, points, zones }, openedRef, { onSaved, onError }) {
+  // latest callbacks, so a new handler identity does not trigger a save
+  const onSavedRef = useRef(onSaved);
+  const onErrorRef = useRef(onError);
+  useEffect(() => { onSavedRef.current = onSaved; }, [onSaved]);
+  useEffect(() => { onErrorRef.current = onError; }, [onError]);
 
-  // save
   useEffect(() => {
-    localStorage.setItem("jena-parking-features-v1", JSON.stringify({ features, boundary }));
-  }, [features, boundary]);
+    if (!activeId) return;
+    const opened = openedRef.current;
+    if (
+      opened &&
+      opened.features === features &&
+      opened.boundary === boundary &&
+      opened.categories === categories &&
+      opened.info === info &&
+      opened.passes === passes &&
+      opened.curbOffset === curbOffset &&
+      opened.capacityModel === capacityModel &&
+      opened.points === points &&
+      opened.zones === zones
+    ) return;
+    // failed writes leave the data in memory; onError surfaces it so the user can export
+    saveSurvey(activeId, { features, boundary, categories, info, passes, curbOffset, capacityModel, points, zones })
+      .then(() => onSavedRef.current?.(activeId))
+      .catch((err) => {
+        console.warn("Autosave failed", err);
+        onErrorRef.current?.(err);
+      });
+  }, [activeId, openedRef, features, boundary, categories, info, passes, curbOffset, capacityModel, points, zones]);
 }
 
-// Function for Location
-function LocateControl({ lang, setLang, snapSide, setSnapSide, boundary }) {
-  const map = useMap();
-  const [pos, setPos] = React.useState(null);
-  const [acc, setAcc] = React.useState(null);
-  const [watching, setWatching] = React.useState(false);
-
-  const startLocate = React.useCallback(() => {
-    if (!navigator.geolocation) {
+// Storage usage line + bar for the side panel
+function StorageUsage({ t, storage }) {
+  if (storage?.usage == null) return null;
+  const fmtBytes = (n) => (n >= 1024 ** 3 ? `${(n / 1024 ** 3).toFixed(1)} GB` : `${(n / 1024 ** 2).toFixed(1)} MB`);
+  const pct = Math.min(100, storage.ratio * 100);
+  return (
+    <div style={{ marginTop: 8, fontSize: 12, color: storage.nearlyFull ? "#b45309" : "#6b7280" }}>
+      {t.storage.usage}: {fmtBytes(storage.usage)} / {fmtBytes(storage.quota)} ({pct < 1 ? pct.toFixed(1) : Math.round(pct)}%)
+      <div style={{ height: 4, background: "#e5e7eb", borderRadius: 2, marginTop: 4, overflow: "hidden" }}>
+        <div style={{ height: "100%", width: `${pct}%`, background: storage.nearlyFull ? "#f59e0b" : "#3b82f6" }} />
+      </div>
+    </div>
+  );
+}
+
+// Banner shown when storage is nearly full or an autosave failed
+function StorageNotice({ t, storage, error, onDismiss }) {
+  const [dismissedWarning, setDismissedWarning] = React.useState(false);
+  let message = null;
+  if (error) {
+    message = isQuotaError(error) ? t.storage.quotaExceeded : t.storage.saveFailed.replace("{msg}", error.message || String(error));
+  } else if (storage?.nearlyFull && !dismissedWarning) {
+    message = t.storage.nearlyFull.replace("{pct}", String(Math.round(storage.ratio * 100)));
+  }
+  if (!message) return null;
+
+  return (
+    <div style={{
+      position: "fixed",
+      top: "calc(12px + env(safe-area-inset-top, 0px))",
+      left: "50%",
+      transform: "translateX(-50%)",
+      background: error ? "rgba(254, 242, 242, 0.98)" : "rgba(255, 251, 235, 0.98)",
+      padding: "12px 16px",
+      borderRadius: 8,
+      boxShadow: "0 2px 8px rgba(0,0,0,0.15)",
+      zIndex: 1103,
+      maxWidth: "90%",
+      width: 440,
+      border: `1px solid ${error ? "#fecaca" : "#fde68a"}`,
+    }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "flex-start", gap: 8 }}>
+        <div style={{ flex: 1, fontSize: 13, color: error ? "#991b1b" : "#92400e", fontWeight: 500 }}>
+          ⚠️ {message}
+        </div>
+        <button
+          onClick={() => (error ? onDismiss() : setDismissedWarning(true))}
+          style={{ background: "transparent", border: "none", color: "inherit", fontSize: 18, cursor: "pointer", padding: 0, lineHeight: 1, minWidth: "auto" }}
+          title={t.storage.dismiss}
+        >
+          ×
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// Function for Location
+function LocateControl({ lang, setLang, snapSide, setSnapSide, boundary }) {
+  const map = useMap();
+  const [pos, setPos] = React.useState(null);
+  const [acc, setAcc] = React.useState(null);
+  const [watching, setWatching] = React.useState(false);
+
+  const startLocate = React.useCallback(() => {
+    if (!navigator.geolocation) {
       alert("Geolocation is not supported by your browser.");
       return;
     }
@@ -623,81 +1403,247 @@ function LocateControl({ lang, setLang, snapSide, setSnapSide, boundary }) {
   );
 }
 
-// Editable boundary layer component
-function EditableBoundary({ boundary, setBoundary }) {
+// Undo / redo buttons (below the locate/language/snap bar)
+function HistoryControl({ t, history }) {
+  const btn = (enabled, title, onClick, label) => (
+    <a
+      href="#"
+      title={title}
+      aria-disabled={!enabled}
+      onClick={(e) => {
+        e.preventDefault();
+        if (enabled) onClick();
+      }}
+      className={`ps-ctl ${enabled ? "" : "leaflet-disabled"}`}
+      style={{ WebkitTapHighlightColor: "transparent" }}
+    >
+      {label}
+    </a>
+  );
+
+  return (
+    <div className="leaflet-top leaflet-left" style={{ left: 0, top: 380, zIndex: 995 }}>
+      <div className="leaflet-control leaflet-bar">
+        {btn(history.canUndo, history.undoLabel ? `${t.history.undo}: ${history.undoLabel} (Ctrl+Z)` : t.history.undo, history.undo, "↶")}
+        {btn(history.canRedo, history.redoLabel ? `${t.history.redo}: ${history.redoLabel} (Ctrl+Shift+Z)` : t.history.redo, history.redo, "↷")}
+      </div>
+    </div>
+  );
+}
+
+// Split / merge / lasso tool toggles under the undo buttons, with a hint for the active tool
+function SegmentToolsControl({ t, tool, setTool, mergePending }) {
+  const ts = { ...t.segmentTools, lasso: t.selection.lasso };
+  const hints = { split: ts.splitHint, merge: mergePending ? ts.mergeHintSecond : ts.mergeHint, lasso: t.selection.lassoHint };
+  const btn = (id, label) => (
+    <a
+      href="#"
+      title={ts[id]}
+      onClick={(e) => {
+        e.preventDefault();
+        setTool(tool === id ? null : id);
+      }}
+      className={`ps-ctl ${tool === id ? "ps-tool-active" : ""}`}
+      style={{ WebkitTapHighlightColor: "transparent" }}
+    >
+      {label}
+    </a>
+  );
+
+  return (
+    <div className="leaflet-top leaflet-left" style={{ left: 0, top: 470, zIndex: 995 }}>
+      <div className="leaflet-control leaflet-bar">
+        {btn("split", "✂")}
+        {btn("merge", "🔗")}
+        {btn("lasso", "➰")}
+      </div>
+      {tool && (
+        <div
+          className="leaflet-control"
+          style={{ background: "rgba(255,255,255,0.95)", borderRadius: 8, padding: "4px 8px", fontSize: 12, maxWidth: 200, boxShadow: "0 1px 4px rgba(0,0,0,0.2)" }}
+        >
+          {hints[tool]}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Freehand lasso: drag on the map to select the segments the loop touches (Shift adds)
+function LassoSelect({ features, onSelect }) {
   const map = useMap();
-  const layerRef = React.useRef(null);
+  const featuresRef = useRef(features);
+  featuresRef.current = features;
+  const onSelectRef = useRef(onSelect);
+  onSelectRef.current = onSelect;
 
-  // create / update the leaflet polygon that Geoman can edit
-  React.useEffect(() => {
-    if (!boundary || boundary.length < 3) {
-      // remove old layer if boundary cleared
-      if (layerRef.current) {
-        try { map.removeLayer(layerRef.current); } catch {}
-        layerRef.current = null;
-      }
-      return;
-    }
+  useEffect(() => {
+    const container = map.getContainer();
+    const line = L.polyline([], { color: "#2563eb", weight: 2, dashArray: "4 4", interactive: false, pmIgnore: true });
+    let ring = null;
+
+    const onDown = (e) => {
+      // leave the map controls alone
+      if (e.button > 0 || !map.getPane("mapPane").contains(e.target)) return;
+      ring = [map.mouseEventToLatLng(e)];
+      line.setLatLngs(ring).addTo(map);
+    };
+    const onMove = (e) => {
+      if (!ring) return;
+      ring.push(map.mouseEventToLatLng(e));
+      line.setLatLngs(ring);
+    };
+    const onUp = (e) => {
+      if (!ring) return;
+      const loop = ring;
+      ring = null;
+      line.remove();
+      // a plain click (or a jittery one) is handled by the segment itself
+      const size = L.bounds(loop.map((ll) => map.latLngToContainerPoint(ll))).getSize();
+      if (loop.length < 3 || Math.max(size.x, size.y) < 10) return;
+      onSelectRef.current(segmentIdsInLasso(featuresRef.current, loop.map((ll) => [ll.lng, ll.lat])), e.shiftKey);
+    };
 
-    if (!layerRef.current) {
-      const layer = L.polygon(boundary, {
-        color: "#111827",
-        weight: 2,
-        dashArray: "6 6",
-        fillOpacity: 0.08,
-        interactive: false // Make it non-interactive
-      });
-      layer.addTo(map);
+    map.dragging.disable();
+    container.style.cursor = "crosshair";
+    container.addEventListener("pointerdown", onDown);
+    container.addEventListener("pointermove", onMove);
+    window.addEventListener("pointerup", onUp);
+    return () => {
+      container.removeEventListener("pointerdown", onDown);
+      container.removeEventListener("pointermove", onMove);
+      window.removeEventListener("pointerup", onUp);
+      container.style.cursor = "";
+      map.dragging.enable();
+      line.remove();
+    };
+  }, [map]);
 
-      // Completely disable any editing capabilities
-      if (layer.pm) {
-        try {
-          safeSetPmOptions(layer, {
-            snappable: false,
-            pmIgnore: true,
-            preventMarkerRemoval: true,
-            draggable: false,
-            allowEditing: false,
-          });
-          layer.pm.disable();
-        } catch {}
-      }
-      try { safeReInitLayer(layer); } catch {}
+  return null;
+}
 
-            // helper: read current polygon and push into React state
-      const commitBoundary = () => {
-        try {
-          const rings = layer.getLatLngs();
-          const ring = (Array.isArray(rings) && Array.isArray(rings[0])) ? rings[0] : rings;
-          const next = ring.map(ll => [ll.lat, ll.lng]);
-          setBoundary(next);
-        } catch {}
-      };
+// Count of selected segments with bulk edit / clear buttons
+function SelectionBar({ t, count, onEdit, onClear }) {
+  const ts = t.selection;
+  return (
+    <div
+      style={{
+        position: "absolute",
+        top: 12,
+        left: "50%",
+        transform: "translateX(-50%)",
+        display: "flex",
+        alignItems: "center",
+        gap: 8,
+        background: "rgba(255,255,255,0.95)",
+        borderRadius: 12,
+        boxShadow: "0 4px 12px rgba(0,0,0,0.15)",
+        padding: "6px 10px",
+        fontSize: 14,
+        zIndex: 1000,
+      }}
+    >
+      <span style={{ fontWeight: 600 }}>{ts.selected.replace("{n}", count)}</span>
+      <button
+        onClick={onEdit}
+        style={{ background: "#111827", color: "#fff", border: "none", padding: "6px 10px", borderRadius: 10 }}
+      >
+        {ts.edit}
+      </button>
+      <button onClick={onClear} style={{ border: "1px solid #e5e7eb", background: "#fff", padding: "6px 10px", borderRadius: 10 }}>
+        {ts.clear}
+      </button>
+    </div>
+  );
+}
 
-      // We intentionally do NOT wire Geoman edit listeners for the study
-      // boundary so that it remains non-editable after creation. The
-      // boundary value is set at creation time by the draw handler and
-      // can only be changed by replacing the study area.
-      layerRef.current = layer;
-      return () => {
-        // nothing to remove — editing is disabled for the boundary
-      };
-    } else {
-      // update geometry without recreating
-      try { layerRef.current.setLatLngs(boundary); } catch {}
-    }
-  }, [map, boundary, setBoundary]);
+// Study boundary or zone polygon; its vertices are editable in Geoman's edit mode.
+// Each vertex drag calls onChange with the new open [lat, lng] ring.
+const POLYGON_EDIT_OPTIONS = { snappable: false, draggable: false, allowSelfIntersection: false };
+
+function EditablePolygon({ ring, pathOptions, label, onChange }) {
+  const map = useMap();
+  const layerRef = React.useRef(null);
+  const initialRef = React.useRef({ ring, pathOptions, label });
+  const onChangeRef = React.useRef(onChange);
+  onChangeRef.current = onChange;
 
-  // cleanup on unmount
   React.useEffect(() => {
+    const initial = initialRef.current;
+    // non-interactive, so clicks reach the segments and removal mode leaves it alone
+    const layer = L.polygon(initial.ring, { ...initial.pathOptions, interactive: false, snapIgnore: true });
+    layer.addTo(map);
+    if (initial.label) layer.bindTooltip(initial.label, { permanent: true, direction: "center", className: "ps-zone-label" });
+    safeSetPmOptions(layer, POLYGON_EDIT_OPTIONS);
+    safeDisablePm(layer);
+    safeReInitLayer(layer);
+
+    const commit = () => {
+      const rings = layer.getLatLngs();
+      const latlngs = Array.isArray(rings[0]) ? rings[0] : rings;
+      onChangeRef.current?.(latlngs.map((ll) => [ll.lat, ll.lng]));
+    };
+    layer.on("pm:edit", commit);
+    layerRef.current = layer;
     return () => {
-      if (layerRef.current) {
-        try { map.removeLayer(layerRef.current); } catch {}
-        layerRef.current = null;
-      }
+      layer.off("pm:edit", commit);
+      safeDisablePm(layer);
+      map.removeLayer(layer);
+      layerRef.current = null;
     };
   }, [map]);
 
+  // follow the global edit mode like the segments do
+  const onGlobalEdit = React.useCallback((e) => {
+    const layer = layerRef.current;
+    if (!layer) return;
+    if (e.enabled) safeEnablePm(layer, POLYGON_EDIT_OPTIONS);
+    else safeDisablePm(layer);
+  }, []);
+  useGlobalEditGuard(map, onGlobalEdit);
+
+  // outside changes (undo, import): move the vertices, keeping edit mode on
+  React.useEffect(() => {
+    const layer = layerRef.current;
+    if (!layer) return;
+    const rings = layer.getLatLngs();
+    const current = (Array.isArray(rings[0]) ? rings[0] : rings).map((ll) => [ll.lat, ll.lng]);
+    if (JSON.stringify(current) !== JSON.stringify(ring)) {
+      const editing = layer.pm?.enabled?.();
+      if (editing) safeDisablePm(layer);
+      layer.setLatLngs(ring);
+      if (editing) safeEnablePm(layer, POLYGON_EDIT_OPTIONS);
+    }
+    if (label) layer.setTooltipContent(label).openTooltip(layer.getCenter());
+  }, [ring, label]);
+
+  React.useEffect(() => {
+    layerRef.current?.setStyle(pathOptions);
+  }, [pathOptions]);
+
+  return null;
+}
+
+// Starts a polygon draw for a new zone; onDone runs when drawing ends, drawn or cancelled
+function ZoneDrawer({ active, onDone }) {
+  const map = useMap();
+  const onDoneRef = useRef(onDone);
+  onDoneRef.current = onDone;
+
+  useEffect(() => {
+    if (!active || !map.pm) return;
+    map.pm.enableDraw("Polygon", { snappable: false });
+    // pm:create (which adds the zone) fires before pm:drawend
+    const end = () => onDoneRef.current();
+    map.once("pm:drawend", end);
+    return () => {
+      map.off("pm:drawend", end);
+      // reset from outside (e.g. another survey opened): stop drawing, or the
+      // next polygon would replace the study area
+      if (map.pm.globalDrawModeEnabled()) map.pm.disableDraw();
+    };
+  }, [map, active]);
+
   return null;
 }
 
@@ -740,7 +1686,7 @@ function PmGuideGuard() {
 // Persistent, visible snap guides for "Snap: Auto"
 // - Fetches OSM roads for the current (padded) bounds when active
 // - Draws visible offset guides for both sides so users can see where snapping will happen
-function SnapGuides({ active, setExternalRoadsGetter, offsetMeters = 4, boundary, lang = 'en' }) {
+function SnapGuides({ active, setExternalRoadsGetter, curbOffset = DEFAULT_CURB_OFFSET, boundary, roadSource, lang = 'en' }) {
   const map = useMap();
   // guide manager centralizes creation / removal and listener cleanup
   const guideManager = useGuideManager(map);
@@ -866,8 +1812,9 @@ function SnapGuides({ active, setExternalRoadsGetter, offsetMeters = 4, boundary
       const features = [];
       roadsFcRef.current.features.forEach((road) => {
         try {
-          const left = turf.lineOffset(road, Math.abs(offsetMeters), { units: "meters" });
-          const right = turf.lineOffset(road, -Math.abs(offsetMeters), { units: "meters" });
+          const offsetMeters = curbOffsetFor(road, curbOffset);
+          const left = turf.lineOffset(road, offsetMeters, { units: "meters" });
+          const right = turf.lineOffset(road, -offsetMeters, { units: "meters" });
           const clippedLeft = clipLineToPolygon(left, poly);
           const clippedRight = clipLineToPolygon(right, poly);
 
@@ -889,7 +1836,7 @@ function SnapGuides({ active, setExternalRoadsGetter, offsetMeters = 4, boundary
     } catch (err) {
       console.warn('rebuildGuides failed', err);
     }
-  }, [boundary, offsetMeters, clipLineToPolygon, createFromFc, removeManagedGuides]);
+  }, [boundary, curbOffset, clipLineToPolygon, createFromFc, removeManagedGuides]);
 
   // expose roads getter (unchanged)
   useEffect(() => {
@@ -910,7 +1857,8 @@ function SnapGuides({ active, setExternalRoadsGetter, offsetMeters = 4, boundary
     const coords = boundary.map(([lat, lng]) => [lng, lat]);
     const poly = turf.polygon([[...coords, coords[0]]]);
     const bboxArr = turf.bbox(poly);
-    const cur = bboxArr.join(",");
+    // a different source (or a new local file) needs a reload for the same bbox
+    const cur = `${bboxArr.join(",")}|${roadSource.settings.source}|${roadSource.file?.loadedAt ?? ""}`;
 
     if (lastBBoxRef.current && cur === lastBBoxRef.current) {
       rebuildGuides();
@@ -921,15 +1869,18 @@ function SnapGuides({ active, setExternalRoadsGetter, offsetMeters = 4, boundary
     fetchingRef.current = true;
     try {
       beginLoading();
-      const fc = await fetchOSMRoadsForBBox(bboxArr, (rawMsg) => {
-        // Map known raw messages to translated status messages where possible
-        let m = rawMsg;
-        if (/retrying/i.test(rawMsg) && translations[lang]?.snap?.retrying) {
-          m = translations[lang].snap.retrying;
-        } else if (/timed out/i.test(rawMsg) && translations[lang]?.snap?.timedOut) {
-          m = translations[lang].snap.timedOut;
-        }
-        setStatusMessage(m);
+      // cached tiles are used as-is; only missing ones go to Overpass
+      const { fc } = await loadRoadNetwork(bboxArr, roadSource, {
+        onProgress: (rawMsg) => {
+          // Map known raw messages to translated status messages where possible
+          let m = rawMsg;
+          if (/retrying/i.test(rawMsg) && translations[lang]?.snap?.retrying) {
+            m = translations[lang].snap.retrying;
+          } else if (/timed out/i.test(rawMsg) && translations[lang]?.snap?.timedOut) {
+            m = translations[lang].snap.timedOut;
+          }
+          setStatusMessage(m);
+        },
       });
   setProgress(0.9);
   setStatusMessage(translations[lang]?.snap?.loading || 'Building guides...');
@@ -960,7 +1911,7 @@ function SnapGuides({ active, setExternalRoadsGetter, offsetMeters = 4, boundary
     } finally {
       fetchingRef.current = false;
     }
-  }, [active, boundary, rebuildGuides, removeAllGuides, beginLoading, endLoading]);
+  }, [active, boundary, roadSource, rebuildGuides, removeAllGuides, beginLoading, endLoading]);
 
   useEffect(() => {
     if (!active) {
@@ -990,6 +1941,16 @@ function SnapGuides({ active, setExternalRoadsGetter, offsetMeters = 4, boundary
     return () => { try { map.off('ps:boundary-finalized', handler); } catch {} };
   }, [map, removeAllGuides, maybeFetch, beginLoading, endLoading]);
 
+  // road cache was prepared or refreshed: reload from it
+  useEffect(() => {
+    const handler = () => {
+      lastBBoxRef.current = null;
+      maybeFetch();
+    };
+    map.on('ps:roads-updated', handler);
+    return () => { map.off('ps:roads-updated', handler); };
+  }, [map, maybeFetch]);
+
   return (
     <>
       {loading && !errorMessage && (
@@ -1254,7 +2215,7 @@ function findShortestGuidePath(map, startInfo, endInfo) {
   return finalPath.length > 0 ? finalPath : null;
 }
 
-function GeomanDraw({ onCreated, onEdited, onDeleted, snapSide, getRoadsFc, boundary }) {
+function GeomanDraw({ onCreated, onEdited, onDeleted, snapSide, getRoadsFc, boundary, curbOffset = DEFAULT_CURB_OFFSET }) {
   const map = useMap();
   const drawnLayerGroupRef = useRef(L.featureGroup());
   const initRef = useRef(false);
@@ -1267,6 +2228,9 @@ function GeomanDraw({ onCreated, onEdited, onDeleted, snapSide, getRoadsFc, boun
   const offsetRef    = useRef(null);   // turf LineString (offset roadside)
   const snapSideRef  = useRef(snapSide);
   useEffect(() => { snapSideRef.current = snapSide; }, [snapSide]);
+  // handlers are bound once, so they read the survey's curb offset through a ref
+  const curbOffsetRef = useRef(curbOffset);
+  useEffect(() => { curbOffsetRef.current = curbOffset; }, [curbOffset]);
   
   const clearGuides = React.useCallback(() => {
     if (guidesRef.current) {
@@ -1350,19 +2314,6 @@ function GeomanDraw({ onCreated, onEdited, onDeleted, snapSide, getRoadsFc, boun
     return cross > 0 ? "left" : "right";
   }, [map]);
 
-  const findClosestRoad = React.useCallback((roadsFc, clickLngLat) => {
-    let best = null, bestDist = Infinity;
-    const pt = turf.point(clickLngLat);
-    for (const f of roadsFc.features) {
-      try {
-        const nearest = turf.nearestPointOnLine(f, pt, { units: "meters" });
-        const d = Number.isFinite(nearest.properties?.dist) ? nearest.properties.dist : Infinity;
-        if (d < bestDist) { bestDist = d; best = f; }
-      } catch {}
-    }
-    return best;
-  }, []);
-
   const snapMarkerAndPolyline = React.useCallback((marker, layer) => {
     const off = offsetRef.current;
     if (!off || !marker || !layer) return;
@@ -1401,7 +2352,7 @@ function GeomanDraw({ onCreated, onEdited, onDeleted, snapSide, getRoadsFc, boun
 
     map.pm.addControls({
       position: "topleft",
-      drawMarker: false,
+      drawMarker: true,
       drawCircleMarker: false,
       drawCircle: false,
       drawText: false,
@@ -1416,6 +2367,7 @@ function GeomanDraw({ onCreated, onEdited, onDeleted, snapSide, getRoadsFc, boun
 
     map.pm.setPathOptions({ color: "#2563eb", weight: 5 });
     map.pm.setGlobalOptions({
+      markerStyle: { icon: pointIcon("sign") },
       snappable: true,
       snapDistance: 30,
       snapSegment: true,
@@ -1619,7 +2571,10 @@ function GeomanDraw({ onCreated, onEdited, onDeleted, snapSide, getRoadsFc, boun
           if (!road) return;
 
           const side = computeSideForClick(road, clickLngLat);
-          const dist = side === "left" ? 4 : -4;
+          // the curb the user clicked on becomes the segment's side
+          wrk._side = side;
+          const meters = curbOffsetFor(road, curbOffsetRef.current);
+          const dist = side === "left" ? meters : -meters;
           const off = turf.lineOffset(road, dist, { units: "meters" });
           offsetRef.current = off;
 
@@ -1665,7 +2620,8 @@ function GeomanDraw({ onCreated, onEdited, onDeleted, snapSide, getRoadsFc, boun
         if (!road) return;
 
         const side = computeSideForClick(road, clickLngLat);
-        const dist = side === "left" ? 4 : -4;
+        const meters = curbOffsetFor(road, curbOffsetRef.current);
+        const dist = side === "left" ? meters : -meters;
         const off = turf.lineOffset(road, dist, { units: "meters" });
         offsetRef.current = off;
 
@@ -1739,6 +2695,7 @@ function GeomanDraw({ onCreated, onEdited, onDeleted, snapSide, getRoadsFc, boun
       
       const fid = crypto.randomUUID();
       layer._fid = fid;
+      layer._side = wrk?._side ?? null;
       const geo = layer.toGeoJSON();
       
       // Clear any per-draw guides when creating a study area; persistent
@@ -1757,6 +2714,10 @@ function GeomanDraw({ onCreated, onEdited, onDeleted, snapSide, getRoadsFc, boun
       } else if (shape === "Rectangle") {
         console.debug("[pm:create] creating rectangle");
         onCreated(geo, layer, "rectangle"); layer.remove();
+      } else if (shape === "Marker") {
+        // one point at a time: its form opens right away
+        map.pm.disableDraw();
+        onCreated(geo, layer, "marker"); layer.remove();
       }
     });
 
@@ -1774,7 +2735,6 @@ function GeomanDraw({ onCreated, onEdited, onDeleted, snapSide, getRoadsFc, boun
   }, [
     map,
     clearGuides,
-    fetchOSMRoadsForBBox,
     buildOffsetGuides,
     computeSideForClick,
     findClosestRoad,
@@ -1803,51 +2763,1021 @@ async function compressImage(file, maxW = 1280, quality = 0.75) {
   const ctx = canvas.getContext("2d");
   ctx.drawImage(img, 0, 0, w, h);
 
-  const dataUrl = canvas.toDataURL("image/jpeg", quality);
+  const blob = await new Promise((res, rej) =>
+    canvas.toBlob((b) => (b ? res(b) : rej(new Error("Image compression failed"))), "image/jpeg", quality)
+  );
   URL.revokeObjectURL(imgUrl);
-  return dataUrl;
+  return blob;
 }
 
-function fileToDataUrl(file) {
-  return new Promise((resolve, reject) => {
-    const reader = new FileReader();
-    reader.onload = () => resolve(reader.result);
-    reader.onerror = reject;
-    reader.readAsDataURL(file);
-  });
+// Downscaled PNG of a logo file for the report cover: { dataUrl, width, height }
+async function readLogo(file, maxSize = 600) {
+  const imgUrl = URL.createObjectURL(file);
+  try {
+    const img = await new Promise((res, rej) => {
+      const im = new Image();
+      im.onload = () => res(im);
+      im.onerror = () => rej(new Error("Could not read image"));
+      im.src = imgUrl;
+    });
+    const scale = Math.min(1, maxSize / Math.max(img.width, img.height));
+    const width = Math.max(1, Math.round(img.width * scale));
+    const height = Math.max(1, Math.round(img.height * scale));
+    const canvas = document.createElement("canvas");
+    canvas.width = width;
+    canvas.height = height;
+    canvas.getContext("2d").drawImage(img, 0, 0, width, height);
+    return { dataUrl: canvas.toDataURL("image/png"), width, height };
+  } finally {
+    URL.revokeObjectURL(imgUrl);
+  }
 }
 
-function MetadataForm({ feature, onSave, onCancel, onDelete }) {
-  const [category, setCategory] = useState(feature?.properties?.category || "free");
-  const [spaces, setSpaces] = useState(feature?.properties?.spaces ?? 0);
-  const [rules, setRules] = useState(feature?.properties?.rules || "");
-  const [limitMins, setLimitMins] = useState(feature?.properties?.limitMins ?? 120);
-  const [street, setStreet] = useState(feature?.properties?.street || "");
-  const [notes, setNotes] = useState(feature?.properties?.notes || "");
-  const [images, setImages] = useState(feature?.properties?.images || []);
+// Thumbnail for a stored photo ({ photoId } or legacy { dataUrl })
+function PhotoThumb({ image, alt, style }) {
+  const src = usePhotoUrl(image);
+  if (!src) return <div style={{ ...style, background: "#f3f4f6" }} />;
+  return <img src={src} alt={alt} style={style} />;
+}
 
-  async function handleAddImages(e) {
-    const files = Array.from(e.target.files || []).slice(0, 12);
-    const dataUrls = [];
-    for (const f of files) {
-      try {
-        dataUrls.push(await compressImage(f, 1280, 0.75));
-      } catch {
-        dataUrls.push(await fileToDataUrl(f));
-      }
+// Export options: file format plus per-format settings
+function ExportDialog({ t, onExport, onClose }) {
+  const te = t.exportDialog;
+  const [format, setFormat] = useState("geojson");
+  const [schema, setSchema] = useState("nested");
+  const [photos, setPhotos] = useState("strip");
+
+  const fieldStyle = { width: "100%", marginTop: 6, padding: "6px 8px", border: "1px solid #ddd", borderRadius: 6 };
+
+  return (
+    <div
+      style={{
+        position: "fixed",
+        inset: 0,
+        background: "rgba(0,0,0,0.4)",
+        display: "grid",
+        placeItems: "center",
+        padding: 16,
+        zIndex: 1000,
+      }}
+    >
+      <div style={{ background: "#fff", borderRadius: 16, padding: 16, width: "100%", maxWidth: 440 }}>
+        <div style={{ fontSize: 18, fontWeight: 600, marginBottom: 12 }}>{te.title}</div>
+
+        <div style={{ display: "grid", gap: 12 }}>
+          <label style={{ fontSize: 14 }}>
+            {te.format}
+            <select style={fieldStyle} value={format} onChange={(e) => setFormat(e.target.value)}>
+              {Object.entries(te.formats).map(([k, label]) => (
+                <option key={k} value={k}>{label}</option>
+              ))}
+            </select>
+          </label>
+
+          {format === "geojson" && (
+            <>
+              <label style={{ fontSize: 14 }}>
+                {te.schema}
+                <select style={fieldStyle} value={schema} onChange={(e) => setSchema(e.target.value)}>
+                  <option value="nested">{te.schemas.nested}</option>
+                  <option value="flat">{te.schemas.flat}</option>
+                </select>
+              </label>
+              <label style={{ fontSize: 14 }}>
+                {te.photos}
+                <select style={fieldStyle} value={photos} onChange={(e) => setPhotos(e.target.value)}>
+                  <option value="strip">{te.photoModes.strip}</option>
+                  <option value="reference">{te.photoModes.reference}</option>
+                  <option value="embed">{te.photoModes.embed}</option>
+                </select>
+              </label>
+            </>
+          )}
+        </div>
+
+        <div style={{ display: "flex", justifyContent: "flex-end", gap: 8, marginTop: 16 }}>
+          <button onClick={onClose}>{te.cancel}</button>
+          <button
+            style={{ background: "#111827", color: "#fff", border: "none", padding: "8px 12px", borderRadius: 12 }}
+            onClick={() => onExport({ format, schema, photos })}
+          >
+            {te.export}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Survey settings: report metadata (cover, footer, file names)
+function SurveySettingsDialog({ t, info, onSave, onClose }) {
+  const ts = t.surveySettings;
+  const [draft, setDraft] = useState(info);
+  const set = (key) => (e) => setDraft((d) => ({ ...d, [key]: e.target.value }));
+
+  const onLogo = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const logo = await readLogo(file);
+      setDraft((d) => ({ ...d, logo }));
+    } catch {
+      alert(ts.logoFailed);
     }
-    const newImgs = dataUrls.map((d) => ({ dataUrl: d, caption: "" }));
-    setImages((prev) => [...prev, ...newImgs]);
+  };
+
+  const fieldStyle = { width: "100%", marginTop: 6, padding: "6px 8px", border: "1px solid #ddd", borderRadius: 6, boxSizing: "border-box" };
+
+  return (
+    <div
+      style={{
+        position: "fixed",
+        inset: 0,
+        background: "rgba(0,0,0,0.4)",
+        display: "grid",
+        placeItems: "center",
+        padding: 16,
+        zIndex: 1000,
+      }}
+    >
+      <div style={{ background: "#fff", borderRadius: 16, padding: 16, width: "100%", maxWidth: 480, maxHeight: "90vh", overflowY: "auto" }}>
+        <div style={{ fontSize: 18, fontWeight: 600, marginBottom: 12 }}>{ts.title}</div>
+
+        <div style={{ display: "grid", gap: 12 }}>
+          <label style={{ fontSize: 14 }}>
+            {ts.reportTitle}
+            <input style={fieldStyle} value={draft.title} placeholder={t.pdf.title} onChange={set("title")} />
+          </label>
+          <label style={{ fontSize: 14 }}>
+            {ts.subtitle}
+            <input style={fieldStyle} value={draft.subtitle} onChange={set("subtitle")} />
+          </label>
+          <label style={{ fontSize: 14 }}>
+            {ts.area}
+            <input style={fieldStyle} value={draft.area} onChange={set("area")} />
+          </label>
+          <label style={{ fontSize: 14 }}>
+            {ts.author}
+            <input style={fieldStyle} value={draft.author} onChange={set("author")} />
+          </label>
+          <label style={{ fontSize: 14 }}>
+            {ts.date}
+            <input type="date" style={fieldStyle} value={draft.date} onChange={set("date")} />
+          </label>
+          <div style={{ fontSize: 14 }}>
+            {ts.logo}
+            <div style={{ display: "flex", alignItems: "center", gap: 8, marginTop: 6 }}>
+              {draft.logo && (
+                <img src={draft.logo.dataUrl} alt={ts.logo} style={{ maxHeight: 48, maxWidth: 160, border: "1px solid #eee", borderRadius: 6 }} />
+              )}
+              <label style={{ cursor: "pointer", padding: "6px 10px", border: "1px solid #ddd", borderRadius: 6 }}>
+                {draft.logo ? ts.changeLogo : ts.addLogo}
+                <input type="file" accept="image/*" style={{ display: "none" }} onChange={onLogo} />
+              </label>
+              {draft.logo && <button onClick={() => setDraft((d) => ({ ...d, logo: null }))}>{ts.removeLogo}</button>}
+            </div>
+          </div>
+        </div>
+
+        <div style={{ display: "flex", justifyContent: "flex-end", gap: 8, marginTop: 16 }}>
+          <button onClick={onClose}>{ts.cancel}</button>
+          <button
+            style={{ background: "#111827", color: "#fff", border: "none", padding: "8px 12px", borderRadius: 12 }}
+            onClick={() => onSave(draft)}
+          >
+            {ts.save}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Dialog for the road data source used by snapping (device-wide)
+function RoadSettingsDialog({ t, roadSource, onSave, onClose }) {
+  const tr = t.roadSettings;
+  const [draft, setDraft] = useState(roadSource.settings);
+  // undefined = keep the stored file
+  const [file, setFile] = useState(undefined);
+  const [newEndpoint, setNewEndpoint] = useState("");
+  const shownFile = file === undefined ? roadSource.file : file;
+
+  const setEndpoints = (endpoints) => setDraft((d) => ({ ...d, endpoints }));
+  const move = (i, delta) => {
+    const next = [...draft.endpoints];
+    [next[i], next[i + delta]] = [next[i + delta], next[i]];
+    setEndpoints(next);
+  };
+  const addEndpoint = () => {
+    const url = newEndpoint.trim();
+    if (!url || draft.endpoints.includes(url)) return;
+    setEndpoints([...draft.endpoints, url]);
+    setNewEndpoint("");
+  };
+
+  const onFile = async (e) => {
+    const picked = e.target.files?.[0];
     e.target.value = "";
-  }
+    if (!picked) return;
+    const parsed = parseRoadFile(await picked.text(), picked.name);
+    if (!parsed) {
+      alert(tr.fileFailed);
+      return;
+    }
+    setFile(parsed);
+    setDraft((d) => ({ ...d, source: "file" }));
+  };
 
-  function updateCaption(i, val) {
-    setImages((prev) => prev.map((img, idx) => (idx === i ? { ...img, caption: val } : img)));
-  }
+  const fieldStyle = { width: "100%", marginTop: 6, padding: "6px 8px", border: "1px solid #ddd", borderRadius: 6, boxSizing: "border-box" };
+  const smallBtn = { fontSize: 12, border: "1px solid #e5e7eb", borderRadius: 6, background: "#fff", padding: "2px 6px" };
 
-  function removeImage(i) {
-    setImages((prev) => prev.filter((_, idx) => idx !== i));
-  }
+  return (
+    <div
+      style={{
+        position: "fixed",
+        inset: 0,
+        background: "rgba(0,0,0,0.4)",
+        display: "grid",
+        placeItems: "center",
+        padding: 16,
+        zIndex: 1000,
+      }}
+    >
+      <div style={{ background: "#fff", borderRadius: 16, padding: 16, width: "100%", maxWidth: 520, maxHeight: "90vh", overflowY: "auto" }}>
+        <div style={{ fontSize: 18, fontWeight: 600, marginBottom: 12 }}>{tr.title}</div>
+
+        <div style={{ display: "grid", gap: 12, fontSize: 14 }}>
+          <div>
+            {tr.source}
+            {["overpass", "file"].map((src) => (
+              <label key={src} style={{ display: "flex", alignItems: "center", gap: 6, marginTop: 6 }}>
+                <input type="radio" name="roadSource" checked={draft.source === src} onChange={() => setDraft((d) => ({ ...d, source: src }))} />
+                {tr.sources[src]}
+              </label>
+            ))}
+          </div>
+
+          {draft.source === "overpass" ? (
+            <>
+              <div>
+                {tr.endpoints}
+                {draft.endpoints.map((url, i) => (
+                  <div key={url} style={{ display: "flex", alignItems: "center", gap: 4, marginTop: 6 }}>
+                    <span style={{ flex: 1, fontFamily: "monospace", fontSize: 12, overflowWrap: "anywhere" }}>{i + 1}. {url}</span>
+                    <button style={smallBtn} title={tr.moveUp} disabled={i === 0} onClick={() => move(i, -1)}>↑</button>
+                    <button style={smallBtn} title={tr.moveDown} disabled={i === draft.endpoints.length - 1} onClick={() => move(i, 1)}>↓</button>
+                    <button
+                      style={smallBtn}
+                      title={tr.remove}
+                      disabled={draft.endpoints.length === 1}
+                      onClick={() => setEndpoints(draft.endpoints.filter((u) => u !== url))}
+                    >
+                      ✕
+                    </button>
+                  </div>
+                ))}
+                <div style={{ display: "flex", gap: 6, marginTop: 6 }}>
+                  <input
+                    style={{ ...fieldStyle, marginTop: 0, flex: 1 }}
+                    value={newEndpoint}
+                    placeholder="https://…/api/interpreter"
+                    onChange={(e) => setNewEndpoint(e.target.value)}
+                    onKeyDown={(e) => { if (e.key === "Enter") addEndpoint(); }}
+                  />
+                  <button onClick={addEndpoint}>{tr.addEndpoint}</button>
+                </div>
+                <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 8, marginTop: 6, fontSize: 12, color: "#6b7280" }}>
+                  <span>{draft.endpoints.includes(PROXY_ENDPOINT) ? tr.proxyHint : ""}</span>
+                  <button style={smallBtn} onClick={() => setEndpoints(DEFAULT_ROAD_SETTINGS.endpoints)}>{tr.resetEndpoints}</button>
+                </div>
+              </div>
+              <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 12 }}>
+                <label>
+                  {tr.timeout}
+                  <input
+                    type="number"
+                    min={5}
+                    max={300}
+                    style={fieldStyle}
+                    value={draft.timeoutSecs}
+                    onChange={(e) => setDraft((d) => ({ ...d, timeoutSecs: Number(e.target.value) }))}
+                  />
+                </label>
+                <label>
+                  {tr.retries}
+                  <input
+                    type="number"
+                    min={1}
+                    max={5}
+                    style={fieldStyle}
+                    value={draft.retries}
+                    onChange={(e) => setDraft((d) => ({ ...d, retries: Number(e.target.value) }))}
+                  />
+                </label>
+              </div>
+            </>
+          ) : (
+            <div>
+              {tr.file}
+              <div style={{ display: "flex", alignItems: "center", gap: 8, marginTop: 6 }}>
+                <span style={{ flex: 1, fontSize: 12, color: "#6b7280" }}>
+                  {shownFile ? tr.usingFile.replace("{name}", shownFile.name).replace("{n}", shownFile.fc.features.length) : tr.noFile}
+                </span>
+                <label style={{ cursor: "pointer", padding: "6px 10px", border: "1px solid #ddd", borderRadius: 6 }}>
+                  {tr.chooseFile}
+                  <input type="file" accept=".geojson,.json,.osm,.xml,application/geo+json,application/json" style={{ display: "none" }} onChange={onFile} />
+                </label>
+                {shownFile && <button onClick={() => setFile(null)}>{tr.remove}</button>}
+              </div>
+            </div>
+          )}
+        </div>
+
+        <div style={{ display: "flex", justifyContent: "flex-end", gap: 8, marginTop: 16 }}>
+          <button onClick={onClose}>{tr.cancel}</button>
+          <button
+            style={{ background: "#111827", color: "#fff", border: "none", padding: "8px 12px", borderRadius: 12 }}
+            onClick={() => onSave({ settings: draft, file })}
+          >
+            {tr.save}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Dialog for the survey's space estimation model (stall lengths and deductions)
+function CapacityModelDialog({ t, model, onSave, onClose }) {
+  const tm = t.capacityModel;
+  const [draft, setDraft] = useState(model);
+  const setLength = (vehicle, orientation, value) => setDraft((d) => ({
+    ...d,
+    stallLengths: { ...d.stallLengths, [vehicle]: { ...d.stallLengths[vehicle], [orientation]: value } },
+  }));
+  const setDeduction = (key, value) => setDraft((d) => ({ ...d, deductions: { ...d.deductions, [key]: value } }));
+
+  const fieldStyle = { width: "100%", padding: "4px 6px", border: "1px solid #ddd", borderRadius: 6, boxSizing: "border-box" };
+  const cell = { padding: 4, textAlign: "left" };
+
+  return (
+    <div
+      style={{
+        position: "fixed",
+        inset: 0,
+        background: "rgba(0,0,0,0.4)",
+        display: "grid",
+        placeItems: "center",
+        padding: 16,
+        zIndex: 1000,
+      }}
+    >
+      <div style={{ background: "#fff", borderRadius: 16, padding: 16, width: "100%", maxWidth: 520, maxHeight: "90vh", overflowY: "auto" }}>
+        <div style={{ fontSize: 18, fontWeight: 600, marginBottom: 4 }}>{tm.title}</div>
+        <div style={{ color: "#6b7280", fontSize: 12, marginBottom: 12 }}>{tm.hint}</div>
+
+        <div style={{ display: "grid", gap: 12, fontSize: 14 }}>
+          <label>
+            {tm.vehicle}
+            <select
+              style={{ ...fieldStyle, marginTop: 6, padding: "6px 8px" }}
+              value={draft.vehicle}
+              onChange={(e) => setDraft((d) => ({ ...d, vehicle: e.target.value }))}
+            >
+              {VEHICLE_TYPES.map((v) => (
+                <option key={v} value={v}>{tm.vehicles[v]}</option>
+              ))}
+            </select>
+          </label>
+
+          <div>
+            {tm.stallLengths}
+            <table style={{ width: "100%", borderCollapse: "collapse", marginTop: 6 }}>
+              <thead>
+                <tr>
+                  <th style={cell} />
+                  {VEHICLE_TYPES.map((v) => (
+                    <th key={v} style={{ ...cell, fontWeight: v === draft.vehicle ? 600 : 400 }}>{tm.vehicles[v]}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {ORIENTATIONS.map((o) => (
+                  <tr key={o}>
+                    <td style={cell}>{t.orientation.types[o]}</td>
+                    {VEHICLE_TYPES.map((v) => (
+                      <td key={v} style={cell}>
+                        <input
+                          type="number"
+                          min={STALL_LENGTH_RANGE.min}
+                          max={STALL_LENGTH_RANGE.max}
+                          step={0.1}
+                          style={fieldStyle}
+                          value={draft.stallLengths[v][o]}
+                          onChange={(e) => setLength(v, o, Number(e.target.value))}
+                        />
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div>
+            {tm.deductions}
+            <div style={{ display: "grid", gridTemplateColumns: "repeat(3, 1fr)", gap: 8, marginTop: 6 }}>
+              {DEDUCTION_TYPES.map((key) => (
+                <label key={key} style={{ fontSize: 12 }}>
+                  {tm.deductionTypes[key]}
+                  <input
+                    type="number"
+                    min={DEDUCTION_RANGE.min}
+                    max={DEDUCTION_RANGE.max}
+                    step={0.5}
+                    style={{ ...fieldStyle, marginTop: 4 }}
+                    value={draft.deductions[key]}
+                    onChange={(e) => setDeduction(key, Number(e.target.value))}
+                  />
+                </label>
+              ))}
+            </div>
+          </div>
+        </div>
+
+        <div style={{ display: "flex", justifyContent: "space-between", gap: 8, marginTop: 16 }}>
+          <button onClick={() => setDraft(DEFAULT_CAPACITY_MODEL)}>{tm.reset}</button>
+          <div style={{ display: "flex", gap: 8 }}>
+            <button onClick={onClose}>{tm.cancel}</button>
+            <button
+              style={{ background: "#111827", color: "#fff", border: "none", padding: "8px 12px", borderRadius: 12 }}
+              onClick={() => onSave(draft)}
+            >
+              {tm.save}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Dialog for editing the survey's category registry
+function CategoryEditor({ t, categories, setCategories, features, onClose }) {
+  const te = t.categoryEditor;
+  const used = React.useMemo(() => {
+    const ids = new Set();
+    for (const f of features) if (f?.properties?.category) ids.add(f.properties.category);
+    return ids;
+  }, [features]);
+
+  const update = (id, patch) => {
+    setCategories((prev) => prev.map((c) => (c.id === id ? { ...c, ...patch } : c)));
+  };
+  const updateLabel = (id, lng, value) => {
+    setCategories((prev) => prev.map((c) => (c.id === id ? { ...c, label: { ...c.label, [lng]: value } } : c)));
+  };
+  const addCategory = () => {
+    setCategories((prev) => [
+      ...prev,
+      {
+        id: makeCategoryId(te.newLabel, prev),
+        label: { en: translations.en.categoryEditor.newLabel, de: translations.de.categoryEditor.newLabel },
+        color: "#64748b",
+        lineStyle: "solid",
+        countsTowardCapacity: true,
+      },
+    ]);
+  };
+  const removeCategory = (id) => {
+    setCategories((prev) => (prev.length > 1 ? prev.filter((c) => c.id !== id) : prev));
+  };
+
+  const inputStyle = { width: "100%", padding: "4px 6px", border: "1px solid #ddd", borderRadius: 6, fontSize: 13, boxSizing: "border-box" };
+
+  return (
+    <div
+      style={{
+        position: "fixed",
+        inset: 0,
+        background: "rgba(0,0,0,0.4)",
+        display: "grid",
+        placeItems: "center",
+        padding: 16,
+        zIndex: 1000,
+      }}
+    >
+      <div style={{ background: "#fff", borderRadius: 16, padding: 16, width: "100%", maxWidth: 760, maxHeight: "90vh", overflowY: "auto" }}>
+        <div style={{ fontSize: 18, fontWeight: 600, marginBottom: 12 }}>{te.title}</div>
+
+        <div style={{ display: "grid", gridTemplateColumns: "44px 1fr 1fr 110px 70px 90px", gap: 8, alignItems: "center", fontSize: 12, color: "#6b7280", marginBottom: 4 }}>
+          <span>{te.color}</span>
+          <span>{te.labelEn}</span>
+          <span>{te.labelDe}</span>
+          <span>{te.lineStyle}</span>
+          <span>{te.counts}</span>
+          <span />
+        </div>
+
+        {categories.map((c) => (
+          <div
+            key={c.id}
+            style={{ display: "grid", gridTemplateColumns: "44px 1fr 1fr 110px 70px 90px", gap: 8, alignItems: "center", marginBottom: 6 }}
+          >
+            <input
+              type="color"
+              value={c.color}
+              onChange={(e) => update(c.id, { color: e.target.value })}
+              style={{ width: 40, height: 28, padding: 0, border: "1px solid #ddd", borderRadius: 6 }}
+            />
+            <input style={inputStyle} value={c.label?.en ?? ""} onChange={(e) => updateLabel(c.id, "en", e.target.value)} />
+            <input style={inputStyle} value={c.label?.de ?? ""} onChange={(e) => updateLabel(c.id, "de", e.target.value)} />
+            <select style={inputStyle} value={c.lineStyle} onChange={(e) => update(c.id, { lineStyle: e.target.value })}>
+              {Object.keys(LINE_STYLES).map((k) => (
+                <option key={k} value={k}>{te.lineStyles[k]}</option>
+              ))}
+            </select>
+            <input
+              type="checkbox"
+              title={te.countsHint}
+              checked={c.countsTowardCapacity}
+              onChange={(e) => update(c.id, { countsTowardCapacity: e.target.checked })}
+            />
+            <button
+              onClick={() => removeCategory(c.id)}
+              disabled={used.has(c.id) || categories.length <= 1}
+              title={used.has(c.id) ? te.inUse : te.remove}
+              style={{ fontSize: 12, border: "1px solid #eee", borderRadius: 6, background: "#fff", padding: "4px 6px" }}
+            >
+              {te.remove}
+            </button>
+          </div>
+        ))}
+
+        <div style={{ display: "flex", justifyContent: "space-between", gap: 8, marginTop: 12 }}>
+          <div style={{ display: "flex", gap: 8 }}>
+            <button onClick={addCategory}>{te.add}</button>
+            <button
+              onClick={() => {
+                // keep any categories still referenced by segments
+                setCategories((prev) => [
+                  ...DEFAULT_CATEGORIES,
+                  ...prev.filter((c) => used.has(c.id) && !DEFAULT_CATEGORIES.some((d) => d.id === c.id)),
+                ]);
+              }}
+            >
+              {te.reset}
+            </button>
+          </div>
+          <button
+            style={{ background: "#111827", color: "#fff", border: "none", padding: "8px 12px", borderRadius: 12 }}
+            onClick={onClose}
+          >
+            {te.done}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Editor for a segment's time-windowed regulations
+function RegulationEditor({ t, regulations, onChange }) {
+  const tr = t.regulations;
+  const update = (id, patch) => onChange(regulations.map((r) => (r.id === id ? { ...r, ...patch } : r)));
+  const toggleDay = (r, day) => update(r.id, { days: r.days.includes(day) ? r.days.filter((d) => d !== day) : [...r.days, day].sort() });
+  const numberOrUndefined = (v) => (v === "" ? undefined : Number(v));
+  const inputStyle = { padding: "4px 6px", border: "1px solid #ddd", borderRadius: 6, fontSize: 13 };
+
+  return (
+    <div style={{ display: "grid", gap: 8 }}>
+      {regulations.map((r) => (
+        <div key={r.id} style={{ border: "1px solid #e5e7eb", borderRadius: 10, padding: 8, display: "grid", gap: 6 }}>
+          <div style={{ display: "flex", gap: 6, alignItems: "center", flexWrap: "wrap" }}>
+            <select style={inputStyle} value={r.type} aria-label={tr.type} onChange={(e) => update(r.id, { type: e.target.value })}>
+              {REGULATION_TYPES.map((type) => (
+                <option key={type} value={type}>{tr.types[type]}</option>
+              ))}
+            </select>
+            <label style={{ fontSize: 13 }}>
+              {tr.start} <input type="time" style={inputStyle} value={r.start} onChange={(e) => update(r.id, { start: e.target.value || "00:00" })} />
+            </label>
+            <label style={{ fontSize: 13 }}>
+              {tr.end} <input type="time" style={inputStyle} value={r.end === "24:00" ? "" : r.end} onChange={(e) => update(r.id, { end: e.target.value || "24:00" })} />
+            </label>
+            <button
+              onClick={() => onChange(regulations.filter((x) => x.id !== r.id))}
+              style={{ marginLeft: "auto", fontSize: 12, border: "1px solid #eee", borderRadius: 6, background: "#fff", padding: "4px 6px" }}
+            >
+              {tr.remove}
+            </button>
+          </div>
+          <div style={{ display: "flex", gap: 4, flexWrap: "wrap" }}>
+            {tr.days.map((label, i) => {
+              const day = i + 1;
+              const on = r.days.includes(day);
+              return (
+                <button
+                  key={day}
+                  onClick={() => toggleDay(r, day)}
+                  aria-pressed={on}
+                  style={{
+                    minWidth: 34,
+                    padding: "4px 6px",
+                    borderRadius: 6,
+                    border: "1px solid #d1d5db",
+                    background: on ? "#111827" : "#fff",
+                    color: on ? "#fff" : "#111827",
+                    fontSize: 12,
+                  }}
+                >
+                  {label}
+                </button>
+              );
+            })}
+          </div>
+          {r.type === "max_stay" && (
+            <label style={{ fontSize: 13 }}>
+              {tr.maxStay}{" "}
+              <input type="number" min={1} style={{ ...inputStyle, width: 80 }} value={r.maxStayMins ?? ""} onChange={(e) => update(r.id, { maxStayMins: numberOrUndefined(e.target.value) })} />
+            </label>
+          )}
+          {r.type === "paid" && (
+            <label style={{ fontSize: 13 }}>
+              {tr.fare}{" "}
+              <input type="number" min={0} step={0.1} style={{ ...inputStyle, width: 80 }} value={r.fare ?? ""} onChange={(e) => update(r.id, { fare: numberOrUndefined(e.target.value) })} />
+            </label>
+          )}
+          {r.type === "residents" && (
+            <label style={{ fontSize: 13 }}>
+              {tr.zone}{" "}
+              <input style={{ ...inputStyle, width: 100 }} value={r.zone ?? ""} onChange={(e) => update(r.id, { zone: e.target.value })} />
+            </label>
+          )}
+        </div>
+      ))}
+      <div>
+        <button onClick={() => onChange([...regulations, makeRegulation()])}>{tr.add}</button>
+      </div>
+    </div>
+  );
+}
+
+// Photo thumbnails with captions and an "Add photos" button (segment and point forms)
+function PhotoList({ lang, surveyId, storage, images, setImages }) {
+  async function handleAddImages(e) {
+    const input = e.target;
+    const files = Array.from(input.files || []).slice(0, 12);
+    input.value = "";
+    if (storage?.nearlyFull && !window.confirm(translations[lang].storage.confirmPhotosNearlyFull)) return;
+
+    const newImgs = [];
+    for (const f of files) {
+      let blob;
+      try {
+        blob = await compressImage(f, 1280, 0.75);
+      } catch {
+        blob = f;
+      }
+      try {
+        const photoId = await putPhoto(surveyId, blob);
+        newImgs.push({ photoId, caption: "" });
+      } catch (err) {
+        console.warn("Could not store photo", err);
+        alert(isQuotaError(err) ? translations[lang].storage.quotaExceeded : translations[lang].storage.photoFailed);
+        break;
+      }
+    }
+    setImages((prev) => [...prev, ...newImgs]);
+    storage?.refresh();
+  }
+
+  function updateCaption(i, val) {
+    setImages((prev) => prev.map((img, idx) => (idx === i ? { ...img, caption: val } : img)));
+  }
+
+  function removeImage(i) {
+    setImages((prev) => prev.filter((_, idx) => idx !== i));
+  }
+
+  return (
+    <>
+      <div style={{ display: "flex", gap: 8, flexWrap: "wrap", marginBottom: 8 }}>
+        {images.map((img, i) => (
+          <div key={img.photoId ?? i} style={{ width: 150 }}>
+            <PhotoThumb
+              image={img}
+              alt={`photo-${i}`}
+              style={{ width: "100%", height: 100, objectFit: "cover", borderRadius: 8, border: "1px solid #eee" }}
+            />
+            <input
+              placeholder="Caption (optional)"
+              value={img.caption}
+              onChange={(e) => updateCaption(i, e.target.value)}
+              style={{ width: "100%", marginTop: 6, padding: "4px 6px", border: "1px solid #ddd", borderRadius: 6, fontSize: 12 }}
+            />
+            <button
+              onClick={() => removeImage(i)}
+              style={{ marginTop: 4, fontSize: 12, border: "1px solid #eee", borderRadius: 6, background: "#fff", padding: "4px 6px" }}
+            >
+              Remove
+            </button>
+          </div>
+        ))}
+      </div>
+      <label style={{ padding: "8px 12px", borderRadius: 8, background: "#e5e7eb", cursor: "pointer", display: "inline-block" }}>
+        Add photos
+        <input type="file" accept="image/*" multiple style={{ display: "none" }} onChange={handleAddImages} />
+      </label>
+    </>
+  );
+}
+
+function MetadataForm({ feature, surveyId, categories, passes = [], capacityModel = DEFAULT_CAPACITY_MODEL, pointCounts = {}, lang, storage, onSave, onCancel, onDelete }) {
+  const [category, setCategory] = useState(feature?.properties?.category || categories[0]?.id || "free");
+  const [spaces, setSpaces] = useState(feature?.properties?.spaces ?? 0);
+  const legacyRules = legacyRulesText(feature?.properties);
+  const [regulations, setRegulations] = useState(() => migrateRegulations(feature)?.properties?.regulations ?? []);
+  const [street, setStreet] = useState(feature?.properties?.street || "");
+  const [side, setSide] = useState(feature?.properties?.side ?? "");
+  const [orientation, setOrientation] = useState(normalizeOrientation(feature?.properties?.orientation));
+  const [curbGaps, setCurbGaps] = useState({
+    driveways: feature?.properties?.driveways ?? 0,
+    hydrants: feature?.properties?.hydrants ?? 0,
+    intersectionEnds: feature?.properties?.intersectionEnds ?? 0,
+  });
+  const [notes, setNotes] = useState(feature?.properties?.notes || "");
+  const [images, setImages] = useState(feature?.properties?.images || []);
+  const [counts, setCounts] = useState(feature?.properties?.counts || {});
+
+  // keep the estimate in step unless spaces were counted by hand
+  function reestimate(props) {
+    if (!feature?.properties?.spacesEdited && feature?.properties?.length_m) {
+      setSpaces(estimateSpaces(feature.properties.length_m, props, capacityModel, pointCounts));
+    }
+  }
+
+  return (
+    <div
+      style={{
+        position: "fixed",
+        inset: 0,
+        background: "rgba(0,0,0,0.4)",
+        display: "grid",
+        placeItems: "center",
+        padding: 16,
+        zIndex: 1000,
+      }}
+    >
+      <div style={{ background: "#fff", borderRadius: 16, padding: 16, width: "100%", maxWidth: 700 }}>
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 8 }}>
+          <div style={{ fontSize: 18, fontWeight: 600 }}>Segment details</div>
+          <div style={{ fontSize: 12, color: "#6b7280" }}>ID: {feature?.properties?._id?.slice(0, 8) || "—"}</div>
+        </div>
+
+        <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 12 }}>
+          <label style={{ fontSize: 14 }}>
+            Street
+            <input
+              style={{ width: "100%", marginTop: 6, padding: "6px 8px", border: "1px solid #ddd", borderRadius: 6 }}
+              value={street}
+              onChange={(e) => setStreet(e.target.value)}
+              placeholder="e.g., Lutherstraße"
+            />
+            {feature?.properties?.osmWayId != null && (
+              <div style={{ fontSize: 12, color: "#6b7280", marginTop: 4 }}>
+                <a href={`https://www.openstreetmap.org/way/${feature.properties.osmWayId}`} target="_blank" rel="noreferrer">
+                  {translations[lang].osm.way} {feature.properties.osmWayId}
+                </a>
+              </div>
+            )}
+          </label>
+
+          <label style={{ fontSize: 14 }}>
+            Category
+            <select
+              style={{ width: "100%", marginTop: 6, padding: "6px 8px", border: "1px solid #ddd", borderRadius: 6 }}
+              value={category}
+              onChange={(e) => setCategory(e.target.value)}
+            >
+              {categories.map((c) => (
+                <option key={c.id} value={c.id}>{categoryLabel(c, lang)}</option>
+              ))}
+              {!categories.some((c) => c.id === category) && <option value={category}>{category}</option>}
+            </select>
+          </label>
+
+          <label style={{ fontSize: 14 }}>
+            Approx. spaces
+            <input
+              type="number"
+              style={{ width: "100%", marginTop: 6, padding: "6px 8px", border: "1px solid #ddd", borderRadius: 6 }}
+              value={spaces}
+              onChange={(e) => {
+                const v = parseInt(e.target.value || "0");
+                setSpaces(v);
+                feature.properties = feature.properties || {};
+                feature.properties.spacesEdited = true;
+              }}
+            />
+          </label>
+
+          {feature?.properties?.length_m && (
+            <label style={{ fontSize: 12, color: "#6b7280", display: "flex", alignItems: "flex-end" }}>
+              Estimated length: {feature.properties.length_m} m
+              {deductedLength(curbGaps, capacityModel, pointCounts) > 0 && ` − ${deductedLength(curbGaps, capacityModel, pointCounts)} m`}
+              {" "}(≈ {estimateSpaces(feature.properties.length_m, { ...curbGaps, orientation }, capacityModel, pointCounts)} spaces at {stallLength(orientation, capacityModel)} m)
+              {Object.keys(pointCounts).length > 0 && (
+                <> · {Object.entries(pointCounts).map(([type, n]) => `${POINT_ICONS[type]} ${n}`).join(" ")}</>
+              )}
+            </label>
+          )}
+
+          <label style={{ fontSize: 14 }}>
+            {translations[lang].orientation.side}
+            <select
+              style={{ width: "100%", marginTop: 6, padding: "6px 8px", border: "1px solid #ddd", borderRadius: 6 }}
+              value={side}
+              onChange={(e) => setSide(e.target.value)}
+            >
+              <option value="">{translations[lang].orientation.unknownSide}</option>
+              {SIDES.map((s) => (
+                <option key={s} value={s}>{translations[lang].osm.sides[s]}</option>
+              ))}
+            </select>
+          </label>
+
+          <label style={{ fontSize: 14 }}>
+            {translations[lang].orientation.title}
+            <select
+              style={{ width: "100%", marginTop: 6, padding: "6px 8px", border: "1px solid #ddd", borderRadius: 6 }}
+              value={orientation}
+              onChange={(e) => {
+                setOrientation(e.target.value);
+                reestimate({ ...curbGaps, orientation: e.target.value });
+              }}
+            >
+              {ORIENTATIONS.map((o) => (
+                <option key={o} value={o}>{translations[lang].orientation.types[o]}</option>
+              ))}
+            </select>
+          </label>
+
+          <div style={{ gridColumn: "1 / -1", display: "grid", gridTemplateColumns: "repeat(3, 1fr)", gap: 12 }}>
+            {["driveways", "hydrants", "intersectionEnds"].map((key) => (
+              <label key={key} style={{ fontSize: 14 }}>
+                {translations[lang].capacityModel.segmentCounts[key]}
+                <input
+                  type="number"
+                  min={0}
+                  max={key === "intersectionEnds" ? 2 : undefined}
+                  style={{ width: "100%", marginTop: 6, padding: "6px 8px", border: "1px solid #ddd", borderRadius: 6, boxSizing: "border-box" }}
+                  value={curbGaps[key]}
+                  onChange={(e) => {
+                    const n = Math.max(0, parseInt(e.target.value, 10) || 0);
+                    const next = { ...curbGaps, [key]: key === "intersectionEnds" ? Math.min(2, n) : n };
+                    setCurbGaps(next);
+                    reestimate({ ...next, orientation });
+                  }}
+                />
+              </label>
+            ))}
+          </div>
+
+          <div style={{ gridColumn: "1 / -1" }}>
+            <div style={{ fontSize: 14, fontWeight: 600 }}>{translations[lang].regulations.title}</div>
+            <div style={{ fontSize: 12, color: "#6b7280", marginBottom: 6 }}>{translations[lang].regulations.hint}</div>
+            {legacyRules && (
+              <div style={{ fontSize: 12, color: "#92400e", background: "#fffbeb", borderRadius: 6, padding: "4px 8px", marginBottom: 6 }}>
+                {translations[lang].regulations.parsedFrom} “{legacyRules}”
+              </div>
+            )}
+            <RegulationEditor t={translations[lang]} regulations={regulations} onChange={setRegulations} />
+            <div style={{ fontSize: 12, color: "#374151", marginTop: 6 }}>{summarizeRegulations(regulations, lang)}</div>
+          </div>
+
+          <label style={{ gridColumn: "1 / -1", fontSize: 14 }}>
+            Notes
+            <textarea
+              rows={3}
+              style={{ width: "100%", marginTop: 6, padding: "6px 8px", border: "1px solid #ddd", borderRadius: 6 }}
+              value={notes}
+              onChange={(e) => setNotes(e.target.value)}
+              placeholder="Observations, signage, construction, etc."
+            />
+          </label>
+
+          {/* Occupancy counts */}
+          {passes.length > 0 && (
+            <div style={{ gridColumn: "1 / -1" }}>
+              <div style={{ fontSize: 14, fontWeight: 600, marginBottom: 6 }}>{translations[lang].occupancy.counts}</div>
+              <div style={{ display: "grid", gap: 6 }}>
+                {passes.map((p) => (
+                  <div key={p.id} style={{ display: "flex", alignItems: "center", justifyContent: "space-between", gap: 8 }}>
+                    <span style={{ fontSize: 14 }}>{passLabel(p)}</span>
+                    <CountStepper
+                      t={translations[lang]}
+                      count={Number.isFinite(counts[p.id]) ? counts[p.id] : null}
+                      onChange={(n) => setCounts((prev) => {
+                        const next = { ...prev };
+                        if (n == null) delete next[p.id];
+                        else next[p.id] = n;
+                        return next;
+                      })}
+                    />
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {/* Images */}
+          <div style={{ gridColumn: "1 / -1" }}>
+            <div style={{ fontSize: 14, fontWeight: 600, marginBottom: 6 }}>Photos</div>
+            <PhotoList lang={lang} surveyId={surveyId} storage={storage} images={images} setImages={setImages} />
+          </div>
+        </div>
+
+        {/* Footer with Delete (left) + Cancel/Save (right) */}
+        <div style={{ display: "flex", justifyContent: "space-between", gap: 8, marginTop: 12 }}>
+          <button
+            onClick={() => {
+              if (window.confirm("Delete this segment?")) {
+                onDelete?.(feature?.properties?._id);
+              }
+            }}
+            style={{ background: "#fee2e2", color: "#b91c1c", border: "1px solid #fecaca", padding: "8px 12px", borderRadius: 12 }}
+            title="Delete this segment"
+          >
+            🗑️ Delete segment
+          </button>
+
+          <div style={{ display: "flex", gap: 8 }}>
+            <button onClick={onCancel}>Cancel</button>
+            <button
+              style={{ background: "#111827", color: "#fff", border: "none", padding: "8px 12px", borderRadius: 12 }}
+              onClick={() => {
+                const regs = normalizeRegulations(regulations);
+                const maxStay = regs.find((r) => r.type === "max_stay" && r.maxStayMins)?.maxStayMins;
+                onSave({
+                  category,
+                  spaces,
+                  regulations: regs,
+                  // readable copy for exports and older tools
+                  rules: regs.length ? summarizeRegulations(regs, lang) : legacyRules,
+                  limitMins: maxStay ?? feature?.properties?.limitMins ?? null,
+                  street,
+                  side: side || null,
+                  orientation,
+                  ...curbGaps,
+                  notes,
+                  images,
+                  counts,
+                });
+              }}
+            >
+              Save
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Bulk edit of the selected segments; fields left untouched keep each segment's value
+function BulkEditForm({ t, lang, features, categories, onSave, onCancel }) {
+  const tb = t.selection;
+  const [changes, setChanges] = useState({});
+  const shared = React.useMemo(() => Object.fromEntries(BULK_FIELDS.map((key) => [key, sharedValue(features, key)])), [features]);
+  const changed = (key) => key in changes;
+  const value = (key, fallback) => (changed(key) ? changes[key] : shared[key].mixed ? fallback : shared[key].value ?? fallback);
+  const set = (key, v) => setChanges((c) => ({ ...c, [key]: v }));
+  const keep = (key) => setChanges((c) => {
+    const next = { ...c };
+    delete next[key];
+    return next;
+  });
+
+  const inputStyle = { width: "100%", marginTop: 6, padding: "6px 8px", border: "1px solid #ddd", borderRadius: 6, boxSizing: "border-box" };
+  const mixedStyle = (key) => (shared[key].mixed && !changed(key) ? { fontStyle: "italic", background: "#f9fafb" } : null);
+  // "mixed" badge until the field is changed, then a way back to leaving it alone
+  const fieldLabel = (key, label) => (
+    <div style={{ display: "flex", justifyContent: "space-between", alignItems: "baseline", gap: 8 }}>
+      <span>{label}</span>
+      {changed(key) ? (
+        <button onClick={() => keep(key)} style={{ fontSize: 12, border: "none", background: "none", color: "#2563eb", padding: 0 }}>
+          {tb.keep}
+        </button>
+      ) : (
+        shared[key].mixed && (
+          <span style={{ fontSize: 11, color: "#92400e", background: "#fffbeb", borderRadius: 6, padding: "1px 6px" }}>{tb.mixed}</span>
+        )
+      )}
+    </div>
+  );
+  const regulations = value("regulations", []);
 
   return (
     <div
@@ -1861,143 +3791,136 @@ function MetadataForm({ feature, onSave, onCancel, onDelete }) {
         zIndex: 1000,
       }}
     >
-      <div style={{ background: "#fff", borderRadius: 16, padding: 16, width: "100%", maxWidth: 700 }}>
-        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 8 }}>
-          <div style={{ fontSize: 18, fontWeight: 600 }}>Segment details</div>
-          <div style={{ fontSize: 12, color: "#6b7280" }}>ID: {feature?.properties?._id?.slice(0, 8) || "—"}</div>
-        </div>
+      <div style={{ background: "#fff", borderRadius: 16, padding: 16, width: "100%", maxWidth: 700, maxHeight: "90vh", overflowY: "auto" }}>
+        <div style={{ fontSize: 18, fontWeight: 600 }}>{tb.title.replace("{n}", features.length)}</div>
+        <div style={{ fontSize: 12, color: "#6b7280", marginBottom: 12 }}>{tb.hint}</div>
 
         <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 12 }}>
           <label style={{ fontSize: 14 }}>
-            Street
-            <input
-              style={{ width: "100%", marginTop: 6, padding: "6px 8px", border: "1px solid #ddd", borderRadius: 6 }}
-              value={street}
-              onChange={(e) => setStreet(e.target.value)}
-              placeholder="e.g., Lutherstraße"
-            />
-          </label>
-
-          <label style={{ fontSize: 14 }}>
-            Category
-            <select
-              style={{ width: "100%", marginTop: 6, padding: "6px 8px", border: "1px solid #ddd", borderRadius: 6 }}
-              value={category}
-              onChange={(e) => setCategory(e.target.value)}
-            >
-              <option value="free">Free (anyone)</option>
-              <option value="residents">Residents only</option>
-              <option value="limited">Limited time</option>
+            {fieldLabel("category", tb.category)}
+            <select style={{ ...inputStyle, ...mixedStyle("category") }} value={value("category", "")} onChange={(e) => set("category", e.target.value)}>
+              {shared.category.mixed && !changed("category") && <option value="" disabled>{tb.mixedOption}</option>}
+              {categories.map((c) => (
+                <option key={c.id} value={c.id}>{categoryLabel(c, lang)}</option>
+              ))}
             </select>
           </label>
 
           <label style={{ fontSize: 14 }}>
-            Approx. spaces
-            <input
-              type="number"
-              style={{ width: "100%", marginTop: 6, padding: "6px 8px", border: "1px solid #ddd", borderRadius: 6 }}
-              value={spaces}
-              onChange={(e) => {
-                const v = parseInt(e.target.value || "0");
-                setSpaces(v);
-                feature.properties = feature.properties || {};
-                feature.properties.spacesEdited = true;
-              }}
-            />
-          </label>
-
-          {feature?.properties?.length_m && (
-            <label style={{ fontSize: 12, color: "#6b7280", display: "flex", alignItems: "flex-end" }}>
-              Estimated length: {feature.properties.length_m} m (≈ {Math.round(feature.properties.length_m / 5.5)} spaces)
-            </label>
-          )}
-
-          <label style={{ fontSize: 14 }}>
-            Time limit (mins)
+            {fieldLabel("limitMins", tb.timeLimit)}
             <input
               type="number"
-              disabled={category !== "limited"}
-              style={{ width: "100%", marginTop: 6, padding: "6px 8px", border: "1px solid #ddd", borderRadius: 6 }}
-              value={limitMins}
-              onChange={(e) => setLimitMins(parseInt(e.target.value || "0"))}
+              min={1}
+              style={{ ...inputStyle, ...mixedStyle("limitMins") }}
+              value={value("limitMins", "") ?? ""}
+              placeholder={shared.limitMins.mixed ? tb.mixedOption : ""}
+              onChange={(e) => set("limitMins", e.target.value === "" ? null : Math.max(1, parseInt(e.target.value, 10) || 1))}
             />
           </label>
 
-          <label style={{ gridColumn: "1 / -1", fontSize: 14 }}>
-            Rules / Hours
-            <input
-              style={{ width: "100%", marginTop: 6, padding: "6px 8px", border: "1px solid #ddd", borderRadius: 6 }}
-              value={rules}
-              onChange={(e) => setRules(e.target.value)}
-              placeholder="e.g., Residents Mo–Fr 8–18h; free otherwise"
-            />
-          </label>
+          <div style={{ gridColumn: "1 / -1", fontSize: 14 }}>
+            {fieldLabel("regulations", t.regulations.title)}
+            {shared.regulations.mixed && !changed("regulations") ? (
+              <div style={{ display: "flex", alignItems: "center", gap: 8, marginTop: 6, fontSize: 13, color: "#6b7280" }}>
+                {tb.mixedRules}
+                <button onClick={() => set("regulations", [])}>{tb.replaceRules}</button>
+              </div>
+            ) : (
+              <div style={{ marginTop: 6 }}>
+                <RegulationEditor t={t} regulations={regulations} onChange={(next) => set("regulations", next)} />
+                <div style={{ fontSize: 12, color: "#374151", marginTop: 6 }}>{summarizeRegulations(regulations, lang)}</div>
+              </div>
+            )}
+          </div>
 
           <label style={{ gridColumn: "1 / -1", fontSize: 14 }}>
-            Notes
+            {fieldLabel("notes", tb.notes)}
             <textarea
               rows={3}
-              style={{ width: "100%", marginTop: 6, padding: "6px 8px", border: "1px solid #ddd", borderRadius: 6 }}
-              value={notes}
-              onChange={(e) => setNotes(e.target.value)}
-              placeholder="Observations, signage, construction, etc."
+              style={{ ...inputStyle, ...mixedStyle("notes") }}
+              value={value("notes", "")}
+              placeholder={shared.notes.mixed ? tb.mixedOption : ""}
+              onChange={(e) => set("notes", e.target.value)}
             />
           </label>
+        </div>
 
-          {/* Images */}
-          <div style={{ gridColumn: "1 / -1" }}>
-            <div style={{ fontSize: 14, fontWeight: 600, marginBottom: 6 }}>Photos</div>
-            <div style={{ display: "flex", gap: 8, flexWrap: "wrap", marginBottom: 8 }}>
-              {images.map((img, i) => (
-                <div key={i} style={{ width: 150 }}>
-                  <img
-                    src={img.dataUrl}
-                    alt={`photo-${i}`}
-                    style={{ width: "100%", height: 100, objectFit: "cover", borderRadius: 8, border: "1px solid #eee" }}
-                  />
-                  <input
-                    placeholder="Caption (optional)"
-                    value={img.caption}
-                    onChange={(e) => updateCaption(i, e.target.value)}
-                    style={{ width: "100%", marginTop: 6, padding: "4px 6px", border: "1px solid #ddd", borderRadius: 6, fontSize: 12 }}
-                  />
-                  <button
-                    onClick={() => removeImage(i)}
-                    style={{ marginTop: 4, fontSize: 12, border: "1px solid #eee", borderRadius: 6, background: "#fff", padding: "4px 6px" }}
-                  >
-                    Remove
-                  </button>
-                </div>
+        <div style={{ display: "flex", justifyContent: "flex-end", gap: 8, marginTop: 12 }}>
+          <button onClick={onCancel}>{tb.cancel}</button>
+          <button
+            disabled={!Object.keys(changes).length}
+            style={{ background: "#111827", color: "#fff", border: "none", padding: "8px 12px", borderRadius: 12 }}
+            onClick={() => onSave(changes)}
+          >
+            {tb.apply.replace("{n}", features.length)}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Form for a curb point: type, sign text, notes and photos
+function PointForm({ t, lang, point, surveyId, storage, onSave, onCancel, onDelete }) {
+  const tp = t.points;
+  const [pointType, setPointType] = useState(point.properties.pointType);
+  const [text, setText] = useState(point.properties.text ?? "");
+  const [notes, setNotes] = useState(point.properties.notes ?? "");
+  const [images, setImages] = useState(point.properties.images ?? []);
+  const fieldStyle = { width: "100%", marginTop: 6, padding: "6px 8px", border: "1px solid #ddd", borderRadius: 6, boxSizing: "border-box" };
+
+  return (
+    <div
+      style={{
+        position: "fixed",
+        inset: 0,
+        background: "rgba(0,0,0,0.4)",
+        display: "grid",
+        placeItems: "center",
+        padding: 16,
+        zIndex: 1000,
+      }}
+    >
+      <div style={{ background: "#fff", borderRadius: 16, padding: 16, width: "100%", maxWidth: 480, maxHeight: "90vh", overflowY: "auto" }}>
+        <div style={{ fontSize: 18, fontWeight: 600, marginBottom: 12 }}>{POINT_ICONS[pointType]} {tp.title}</div>
+
+        <div style={{ display: "grid", gap: 12, fontSize: 14 }}>
+          <label>
+            {tp.type}
+            <select style={fieldStyle} value={pointType} onChange={(e) => setPointType(e.target.value)}>
+              {POINT_TYPES.map((type) => (
+                <option key={type} value={type}>{POINT_ICONS[type]} {tp.types[type]}</option>
               ))}
-            </div>
-            <label style={{ padding: "8px 12px", borderRadius: 8, background: "#e5e7eb", cursor: "pointer", display: "inline-block" }}>
-              Add photos
-              <input type="file" accept="image/*" multiple style={{ display: "none" }} onChange={handleAddImages} />
-            </label>
+            </select>
+          </label>
+          <label>
+            {tp.text}
+            <input style={fieldStyle} value={text} placeholder={tp.textPlaceholder[pointType]} onChange={(e) => setText(e.target.value)} />
+          </label>
+          <label>
+            {tp.notes}
+            <textarea style={{ ...fieldStyle, minHeight: 60 }} value={notes} onChange={(e) => setNotes(e.target.value)} />
+          </label>
+          <div>
+            <div style={{ fontWeight: 600, marginBottom: 6 }}>{tp.photos}</div>
+            <PhotoList lang={lang} surveyId={surveyId} storage={storage} images={images} setImages={setImages} />
           </div>
         </div>
 
-        {/* Footer with Delete (left) + Cancel/Save (right) */}
-        <div style={{ display: "flex", justifyContent: "space-between", gap: 8, marginTop: 12 }}>
+        <div style={{ display: "flex", justifyContent: "space-between", gap: 8, marginTop: 16 }}>
           <button
-            onClick={() => {
-              if (window.confirm("Delete this segment?")) {
-                onDelete?.(feature?.properties?._id);
-              }
-            }}
+            onClick={() => { if (window.confirm(tp.confirmDelete)) onDelete(point.properties._id); }}
             style={{ background: "#fee2e2", color: "#b91c1c", border: "1px solid #fecaca", padding: "8px 12px", borderRadius: 12 }}
-            title="Delete this segment"
           >
-            🗑️ Delete segment
+            🗑️ {tp.delete}
           </button>
-
           <div style={{ display: "flex", gap: 8 }}>
-            <button onClick={onCancel}>Cancel</button>
+            <button onClick={onCancel}>{tp.cancel}</button>
             <button
               style={{ background: "#111827", color: "#fff", border: "none", padding: "8px 12px", borderRadius: 12 }}
-              onClick={() => onSave({ category, spaces, rules, limitMins, street, notes, images })}
+              onClick={() => onSave({ pointType, text: text.trim(), notes, images })}
             >
-              Save
+              {tp.save}
             </button>
           </div>
         </div>
@@ -2006,6 +3929,28 @@ function MetadataForm({ feature, onSave, onCancel, onDelete }) {
   );
 }
 
+// Curb points on the map; drag to move, click to edit
+function CurbPointMarkers({ points, onSelect, onMove }) {
+  return points.map((p) => (
+    <Marker
+      key={p.properties._id}
+      position={[p.geometry.coordinates[1], p.geometry.coordinates[0]]}
+      icon={pointIcon(p.properties.pointType)}
+      title={p.properties.text || undefined}
+      draggable
+      // keep Geoman's edit and removal modes to the segments
+      pmIgnore
+      eventHandlers={{
+        click: () => onSelect(p),
+        dragend: (e) => {
+          const { lat, lng } = e.target.getLatLng();
+          onMove(p.properties._id, [lng, lat]);
+        },
+      }}
+    />
+  ));
+}
+
 function useIsTouch() {
   const [isTouch, setIsTouch] = React.useState(false);
   React.useEffect(() => {
@@ -2020,7 +3965,7 @@ function useIsTouch() {
 
 
 // --- React-leaflet polyline wrapper that hooks Geoman for per-layer edit/remove ---
-function PolylineWithGeoman({ feature, style, onEdit, onDelete, onClick, children }) {
+function PolylineWithGeoman({ feature, style, halo, onEdit, onDelete, onClick, onSelect, onToolClick, children }) {
   const ref = React.useRef(null);
   const isTouch = useIsTouch();
 
@@ -2032,6 +3977,20 @@ function PolylineWithGeoman({ feature, style, onEdit, onDelete, onClick, childre
 
   const coords = feature.geometry.coordinates.map(([lng, lat]) => [lat, lng]);
 
+  // Desktop: the hover popup closes a moment after the pointer leaves the line,
+  // and stays open while the pointer is on it (for the vehicle count stepper)
+  const closeTimer = React.useRef(null);
+  const cancelClose = () => clearTimeout(closeTimer.current);
+  const scheduleClose = () => {
+    cancelClose();
+    closeTimer.current = setTimeout(() => {
+      // not while typing in it (a count is committed on blur)
+      if (ref.current?.getPopup()?.getElement()?.contains(document.activeElement)) return;
+      ref.current?.closePopup();
+    }, 300);
+  };
+  React.useEffect(() => () => clearTimeout(closeTimer.current), []);
+
   // Desktop vs Mobile event handlers
   const handlers = isTouch
     ? {
@@ -2043,14 +4002,29 @@ function PolylineWithGeoman({ feature, style, onEdit, onDelete, onClick, childre
         },
       }
     : {
-        mouseover: (e) => e.target.openPopup(),  // hover show
-        mouseout: (e) => e.target.closePopup(),  // hover hide
+        mouseover: (e) => {                       // hover show, at the pointer
+          cancelClose();
+          if (!e.target.isPopupOpen()) e.target.openPopup(e.latlng);
+        },
+        mouseout: scheduleClose,                  // hover hide
         click: (e) => {                           // click -> open editor
+          cancelClose();
           e.target.closePopup();
-          onClick?.();
+          if (e.originalEvent?.shiftKey && onSelect) onSelect(); // shift-click -> (de)select
+          else onClick?.();
         },
       };
 
+  // with a segment tool active, clicks go to the tool instead of popup / editor
+  const toolHandlers = onToolClick
+    ? {
+        click: (e) => {
+          e.originalEvent?.stopPropagation?.();
+          onToolClick([e.latlng.lng, e.latlng.lat]);
+        },
+      }
+    : null;
+
   // Inline edit button (only for touch)
   const TouchPopupControls = isTouch ? (
     <div style={{ marginTop: 8 }}>
@@ -2086,26 +4060,33 @@ function PolylineWithGeoman({ feature, style, onEdit, onDelete, onClick, childre
         },
       }
     : {
-        mouseover: () => {
-          if (ref.current) {
-            ref.current.openPopup();
-          }
-        },
-        mouseout: () => {
-          if (ref.current) {
-            ref.current.closePopup();
+        mouseover: (e) => {
+          cancelClose();
+          if (ref.current && !ref.current.isPopupOpen()) {
+            ref.current.openPopup(e.latlng);
           }
         },
-        click: () => {
+        mouseout: scheduleClose,
+        click: (e) => {
+          cancelClose();
           if (ref.current) {
             ref.current.closePopup();
           }
-          onClick?.();
+          if (e.originalEvent?.shiftKey && onSelect) onSelect();
+          else onClick?.();
         },
       };
 
   return (
     <>
+      {/* Selection / highlight halo below the line */}
+      {halo && (
+        <Polyline
+          positions={coords}
+          pathOptions={{ color: halo, weight: (style.weight ?? 5) + 8, opacity: 0.45, interactive: false }}
+          pmIgnore={true}
+        />
+      )}
       {/* Invisible wider hitbox for easier clicking */}
       <Polyline
         positions={coords}
@@ -2115,13 +4096,13 @@ function PolylineWithGeoman({ feature, style, onEdit, onDelete, onClick, childre
           opacity: 0, // Completely invisible
           fillOpacity: 0
         }}
-        eventHandlers={hitboxHandlers}
+        eventHandlers={toolHandlers ?? hitboxHandlers}
         pmIgnore={true}
       />
       {/* Visible line on top */}
-      <Polyline ref={ref} positions={coords} pathOptions={style} eventHandlers={handlers}>
+      <Polyline ref={ref} positions={coords} pathOptions={style} eventHandlers={toolHandlers ?? handlers}>
         <Popup closeButton autoPan>
-          <div style={{ fontSize: 14 }}>
+          <div style={{ fontSize: 14 }} onMouseEnter={isTouch ? undefined : cancelClose} onMouseLeave={isTouch ? undefined : scheduleClose}>
             {children}
             {TouchPopupControls}
           </div>
@@ -2133,17 +4114,134 @@ function PolylineWithGeoman({ feature, style, onEdit, onDelete, onClick, childre
 
 export default function JenaParkingMap() {
   const [features, setFeatures] = useState([]);
-  const [filter, setFilter] = useState({ free: true, residents: true, limited: true });
+  const [categories, setCategories] = useState(DEFAULT_CATEGORIES);
+  const [categoryEditorOpen, setCategoryEditorOpen] = useState(false);
+  const [info, setInfo] = useState(EMPTY_INFO);
+  const [passes, setPasses] = useState([]);
+  const [curbOffset, setCurbOffset] = useState(DEFAULT_CURB_OFFSET);
+  const [capacityModel, setCapacityModel] = useState(DEFAULT_CAPACITY_MODEL);
+  const [capacityModelOpen, setCapacityModelOpen] = useState(false);
+  // show the snap guides while adjusting the curb offset, even with snapping off
+  const [previewGuides, setPreviewGuides] = useState(false);
+  const [activePassId, setActivePassId] = useState(null);
+  // "category" colors segments by category, "time" by what a visitor may do at
+  // simTime, "occupancy" by the active pass's occupancy
+  const [mapMode, setMapMode] = useState("category");
+  const [simTime, setSimTime] = useState(() => localDateTime());
+  const simDate = React.useMemo(() => new Date(simTime), [simTime]);
+  const activePass = passes.find((p) => p.id === activePassId) ?? passes[passes.length - 1] ?? null;
+  const [settingsOpen, setSettingsOpen] = useState(false);
+  const [roadSettingsOpen, setRoadSettingsOpen] = useState(false);
+  const [exportOpen, setExportOpen] = useState(false);
+  // category id -> visible; ids not listed are shown
+  const [filter, setFilter] = useState({});
   const [editingFeature, setEditingFeature] = useState(null);
   const [editingIndex, setEditingIndex] = useState(-1);
+  const [points, setPoints] = useState([]);
+  const [editingPoint, setEditingPoint] = useState(null);
+  const [segmentTool, setSegmentTool] = useState(null); // null | "split" | "merge" | "lasso"
+  const [mergeFirstId, setMergeFirstId] = useState(null);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [bulkEditOpen, setBulkEditOpen] = useState(false);
+  const [tableOpen, setTableOpen] = useState(false);
+  const [highlightId, setHighlightId] = useState(null);
   const [boundary, setBoundary] = useState(null);
+  const [zones, setZones] = useState([]);
+  const [drawingZone, setDrawingZone] = useState(false);
   const [lang, setLang] = useState("en");
   const t = translations[lang];
   const [panelOpen, setPanelOpen] = useState(false);
   const [snapSide, setSnapSide] = useState("off"); // "off" | "auto"
   const snapActive = snapSide === "auto" && Array.isArray(boundary) && boundary.length >= 3;
+  const guidesVisible = snapActive || (previewGuides && Array.isArray(boundary) && boundary.length >= 3);
+
+  // Undo/redo covers segment and study-area edits of the open survey
+  const restoreSnapshot = React.useCallback((snap) => {
+    setFeatures(snap.features);
+    setBoundary(snap.boundary);
+    setPasses(snap.passes);
+    setPoints(snap.points);
+    setZones(snap.zones);
+    setEditingFeature(null);
+    setEditingIndex(-1);
+    setEditingPoint(null);
+  }, []);
+  const history = useHistory({ features, boundary, passes, points, zones }, restoreSnapshot);
+  const { undo, redo, reset: resetHistory } = history;
+
+  React.useEffect(() => {
+    const onKeyDown = (e) => {
+      const el = e.target;
+      // leave text fields their own undo
+      if (el && (el.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(el.tagName))) return;
+      if (e.key === "Escape") setSelectedIds([]);
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      const key = e.key.toLowerCase();
+      if (key === "z" && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+      } else if ((key === "z" && e.shiftKey) || key === "y") {
+        e.preventDefault();
+        redo();
+      }
+    };
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, [undo, redo]);
+
+  // Multi-survey storage: opening a project swaps all survey state in one go
+  const openedRef = useRef(null);
+  const openSurvey = React.useCallback((data) => {
+    const opened = {
+      features: data.features.map(migrateRegulations),
+      boundary: data.boundary,
+      categories: normalizeCategories(data.categories),
+      info: normalizeInfo(data.info),
+      passes: normalizePasses(data.passes),
+      curbOffset: normalizeCurbOffset(data.curbOffset),
+      capacityModel: normalizeCapacityModel(data.capacityModel),
+      points: normalizePoints(data.points),
+      zones: normalizeZones(data.zones),
+    };
+    openedRef.current = opened;
+    setFeatures(opened.features);
+    setBoundary(opened.boundary);
+    setCategories(opened.categories);
+    setInfo(opened.info);
+    setPasses(opened.passes);
+    setCurbOffset(opened.curbOffset);
+    setCapacityModel(opened.capacityModel);
+    setPoints(opened.points);
+    setZones(opened.zones);
+    setDrawingZone(false);
+    setEditingPoint(null);
+    setActivePassId(null);
+    setFilter({});
+    setEditingFeature(null);
+    setEditingIndex(-1);
+    setSelectedIds([]);
+    resetHistory();
+  }, [resetHistory]);
+  const [storageError, setStorageError] = useState(null);
+  const storage = useStorageUsage();
+  const roadSource = useRoadSource();
+  const projects = useProjects(openSurvey, { defaultName: t.projects.defaultName, onError: setStorageError });
+
+  useEffect(() => { requestPersistentStorage(); }, []);
+
+  useAutosave(projects.activeId, { features, boundary, categories, info, passes, curbOffset, capacityModel, points, zones }, openedRef, {
+    onSaved: (id) => {
+      projects.touch(id);
+      storage.refresh();
+      setStorageError(null);
+    },
+    onError: setStorageError,
+  });
 
-  useAutosave(features, setFeatures, boundary, setBoundary);
+  // estimates follow the capacity model and the curb points; hand-entered counts stay
+  useEffect(() => {
+    setFeatures((prev) => recomputeSpaces(prev, capacityModel, points));
+  }, [capacityModel, points]);
 
   const handleCreated = (geo, layer, layerType) => {
     try {
@@ -2153,6 +4251,12 @@ export default function JenaParkingMap() {
         if (Array.isArray(coords) && Array.isArray(coords[0]) && coords[0].length >= 3) {
           const ring = coords[0];
           const latlngs = ring.map(([lng, lat]) => [lat, lng]);
+          if (drawingZone) {
+            history.record(t.history.addZone);
+            setZones((prev) => [...prev, makeZone(latlngs.slice(0, -1), prev)]);
+            return;
+          }
+          history.record(t.history.setStudyArea);
           setBoundary(latlngs);
           const map = layer?._map;
           if (map) {
@@ -2166,30 +4270,49 @@ export default function JenaParkingMap() {
         return;
       }
 
+      if (layerType === "marker") {
+        const point = makePoint(geo.geometry.coordinates);
+        history.record(t.history.addPoint);
+        setPoints((prev) => [...prev, point]);
+        setEditingPoint(point);
+        return;
+      }
+
       if (layerType === "polyline") {
         const coords = geo.geometry.coordinates;
-        const points = coords.map(([lng, lat]) => ({ latitude: lat, longitude: lng }));
-        const totalLength = getPathLength(points);
-        const estimatedSpaces = Math.max(1, Math.round(totalLength / 5.5));
-
+        const totalLength = getPathLength(coords.map(([lng, lat]) => ({ latitude: lat, longitude: lng })));
         const fid = layer._fid || crypto.randomUUID();
+        const draft = { geometry: geo.geometry, properties: { _id: fid } };
+        const estimatedSpaces = estimateSpaces(
+          totalLength, { orientation: DEFAULT_ORIENTATION }, capacityModel, pointCountsFor(draft, [...features, draft], points)
+        );
+        // prefill street, OSM way and side from the road the segment runs along;
+        // the side clicked while snapping wins over the geometric match
+        const roadsFc = typeof JenaParkingMap._getRoadsFc === "function" ? JenaParkingMap._getRoadsFc() : null;
+        const match = matchSegmentToRoad(roadsFc, geo.geometry);
 
         const newFeature = {
           type: "Feature",
           geometry: geo.geometry,
           properties: {
             _id: fid,
-            category: "free",
+            category: categories[0]?.id ?? "free",
             spaces: estimatedSpaces,
             rules: "",
+            regulations: [],
             limitMins: 120,
-            street: "",
+            street: match?.road.properties?.tags?.name ?? "",
             notes: "",
             length_m: Math.round(totalLength),
             spacesEdited: false,
+            side: layer?._side ?? match?.side ?? null,
+            orientation: DEFAULT_ORIENTATION,
+            // ids of roads from local files are not always OSM way ids
+            ...(Number.isInteger(match?.road.properties?.id) && { osmWayId: match.road.properties.id }),
           },
         };
 
+        history.record(t.history.addSegment);
         setFeatures((prev) => {
           const idx = prev.length;
           setEditingIndex(idx);
@@ -2204,13 +4327,21 @@ export default function JenaParkingMap() {
     }
   };
 
+  // GeomanDraw wires its map listeners once, so route creation through a ref
+  // to always reach the latest categories / language
+  const handleCreatedRef = useRef(handleCreated);
+  handleCreatedRef.current = handleCreated;
+
   const deleteFeatureById = (id) => {
+    if (!features.some((f) => f?.properties?._id === id)) return;
+    history.record(t.history.deleteSegment);
     setFeatures((prev) => prev.filter((f) => f?.properties?._id !== id));
     setEditingFeature(null);
     setEditingIndex(-1);
   };
 
   const onSaveFeature = (props) => {
+    history.record(t.history.editSegment);
     setFeatures((prev) => {
       const arr = [...prev];
       if (editingIndex >= 0 && editingIndex < arr.length) {
@@ -2224,47 +4355,241 @@ export default function JenaParkingMap() {
     setEditingIndex(-1);
   };
 
+  const updatePoint = (id, props) => {
+    history.record(t.history.editPoint);
+    setPoints((prev) => prev.map((p) => (p.properties._id === id ? { ...p, properties: { ...p.properties, ...props } } : p)));
+    setEditingPoint(null);
+  };
+
+  const movePoint = (id, coordinates) => {
+    history.record(t.history.movePoint);
+    setPoints((prev) => prev.map((p) => (p.properties._id === id ? { ...p, geometry: { type: "Point", coordinates } } : p)));
+  };
+
+  const deletePoint = (id) => {
+    history.record(t.history.deletePoint);
+    setPoints((prev) => prev.filter((p) => p.properties._id !== id));
+    setEditingPoint(null);
+  };
+
+  const chooseSegmentTool = (tool) => {
+    setSegmentTool(tool);
+    setMergeFirstId(null);
+  };
+
+  const selectedSet = React.useMemo(() => new Set(selectedIds), [selectedIds]);
+  // segments shown on the map: the lasso must not reach those the filter hides
+  const visibleFeatures = React.useMemo(
+    () => features.filter((f) => filter[getCategory(categories, f.properties?.category).id] !== false),
+    [features, categories, filter]
+  );
+  const selectedFeatures = features.filter((f) => selectedSet.has(f.properties?._id));
+
+  // bulk edit keeps only the selected segments among visibleIds, so it never
+  // changes segments hidden by the filter or the table search
+  const openBulkEdit = (visibleIds) => {
+    const visible = new Set(visibleIds);
+    setSelectedIds((prev) => prev.filter((id) => visible.has(id)));
+    setBulkEditOpen(true);
+  };
+
+  const toggleSelected = (id) => {
+    setSelectedIds((prev) => (prev.includes(id) ? prev.filter((x) => x !== id) : [...prev, id]));
+  };
+
+  const selectSegments = (ids, additive) => {
+    setSelectedIds((prev) => (additive ? [...new Set([...prev, ...ids])] : ids));
+  };
+
+  const updateSegment = (id, props) => {
+    history.record(t.history.editSegment);
+    setFeatures((prev) => prev.map((f) => (f.properties?._id === id ? { ...f, properties: { ...f.properties, ...props } } : f)));
+  };
+
+  // dragging through a zone's color picker is a single undo step
+  const recoloredZoneId = useRef(null);
+  const updateZone = (id, patch) => {
+    const recolor = "color" in patch;
+    const label = recolor ? t.history.recolorZone : t.history.renameZone;
+    if (!(recolor && recoloredZoneId.current === id && history.undoLabel === label)) history.record(label);
+    recoloredZoneId.current = recolor ? id : null;
+    setZones((prev) => prev.map((z) => (z.id === id ? { ...z, ...patch } : z)));
+  };
+
+  const editZoneShape = (id, ring) => {
+    history.record(t.history.editZone);
+    setZones((prev) => prev.map((z) => (z.id === id ? { ...z, ring } : z)));
+  };
+
+  const removeZone = (id) => {
+    history.record(t.history.removeZone);
+    setZones((prev) => prev.filter((z) => z.id !== id));
+  };
+
+  const zoneStyles = React.useMemo(
+    () => Object.fromEntries(zones.map((z) => [z.id, { color: z.color, weight: 2, fillOpacity: 0.06 }])),
+    [zones]
+  );
+
+  const onBulkSave = (changes) => {
+    history.record(t.history.bulkEdit);
+    setFeatures((prev) => applyBulkEdit(prev, selectedIds, changes, lang));
+    setBulkEditOpen(false);
+  };
+
+  const onSegmentTool = (feature, lngLat) => {
+    const id = feature.properties._id;
+    if (segmentTool === "lasso") {
+      toggleSelected(id);
+      return;
+    }
+    if (segmentTool === "split") {
+      const parts = splitSegment(feature, lngLat);
+      if (!parts) {
+        alert(t.segmentTools.splitTooShort);
+        return;
+      }
+      history.record(t.history.splitSegment);
+      setFeatures((prev) => recomputeSpaces(prev.flatMap((f) => (f.properties?._id === id ? parts : [f])), capacityModel, points));
+      return;
+    }
+
+    // merge: the first click picks a segment, the second joins it with another
+    const first = features.find((f) => f.properties?._id === mergeFirstId);
+    if (!first || mergeFirstId === id) {
+      setMergeFirstId(first ? null : id);
+      return;
+    }
+    if (first.properties.category !== feature.properties.category && !window.confirm(t.segmentTools.confirmCategory)) return;
+    const merged = mergeSegments(first, feature);
+    if (!merged.feature) {
+      alert(t.segmentTools.mergeFailed[merged.reason]);
+      return;
+    }
+    history.record(t.history.mergeSegments);
+    setFeatures((prev) => recomputeSpaces(
+      prev.filter((f) => f.properties?._id !== id).map((f) => (f.properties?._id === mergeFirstId ? merged.feature : f)),
+      capacityModel,
+      points
+    ));
+    setMergeFirstId(null);
+  };
+
   const onCancelEdit = () => {
     setEditingFeature(null);
     setEditingIndex(-1);
   };
 
-  const onExport = () => {
-    const payload = {
-      type: "Survey",
-      version: 1,
-      features,
-      boundary,
-    };
-    const blob = new Blob([JSON.stringify(payload, null, 2)], { type: "application/json" });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = "jena-parking-survey.json";
-    a.click();
-    URL.revokeObjectURL(url);
+  const addPass = (label) => {
+    const pass = makePass(label);
+    history.record(t.history.addPass);
+    setPasses((prev) => [...prev, pass]);
+    setActivePassId(pass.id);
+  };
+
+  // consecutive time edits of one pass (typing, spinner steps) are one undo step
+  const retimedPassId = useRef(null);
+  const updatePass = (id, patch) => {
+    const retime = "time" in patch;
+    if (!(retime && retimedPassId.current === id && history.undoLabel === t.history.editPass)) history.record(t.history.editPass);
+    retimedPassId.current = retime ? id : null;
+    setPasses((prev) => prev.map((p) => (p.id === id ? { ...p, ...patch } : p)));
   };
 
-  const onImport = (e) => {
+  const removePass = (id) => {
+    history.record(t.history.removePass);
+    setFeatures((prev) => withoutPass(prev, id));
+    setPasses((prev) => prev.filter((p) => p.id !== id));
+    setActivePassId(null);
+  };
+
+  const setSegmentCount = (id, passId, count) => {
+    history.record(t.history.countVehicles);
+    setFeatures((prev) => prev.map((f) => (f.properties?._id === id ? withCount(f, passId, count) : f)));
+  };
+
+  const activeProject = projects.projects.find((p) => p.id === projects.activeId);
+
+  const runExport = async ({ format, schema, photos }) => {
+    const name = activeProject?.name ?? "";
+    const base = surveyFileBase(info, name);
+    if (format === "geojson") {
+      // only embedding needs the photo blobs inlined as data URLs
+      const embed = photos === "embed";
+      const fc = buildSurveyGeoJSON({
+        features: embed ? await hydrateImages(features) : features,
+        points: embed ? await hydrateImages(points) : points,
+        boundary, zones, categories, info, passes, curbOffset, capacityModel, name,
+      }, { schema, photos, lang });
+      const blob = new Blob([JSON.stringify(fc, null, 2)], { type: "application/geo+json" });
+      downloadBlob(blob, `${base}.geojson`);
+    } else if (format === "csv") {
+      const blob = new Blob([buildSegmentsCsv(features, lang)], { type: "text/csv;charset=utf-8" });
+      downloadBlob(blob, `${base}.csv`);
+    } else if (format === "xlsx") {
+      downloadBlob(await buildSegmentsXlsx(features, categories, lang, points, zones), `${base}.xlsx`);
+    } else if (format === "kml") {
+      const blob = new Blob([buildKml({ features, boundary, zones, categories, points, name }, { lang })], { type: "application/vnd.google-earth.kml+xml" });
+      downloadBlob(blob, `${base}.kml`);
+    } else if (format === "kmz") {
+      downloadBlob(await buildKmz({ features, boundary, zones, categories, points, name }, { lang, loadPhoto: getPhoto }), `${base}.kmz`);
+    } else if (format === "package") {
+      downloadBlob(await buildSurveyPackage({ features, boundary, zones, categories, info, passes, curbOffset, capacityModel, points, name }, { lang, loadPhoto: getPhoto }), `${base}.zip`);
+    }
+  };
+
+  const onImport = async (e) => {
     const file = e.target.files?.[0];
     if (!file) return;
-    const reader = new FileReader();
-    reader.onload = () => {
-      try {
-        const data = JSON.parse(reader.result);
-        if (data.type === "Survey" && Array.isArray(data.features)) {
-          setFeatures(data.features);
-          if (Array.isArray(data.boundary)) setBoundary(data.boundary);
-        } else if (data.type === "FeatureCollection" && Array.isArray(data.features)) {
-          setFeatures(data.features);
-        } else {
-          alert("Invalid file format.");
-        }
-      } catch {
-        alert("Could not read file.");
-      }
-    };
-    reader.readAsText(file);
+    e.target.value = "";
+    // an import replaces the whole survey and cannot be undone
+    if ((features.length || points.length) && !window.confirm(t.confirmImport)) return;
+    const surveyId = projects.activeId;
+    let survey;
+    try {
+      const ext = file.name.split(".").pop().toLowerCase();
+      if (ext === "zip") survey = await readSurveyPackage(await file.arrayBuffer());
+      else if (ext === "kmz") survey = await parseKmz(await file.arrayBuffer());
+      else if (ext === "kml") survey = parseKml(await file.text());
+      else survey = parseSurveyJSON(JSON.parse(await file.text()));
+    } catch {
+      alert("Could not read file.");
+      return;
+    }
+    if (!survey) {
+      alert("Invalid file format.");
+      return;
+    }
+    try {
+      // embedded photos move into the photo store; bare file references
+      // cannot be resolved from a single file and are dropped
+      const withoutRefs = (list) => list.map((f) => (
+        Array.isArray(f.properties?.images) && f.properties.images.some((img) => img?.href)
+          ? { ...f, properties: { ...f.properties, images: f.properties.images.filter((img) => !img?.href) } }
+          : f
+      ));
+      const imported = (await ingestImages(surveyId, withoutRefs(survey.features))).map(migrateRegulations);
+      const importedPoints = await ingestImages(surveyId, withoutRefs(survey.points ?? []));
+      setFeatures(imported);
+      setPoints(importedPoints);
+      if (survey.boundary) setBoundary(survey.boundary);
+      setZones(survey.zones ?? []);
+      if (survey.categories) setCategories(survey.categories);
+      if (survey.info) setInfo(normalizeInfo(survey.info));
+      if (survey.passes) setPasses(survey.passes);
+      if (survey.curbOffset) setCurbOffset(survey.curbOffset);
+      if (survey.capacityModel) setCapacityModel(survey.capacityModel);
+      setEditingFeature(null);
+      setEditingIndex(-1);
+      setEditingPoint(null);
+      setSelectedIds([]);
+      resetHistory();
+      if (survey.damaged?.length) alert(t.importDamaged.replace("{files}", survey.damaged.join(", ")));
+    } catch (err) {
+      console.warn("Import failed", err);
+      if (isQuotaError(err)) setStorageError(err);
+      else alert("Could not read file.");
+    }
   };
 
   // Shared control button/select style matching Leaflet's default controls
@@ -2318,18 +4643,66 @@ export default function JenaParkingMap() {
         />
 
         {boundary && (
-          <EditableBoundary boundary={boundary} setBoundary={setBoundary} />
+          <EditablePolygon
+            ring={boundary}
+            pathOptions={BOUNDARY_STYLE}
+            onChange={(ring) => {
+              history.record(t.history.editStudyArea);
+              setBoundary(ring);
+            }}
+          />
         )}
+        {zones.map((z) => (
+          <EditablePolygon
+            key={z.id}
+            ring={z.ring}
+            label={z.name}
+            pathOptions={zoneStyles[z.id]}
+            onChange={(ring) => editZoneShape(z.id, ring)}
+          />
+        ))}
+        <ZoneDrawer active={drawingZone} onDone={() => setDrawingZone(false)} />
 
         {panelOpen && (
           <Controls
             t={t}
             lang={lang}
+            projects={projects}
+            storage={storage}
+            history={history}
             features={features}
             setFeatures={setFeatures}
+            setPoints={setPoints}
+            categories={categories}
+            onEditCategories={() => setCategoryEditorOpen(true)}
+            onEditCapacityModel={() => setCapacityModelOpen(true)}
+            info={info}
+            onEditSettings={() => setSettingsOpen(true)}
+            roadSource={roadSource}
+            onEditRoadSettings={() => setRoadSettingsOpen(true)}
+            curbOffset={curbOffset}
+            setCurbOffset={setCurbOffset}
+            previewGuides={previewGuides}
+            setPreviewGuides={setPreviewGuides}
+            passes={passes}
+            activePass={activePass}
+            setActivePassId={setActivePassId}
+            onAddPass={addPass}
+            onUpdatePass={updatePass}
+            onRemovePass={removePass}
+            mapMode={mapMode}
+            setMapMode={setMapMode}
+            simDate={simDate}
             filter={filter}
             setFilter={setFilter}
-            onExport={onExport}
+            onOpenTable={() => setTableOpen(true)}
+            zones={zones}
+            setZones={setZones}
+            drawingZone={drawingZone}
+            onDrawZone={() => setDrawingZone(true)}
+            onUpdateZone={updateZone}
+            onRemoveZone={removeZone}
+            onExport={() => setExportOpen(true)}
             onImport={onImport}
             setBoundary={setBoundary}
             boundary={boundary}
@@ -2337,79 +4710,127 @@ export default function JenaParkingMap() {
         )}
 
         {features.map((f, idx) => {
-          const show = filter[f.properties?.category ?? "free"];
-          if (!show) return null;
+          const category = getCategory(categories, f.properties?.category);
+          if (filter[category.id] === false) return null;
 
-          const style = CATEGORY_STYLES[f.properties?.category ?? "free"];
+          const style =
+            mapMode === "occupancy" && activePass ? occupancyStyle(f, activePass.id)
+              : mapMode === "time" ? parkingStatusStyle(f, categories, simDate)
+                : categoryStyle(category);
 
           return (
             <PolylineWithGeoman
               key={f.properties?._id || idx}
               feature={f}
-              style={style}
+              style={f.properties?._id === mergeFirstId ? { ...style, weight: (style.weight ?? 5) + 4, dashArray: "6 6" } : style}
+              halo={f.properties?._id === highlightId ? "#f59e0b" : selectedSet.has(f.properties?._id) ? "#2563eb" : null}
+              onSelect={() => toggleSelected(f.properties?._id)}
+              onToolClick={segmentTool ? (lngLat) => onSegmentTool(f, lngLat) : undefined}
               onClick={() => {
                 setEditingIndex(idx);
                 setEditingFeature(f);
               }}
               onEdit={(id, geo) => {
-                setFeatures((prev) =>
+                history.record(t.history.editGeometry);
+                // a moved segment can also gain or lose curb points
+                setFeatures((prev) => recomputeSpaces(
                   prev.map((ff) => {
                     if (ff.properties?._id !== id) return ff;
                     const coords = geo.geometry.coordinates;
-                    const points = coords.map(([lng, lat]) => ({ latitude: lat, longitude: lng }));
-                    const newLen = getPathLength(points);
-                    const next = {
-                      ...ff,
-                      geometry: geo.geometry,
-                      properties: { ...ff.properties, length_m: Math.round(newLen) },
-                    };
-                    if (!next.properties.spacesEdited) {
-                      next.properties.spaces = Math.max(1, Math.round(newLen / 5.5));
-                    }
-                    return next;
-                  })
-                );
+                    const newLen = getPathLength(coords.map(([lng, lat]) => ({ latitude: lat, longitude: lng })));
+                    return { ...ff, geometry: geo.geometry, properties: { ...ff.properties, length_m: Math.round(newLen) } };
+                  }),
+                  capacityModel,
+                  points
+                ));
               }}
               onDelete={(id) => deleteFeatureById(id)}
             >
               <div style={{ fontSize: 14 }}>
                 <div style={{ fontWeight: 600 }}>{f.properties?.street || "Unnamed street"}</div>
-                <div>Category: {f.properties?.category}</div>
+                <div>Category: {categoryLabel(category, lang)}</div>
                 {f.properties?.category === "limited" && <div>Time limit: {f.properties?.limitMins} min</div>}
                 <div>Spaces: {f.properties?.spaces ?? 0}</div>
-                {f.properties?.rules && <div>Rules: {f.properties.rules}</div>}
+                {regulationText(f.properties, lang) && <div>Rules: {regulationText(f.properties, lang)}</div>}
                 {f.properties?.notes && <div>Notes: {f.properties.notes}</div>}
                 <div style={{ marginTop: 6, fontSize: 12, color: "#6b7280" }}>Click to edit</div>
                 <div>
                   Length: {f.properties?.length_m ?? 0} m {f.properties?.spacesEdited ? "(manual spaces)" : "(auto spaces)"}
                 </div>
+                {activePass && (
+                  <div style={{ marginTop: 8 }}>
+                    <div style={{ fontSize: 12, color: "#6b7280", marginBottom: 4 }}>
+                      {t.occupancy.vehicles} · {passLabel(activePass)}
+                    </div>
+                    <CountStepper
+                      t={t}
+                      count={segmentCount(f, activePass.id)}
+                      onChange={(n) => setSegmentCount(f.properties?._id, activePass.id, n)}
+                    />
+                    {segmentOccupancy(f, activePass.id) && (
+                      <div style={{ marginTop: 4 }}>
+                        {t.occupancy.title}: {formatOccupancy(segmentOccupancy(f, activePass.id))}
+                      </div>
+                    )}
+                  </div>
+                )}
               </div>
             </PolylineWithGeoman>
           );
         })}
 
         {/* Global guard for snap guides */}
-        {snapActive && <PmGuideGuard />}
-        {/* Visible guides and pre-fetched roads when Snap: Auto */}
-        {snapActive && (
+        {guidesVisible && <PmGuideGuard />}
+        {/* Visible guides and pre-fetched roads when Snap: Auto (or previewing the curb offset) */}
+        {guidesVisible && (
           <SnapGuides
             active={true}
             lang={lang}
             boundary={boundary}
             setExternalRoadsGetter={(getterFactory) => { JenaParkingMap._getRoadsFc = getterFactory; }}
-            offsetMeters={4}
+            roadSource={roadSource}
+            curbOffset={curbOffset}
           />
         )}
         <GeomanDraw
-          onCreated={handleCreated}
+          onCreated={(...args) => handleCreatedRef.current(...args)}
           onEdited={() => {}}
           onDeleted={() => {}}
           snapSide={snapSide}
           // call the stored getter to obtain the FeatureCollection
           getRoadsFc={() => (typeof JenaParkingMap._getRoadsFc === "function" ? JenaParkingMap._getRoadsFc() : null)}
           boundary={boundary}
+          curbOffset={curbOffset}
         />
+        <CurbPointMarkers points={points} onSelect={setEditingPoint} onMove={movePoint} />
   <LocateControl lang={lang} setLang={setLang} snapSide={snapSide} setSnapSide={setSnapSide} boundary={boundary} />
+        <HistoryControl t={t} history={history} />
+        <SegmentToolsControl t={t} tool={segmentTool} setTool={chooseSegmentTool} mergePending={!!mergeFirstId} />
+        {segmentTool === "lasso" && <LassoSelect features={visibleFeatures} onSelect={selectSegments} />}
+        {tableOpen && (
+          <AttributeTable
+            t={t}
+            lang={lang}
+            features={features}
+            categories={categories}
+            filter={filter}
+            activePass={activePass}
+            selectedIds={selectedIds}
+            setSelectedIds={setSelectedIds}
+            highlightId={highlightId}
+            onHighlight={setHighlightId}
+            onUpdate={updateSegment}
+            onOpenForm={(f) => {
+              setEditingIndex(features.indexOf(f));
+              setEditingFeature(f);
+            }}
+            onBulkEdit={openBulkEdit}
+            onClose={() => {
+              setTableOpen(false);
+              setHighlightId(null);
+            }}
+          />
+        )}
       </MapContainer>
 
    
@@ -2417,13 +4838,125 @@ export default function JenaParkingMap() {
       {editingFeature && (
         <MetadataForm
           feature={editingFeature}
+          surveyId={projects.activeId}
+          categories={categories}
+          passes={passes}
+          capacityModel={capacityModel}
+          pointCounts={pointCountsFor(editingFeature, features, points)}
+          lang={lang}
+          storage={storage}
           onSave={onSaveFeature}
           onCancel={onCancelEdit}
           onDelete={deleteFeatureById}
         />
       )}
 
-      <LegendControl t={t} />
+      {selectedFeatures.length > 0 && (
+        <SelectionBar t={t} count={selectedFeatures.length} onEdit={() => openBulkEdit(visibleFeatures.map((f) => f.properties?._id))} onClear={() => setSelectedIds([])} />
+      )}
+
+      {bulkEditOpen && selectedFeatures.length > 0 && (
+        <BulkEditForm
+          t={t}
+          lang={lang}
+          features={selectedFeatures}
+          categories={categories}
+          onSave={onBulkSave}
+          onCancel={() => setBulkEditOpen(false)}
+        />
+      )}
+
+      {editingPoint && (
+        <PointForm
+          key={editingPoint.properties._id}
+          t={t}
+          lang={lang}
+          point={editingPoint}
+          surveyId={projects.activeId}
+          storage={storage}
+          onSave={(props) => updatePoint(editingPoint.properties._id, props)}
+          onCancel={() => setEditingPoint(null)}
+          onDelete={deletePoint}
+        />
+      )}
+
+      {exportOpen && (
+        <ExportDialog
+          t={t}
+          onExport={(opts) => {
+            setExportOpen(false);
+            runExport(opts).catch((err) => {
+              console.error("Export failed", err);
+              alert(t.exportDialog.failed);
+            });
+          }}
+          onClose={() => setExportOpen(false)}
+        />
+      )}
+
+      {settingsOpen && (
+        <SurveySettingsDialog
+          t={t}
+          info={info}
+          onSave={(next) => {
+            setInfo(next);
+            setSettingsOpen(false);
+          }}
+          onClose={() => setSettingsOpen(false)}
+        />
+      )}
+
+      {roadSettingsOpen && (
+        <RoadSettingsDialog
+          t={t}
+          roadSource={roadSource}
+          onSave={(next) => {
+            roadSource.save(next).catch((err) => {
+              console.warn("Could not save road data settings", err);
+              if (isQuotaError(err)) setStorageError(err);
+            });
+            setRoadSettingsOpen(false);
+          }}
+          onClose={() => setRoadSettingsOpen(false)}
+        />
+      )}
+
+      {capacityModelOpen && (
+        <CapacityModelDialog
+          t={t}
+          model={capacityModel}
+          onSave={(next) => {
+            setCapacityModel(normalizeCapacityModel(next));
+            setCapacityModelOpen(false);
+          }}
+          onClose={() => setCapacityModelOpen(false)}
+        />
+      )}
+
+      {categoryEditorOpen && (
+        <CategoryEditor
+          t={t}
+          categories={categories}
+          setCategories={setCategories}
+          features={features}
+          onClose={() => setCategoryEditorOpen(false)}
+        />
+      )}
+
+      <StorageNotice t={t} storage={storage} error={storageError} onDismiss={() => setStorageError(null)} />
+
+      <LegendControl
+        t={t}
+        lang={lang}
+        categories={categories}
+        mapMode={mapMode}
+        setMapMode={setMapMode}
+        passes={passes}
+        activePass={activePass}
+        setActivePassId={setActivePassId}
+        simTime={simTime}
+        setSimTime={setSimTime}
+      />
       
       <SnapLoadingBar />
     </div>
@@ -0,0 +1,54 @@
+// Photo handling shared by the zip-based formats (KMZ, survey package)
+// Photos are stored as photos/<photoId>.jpg and referenced by that relative path.
+import { photoPath } from "./geojson";
+
+/**
+ * Copy every photo referenced by `features` into `zip`.
+ * loadPhoto(photoId) resolves to the stored Blob (or null when missing).
+ * Returns the list of paths written.
+ */
+export async function addPhotosToZip(zip, features, loadPhoto) {
+  const written = [];
+  const seen = new Set();
+  for (const f of features) {
+    for (const img of f?.properties?.images || []) {
+      if (!img?.photoId || seen.has(img.photoId)) continue;
+      seen.add(img.photoId);
+      const blob = await loadPhoto?.(img.photoId);
+      if (!blob) continue;
+      const path = photoPath(img.photoId);
+      zip.file(path, blob);
+      written.push(path);
+    }
+  }
+  return written;
+}
+
+async function zipEntryToDataUrl(entry, path) {
+  const base64 = await entry.async("base64");
+  const mime = /\.png$/i.test(path) ? "image/png" : "image/jpeg";
+  return `data:${mime};base64,${base64}`;
+}
+
+/**
+ * Replace `href` images with inline `dataUrl` images read from `zip`.
+ * Paths listed in `skip` (e.g. failed checksums) and missing files are dropped.
+ */
+export async function resolveZipPhotos(zip, features, skip = new Set()) {
+  const out = [];
+  for (const f of features) {
+    const images = f?.properties?.images;
+    if (!Array.isArray(images) || !images.some((img) => img?.href)) {
+      out.push(f);
+      continue;
+    }
+    const next = [];
+    for (const img of images) {
+      if (!img?.href) { next.push(img); continue; }
+      const entry = skip.has(img.href) ? null : zip.file(img.href);
+      if (entry) next.push({ dataUrl: await zipEntryToDataUrl(entry, img.href), caption: img.caption ?? "" });
+    }
+    out.push({ ...f, properties: { ...f.properties, images: next } });
+  }
+  return out;
+}
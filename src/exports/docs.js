@@ -3,9 +3,35 @@ import autoTable from "jspdf-autotable";
 import { saveAs } from "file-saver";
 import {
   Document, Packer, Paragraph, TextRun, HeadingLevel,
-  Table, TableRow, TableCell, WidthType, AlignmentType, ImageRun
+  Table, TableRow, TableCell, WidthType, AlignmentType, ImageRun, Footer, PageNumber
 } from "docx";
 import { translations } from "../i18n";
+import { DEFAULT_CATEGORIES, getCategory, categoryLabel } from "../utils/categories";
+import { summaryRows, occupancyTables, zoneTables } from "./summary";
+import { renderMapImage } from "./mapSnapshot";
+import { normalizeInfo, reportTitle, formatSurveyDate, surveyFileBase } from "../utils/surveyInfo";
+import { regulationText } from "../utils/regulations";
+
+// Map image sizes in pixels (3:2, like the report maps)
+const OVERVIEW_PX = { width: 1200, height: 800 };
+const LOCATOR_PX = { width: 600, height: 400 };
+
+// Scale a logo to fit a box, keeping its aspect ratio
+function fitLogo(logo, maxW, maxH) {
+  const scale = Math.min(maxW / logo.width, maxH / logo.height);
+  return { width: logo.width * scale, height: logo.height * scale };
+}
+
+// Cover lines below the title: subtitle, area, survey date, author
+function coverLines(info, t, lang) {
+  const date = formatSurveyDate(info, lang);
+  return [
+    info.subtitle,
+    info.area && `${t.area}: ${info.area}`,
+    date && `${t.surveyDate}: ${date}`,
+    info.author && `${t.footerPreparedBy} ${info.author}`,
+  ].filter(Boolean);
+}
 
 /* ---------------------- Tiny Helper 1 ---------------------- */
 // Converts base64 DataURL (from uploaded image) to Uint8Array for docx embedding
@@ -25,8 +51,9 @@ export async function dataUrlToUint8Array(dataUrl) {
 
 /* ---------------------- Helper 2 ---------------------- */
 // Creates and downloads a PDF report
-export async function exportPdf({ features, boundary, lang = "en" }) {
+export async function exportPdf({ features, boundary, zones = [], categories = DEFAULT_CATEGORIES, passes = [], info, name, lang = "en" }) {
   const t = translations[lang].pdf;
+  const meta = normalizeInfo(info);
   const doc = new jsPDF({ unit: "mm", format: "a4" });
   const pageW = doc.internal.pageSize.getWidth();
   const pageH = doc.internal.pageSize.getHeight();
@@ -34,91 +61,144 @@ export async function exportPdf({ features, boundary, lang = "en" }) {
   const nowLabel = `${t.generated}: ${new Date().toLocaleString()}`;
 
   // Cover
+  let coverY = 30;
+  if (meta.logo) {
+    const { width, height } = fitLogo(meta.logo, 60, 30);
+    doc.addImage(meta.logo.dataUrl, "PNG", (pageW - width) / 2, 16, width, height);
+    coverY = 16 + height + 14;
+  }
   doc.setFontSize(20);
-  doc.text(t.title, pageW / 2, 30, { align: "center" });
+  doc.text(reportTitle(meta, translations[lang]), pageW / 2, coverY, { align: "center" });
   doc.setFontSize(12);
-  doc.text(t.subtitle, pageW / 2, 40, { align: "center" });
-  doc.text(nowLabel, pageW / 2, 48, { align: "center" });
-  if (boundary?.length >= 3) doc.text(t.studyArea, pageW / 2, 56, { align: "center" });
+  coverY += 10;
+  for (const line of coverLines(meta, t, lang)) {
+    doc.text(line, pageW / 2, coverY, { align: "center" });
+    coverY += 8;
+  }
+  doc.text(nowLabel, pageW / 2, coverY, { align: "center" });
+  if (boundary?.length >= 3) doc.text(t.studyArea, pageW / 2, coverY + 8, { align: "center" });
   doc.addPage();
 
   // Summary
-  const totals = { free: 0, residents: 0, limited: 0 };
-  features.forEach((f) => {
-    const c = f.properties?.category;
-    const n = Number(f.properties?.spaces) || 0;
-    if (c && totals[c] != null) totals[c] += n;
-  });
-
   doc.setFontSize(16);
   doc.text(t.summary, 14, 18);
   autoTable(doc, {
     startY: 24,
     head: [[t.metric, t.value]],
-    body: [
-      [t.segments, String(features.length)],
-      [t.totalSpacesFree, String(totals.free)],
-      [t.totalSpacesResidents, String(totals.residents)],
-      [t.totalSpacesLimited, String(totals.limited)],
-    ],
+    body: summaryRows(features, categories, lang),
     theme: "grid",
     styles: { fontSize: 10, cellPadding: 2 },
   });
 
   let y = (doc.lastAutoTable?.finalY || 24) + 10;
+
+  // Spaces per zone, occupancy per count pass
+  for (const table of [...zoneTables(features, categories, zones, lang), ...occupancyTables(features, categories, passes, lang)]) {
+    if (y > pageH - 40) { doc.addPage(); y = 18; }
+    doc.setFontSize(14);
+    doc.text(table.title, 14, y);
+    autoTable(doc, {
+      startY: y + 4,
+      head: [table.head],
+      body: table.body,
+      theme: "grid",
+      styles: { fontSize: 9, cellPadding: 1.5 },
+    });
+    y = (doc.lastAutoTable?.finalY || y) + 10;
+  }
+
+  // Overview map
+  const overview = renderMapImage({ features, boundary, categories }, OVERVIEW_PX);
+  if (overview) {
+    const mapW = pageW - 28;
+    const mapH = (mapW * OVERVIEW_PX.height) / OVERVIEW_PX.width;
+    if (y + mapH + 8 > pageH - 14) { doc.addPage(); y = 18; }
+    doc.setFontSize(14);
+    doc.text(t.overviewMap, 14, y);
+    doc.addImage(overview, "PNG", 14, y + 4, mapW, mapH);
+    y += mapH + 14;
+  }
   if (y > pageH - 40) { doc.addPage(); y = 18; }
 
+  // Per-segment: key/value table with a locator map on the right
+  const locW = 54;
+  const locH = (locW * LOCATOR_PX.height) / LOCATOR_PX.width;
   const items = [...features].sort((a, b) =>
     (a.properties?.street ?? "").localeCompare(b.properties?.street ?? "")
   );
 
   for (const f of items) {
     const p = f.properties || {};
+    if (y + locH + 8 > pageH - 14) { doc.addPage(); y = 18; }
     doc.setFontSize(14);
-    doc.text(p.street || "Unnamed street", 14, y);
+    doc.text(p.street || t.unnamedStreet, 14, y);
     y += 6;
+    const locator = renderMapImage({ features, boundary, categories }, { ...LOCATOR_PX, focusId: p._id });
+    if (locator) doc.addImage(locator, "PNG", pageW - 14 - locW, y, locW, locH);
 
     autoTable(doc, {
       startY: y,
       head: [[t.metric, t.value]],
       body: [
-        [t.field_category, p.category || ""],
+        [t.field_category, categoryLabel(getCategory(categories, p.category), lang)],
         [t.field_spaces, String(p.spaces ?? "")],
         ...(p.category === "limited" ? [[t.field_timelimit, String(p.limitMins ?? "")]] : []),
-        [t.field_rules, p.rules || ""],
+        [t.field_rules, regulationText(p, lang)],
         [t.field_notes, p.notes || ""],
       ],
       theme: "plain",
       styles: { fontSize: 10, cellPadding: 1.5 },
-      tableWidth: pageW - 28,
+      tableWidth: pageW - 28 - (locator ? locW + 4 : 0),
       margin: { left: 14, right: 14 },
     });
 
-    y = (doc.lastAutoTable?.finalY || y) + 8;
+    y = Math.max(doc.lastAutoTable?.finalY || y, locator ? y + locH : 0) + 8;
     if (y > pageH - 40) { doc.addPage(); y = 18; }
   }
 
-  doc.save(lang === "de" ? "parkraumerhebung-jena.pdf" : "jena-parking-survey.pdf");
+  // Footer on every page: author and page number
+  const pages = doc.getNumberOfPages();
+  doc.setFontSize(8);
+  doc.setTextColor(107, 114, 128);
+  for (let i = 1; i <= pages; i++) {
+    doc.setPage(i);
+    if (meta.author) doc.text(`${t.footerPreparedBy} ${meta.author}`, 14, pageH - 8);
+    doc.text(`${t.page} ${i} / ${pages}`, pageW - 14, pageH - 8, { align: "right" });
+  }
+
+  doc.save(`${surveyFileBase(meta, name)}.pdf`);
 }
 
 
 /* ---------------------- Helper 3 ---------------------- */
 // Creates and downloads a DOCX report
-export async function exportDocx({ features, boundary, lang = "en" }) {
+export async function exportDocx({ features, boundary, zones = [], categories = DEFAULT_CATEGORIES, passes = [], info, name, lang = "en" }) {
   const t = translations[lang].pdf;
+  const meta = normalizeInfo(info);
 
   const children = [
+    ...(meta.logo
+      ? [new Paragraph({
+          children: [new ImageRun({
+            type: "png",
+            data: await dataUrlToUint8Array(meta.logo.dataUrl),
+            transformation: fitLogo(meta.logo, 220, 110),
+          })],
+          spacing: { after: 300 },
+          alignment: AlignmentType.CENTER,
+        })]
+      : []),
     new Paragraph({
-      text: t.title,
+      text: reportTitle(meta, translations[lang]),
       heading: HeadingLevel.TITLE,
       spacing: { after: 300 },
       alignment: AlignmentType.CENTER,
     }),
-    new Paragraph({
-      children: [new TextRun({ text: t.subtitle, italics: true })],
+    ...coverLines(meta, t, lang).map((line, i) => new Paragraph({
+      children: [new TextRun({ text: line, italics: i === 0 && !!meta.subtitle })],
       spacing: { after: 200 },
       alignment: AlignmentType.CENTER,
-    }),
+    })),
     new Paragraph({
       children: [new TextRun(`${t.generated}: ${new Date().toLocaleString()}`)],
       spacing: { after: 200 },
@@ -130,13 +210,6 @@ export async function exportDocx({ features, boundary, lang = "en" }) {
   ];
 
   // Summary
-  const totals = { free: 0, residents: 0, limited: 0 };
-  for (const f of features) {
-    const c = f.properties?.category;
-    const n = Number(f.properties?.spaces) || 0;
-    if (c && totals[c] != null) totals[c] += n;
-  }
-
   children.push(
     new Paragraph({ text: t.summary, heading: HeadingLevel.HEADING_1 }),
     new Table({
@@ -148,12 +221,7 @@ export async function exportDocx({ features, boundary, lang = "en" }) {
             new TableCell({ children: [new Paragraph(t.value)] }),
           ],
         }),
-        ...[
-          [t.segments, String(features.length)],
-          [t.totalSpacesFree, String(totals.free)],
-          [t.totalSpacesResidents, String(totals.residents)],
-          [t.totalSpacesLimited, String(totals.limited)],
-        ].map(
+        ...summaryRows(features, categories, lang).map(
           ([k, v]) =>
             new TableRow({
               children: [new TableCell({ children: [new Paragraph(k)] }), new TableCell({ children: [new Paragraph(v)] })],
@@ -163,6 +231,31 @@ export async function exportDocx({ features, boundary, lang = "en" }) {
     })
   );
 
+  for (const table of [...zoneTables(features, categories, zones, lang), ...occupancyTables(features, categories, passes, lang)]) {
+    children.push(
+      new Paragraph({ text: table.title, heading: HeadingLevel.HEADING_2 }),
+      new Table({
+        width: { size: 100, type: WidthType.PERCENTAGE },
+        rows: [table.head, ...table.body].map(
+          (row) =>
+            new TableRow({
+              children: row.map((v) => new TableCell({ children: [new Paragraph(String(v))] })),
+            })
+        ),
+      })
+    );
+  }
+
+  const overview = renderMapImage({ features, boundary, categories }, OVERVIEW_PX);
+  if (overview) {
+    children.push(
+      new Paragraph({ text: t.overviewMap, heading: HeadingLevel.HEADING_1 }),
+      new Paragraph({
+        children: [new ImageRun({ type: "png", data: await dataUrlToUint8Array(overview), transformation: { width: 600, height: 400 } })],
+      })
+    );
+  }
+
   // Per-segment
   const items = [...features].sort((a, b) =>
     (a.properties?.street ?? "").localeCompare(b.properties?.street ?? "")
@@ -170,13 +263,20 @@ export async function exportDocx({ features, boundary, lang = "en" }) {
 
   for (const f of items) {
     const p = f.properties || {};
-    children.push(new Paragraph({ text: p.street || "Unnamed street", heading: HeadingLevel.HEADING_2 }));
+    children.push(new Paragraph({ text: p.street || t.unnamedStreet, heading: HeadingLevel.HEADING_2 }));
+
+    const locator = renderMapImage({ features, boundary, categories }, { ...LOCATOR_PX, focusId: p._id });
+    if (locator) {
+      children.push(new Paragraph({
+        children: [new ImageRun({ type: "png", data: await dataUrlToUint8Array(locator), transformation: { width: 240, height: 160 } })],
+      }));
+    }
 
     const rows = [
-      [t.field_category, p.category || ""],
+      [t.field_category, categoryLabel(getCategory(categories, p.category), lang)],
       [t.field_spaces, String(p.spaces ?? "")],
       ...(p.category === "limited" ? [[t.field_timelimit, String(p.limitMins ?? "")]] : []),
-      [t.field_rules, p.rules || ""],
+      [t.field_rules, regulationText(p, lang)],
       [t.field_notes, p.notes || ""],
     ];
 
@@ -208,7 +308,18 @@ export async function exportDocx({ features, boundary, lang = "en" }) {
     }
   }
 
-  const doc = new Document({ sections: [{ children }] });
+  // Footer on every page: author and page number
+  const footer = new Footer({
+    children: [
+      ...(meta.author ? [new Paragraph({ children: [new TextRun({ text: `${t.footerPreparedBy} ${meta.author}`, size: 16 })] })] : []),
+      new Paragraph({
+        children: [new TextRun({ children: [`${t.page} `, PageNumber.CURRENT, " / ", PageNumber.TOTAL_PAGES], size: 16 })],
+        alignment: AlignmentType.RIGHT,
+      }),
+    ],
+  });
+
+  const doc = new Document({ sections: [{ footers: { default: footer }, children }] });
   const blob = await Packer.toBlob(doc);
-  saveAs(blob, lang === "de" ? "parkraumerhebung-jena.docx" : "jena-parking-survey.docx");
+  saveAs(blob, `${surveyFileBase(meta, name)}.docx`);
 }
\ No newline at end of file
@@ -0,0 +1,236 @@
+// GeoJSON (RFC 7946) export / import of a survey
+// - segments are LineString features, curb points Point features, the study area and
+//   named zones Polygon features (kind "study_area" / "zone")
+// - survey-level data (categories, report info, count passes, curb offset, capacity model, name, schema) sits in the `survey` foreign member
+// - attribute schema "nested" keeps the app's own property names and image lists;
+//   "flat" uses short scalar columns (≤10 chars) for Shapefile-style consumers
+import { normalizeCategories, getCategory, categoryLabel } from "../utils/categories";
+import { normalizePasses } from "../utils/occupancy";
+import { normalizeRegulations } from "../utils/regulations";
+import { normalizeCurbOffset } from "../utils/curbOffset";
+import { normalizeCapacityModel } from "../utils/capacityModel";
+import { normalizePoints } from "../utils/curbPoints";
+import { normalizeZones } from "../utils/zones";
+
+export const SURVEY_SCHEMA = "parking-surveyor";
+export const SURVEY_SCHEMA_VERSION = 2;
+
+// nested property -> flat column
+export const FLAT_FIELDS = {
+  _id: "id",
+  street: "street",
+  category: "category",
+  spaces: "spaces",
+  length_m: "length_m",
+  limitMins: "limit_min",
+  rules: "rules",
+  notes: "notes",
+  spacesEdited: "sp_edited",
+  osmWayId: "osm_way",
+  side: "side",
+  orientation: "orient",
+  driveways: "driveways",
+  hydrants: "hydrants",
+  intersectionEnds: "int_ends",
+};
+
+// Relative path of a photo inside a survey package
+export function photoPath(photoId) {
+  return `photos/${photoId}.jpg`;
+}
+
+function boundaryToPolygon(boundary) {
+  if (!Array.isArray(boundary) || boundary.length < 3) return null;
+  const ring = boundary.map(([lat, lng]) => [lng, lat]);
+  const [first, last] = [ring[0], ring[ring.length - 1]];
+  if (first[0] !== last[0] || first[1] !== last[1]) ring.push([...first]);
+  return { type: "Polygon", coordinates: [ring] };
+}
+
+function polygonToBoundary(geometry) {
+  const ring = geometry?.coordinates?.[0];
+  if (!Array.isArray(ring) || ring.length < 4) return null;
+  // drop the closing vertex; the app keeps open [lat, lng] rings
+  return ring.slice(0, -1).map(([lng, lat]) => [lat, lng]);
+}
+
+function exportImages(images, photos) {
+  const list = Array.isArray(images) ? images : [];
+  if (photos === "embed") return list.filter((img) => img?.dataUrl).map(({ dataUrl, caption }) => ({ dataUrl, caption: caption ?? "" }));
+  if (photos === "reference") {
+    return list.filter((img) => img?.photoId).map(({ photoId, caption }) => ({ href: photoPath(photoId), caption: caption ?? "" }));
+  }
+  return undefined;
+}
+
+function flatProperties(p, categories, lang, images) {
+  const out = { kind: "segment" };
+  for (const [key, col] of Object.entries(FLAT_FIELDS)) {
+    const v = p[key];
+    out[col] = key === "spacesEdited" ? (v ? 1 : 0) : v ?? null;
+  }
+  out.cat_label = categoryLabel(getCategory(categories, p.category), lang);
+  out.n_photos = Array.isArray(p.images) ? p.images.length : 0;
+  if (images) {
+    out.photos = images.map((img) => img.href ?? img.dataUrl).join(";");
+    out.captions = images.map((img) => img.caption).join(";");
+  }
+  return out;
+}
+
+function flatPointProperties(p, images) {
+  const out = { kind: "point", id: p._id, point_type: p.pointType, text: p.text ?? null, notes: p.notes ?? null };
+  out.n_photos = Array.isArray(p.images) ? p.images.length : 0;
+  if (images) {
+    out.photos = images.map((img) => img.href ?? img.dataUrl).join(";");
+    out.captions = images.map((img) => img.caption).join(";");
+  }
+  return out;
+}
+
+/**
+ * Build an RFC 7946 FeatureCollection for a survey.
+ * options.photos: "strip" | "reference" | "embed" ("embed" expects features
+ * whose images were hydrated to data URLs); options.schema: "nested" | "flat"
+ */
+export function buildSurveyGeoJSON({ features, boundary, zones = [], categories, info, passes, curbOffset, capacityModel, points = [], name }, { schema = "nested", photos = "strip", lang = "en" } = {}) {
+  const out = [];
+  for (const f of features) {
+    if (!f?.geometry) continue;
+    const p = f.properties || {};
+    const images = exportImages(p.images, photos);
+    let properties;
+    if (schema === "flat") {
+      properties = flatProperties(p, categories, lang, images);
+    } else {
+      const { images: _images, ...rest } = p;
+      properties = { kind: "segment", ...rest };
+      if (images) properties.images = images;
+    }
+    out.push({ type: "Feature", id: p._id, geometry: f.geometry, properties });
+  }
+
+  for (const point of points) {
+    const p = point.properties || {};
+    const images = exportImages(p.images, photos);
+    let properties;
+    if (schema === "flat") {
+      properties = flatPointProperties(p, images);
+    } else {
+      const { images: _images, ...rest } = p;
+      properties = { kind: "point", ...rest };
+      if (images) properties.images = images;
+    }
+    out.push({ type: "Feature", id: p._id, geometry: point.geometry, properties });
+  }
+
+  const polygon = boundaryToPolygon(boundary);
+  if (polygon) {
+    out.push({ type: "Feature", id: "study_area", geometry: polygon, properties: { kind: "study_area", name: name ?? null } });
+  }
+  for (const zone of zones) {
+    const geometry = boundaryToPolygon(zone.ring);
+    if (geometry) out.push({ type: "Feature", id: zone.id, geometry, properties: { kind: "zone", name: zone.name, color: zone.color } });
+  }
+
+  return {
+    type: "FeatureCollection",
+    // foreign member (RFC 7946 §6.1): ignored by GIS tools, read back on import
+    survey: {
+      schema: SURVEY_SCHEMA,
+      version: SURVEY_SCHEMA_VERSION,
+      attributes: schema,
+      photos,
+      name: name ?? null,
+      exportedAt: new Date().toISOString(),
+      categories,
+      info: info ?? null,
+      passes: passes ?? [],
+      curbOffset: curbOffset ?? null,
+      capacityModel: capacityModel ?? null,
+    },
+    features: out,
+  };
+}
+
+function unflattenProperties(props) {
+  const out = {};
+  for (const [key, col] of Object.entries(FLAT_FIELDS)) {
+    if (props[col] === undefined) continue;
+    out[key] = key === "spacesEdited" ? !!Number(props[col]) : props[col];
+  }
+  if (typeof props.photos === "string" && props.photos) {
+    const captions = typeof props.captions === "string" ? props.captions.split(";") : [];
+    out.images = props.photos.split(";").map((ref, i) => (
+      ref.startsWith("data:") ? { dataUrl: ref, caption: captions[i] ?? "" } : { href: ref, caption: captions[i] ?? "" }
+    ));
+  }
+  return out;
+}
+
+/**
+ * Read a survey from parsed JSON: this module's FeatureCollection (nested or flat),
+ * any other FeatureCollection, or the legacy `{ type: "Survey" }` file.
+ * Returns { features, boundary, zones, categories, info, passes, curbOffset, capacityModel, points } or null when the format is unknown.
+ * Images may still carry `dataUrl` (to ingest) or `href` (relative package paths).
+ */
+export function parseSurveyJSON(data) {
+  if (data?.type === "Survey" && Array.isArray(data.features)) {
+    return {
+      features: data.features,
+      boundary: Array.isArray(data.boundary) ? data.boundary : null,
+      categories: Array.isArray(data.categories) ? normalizeCategories(data.categories) : null,
+      info: data.info ?? null,
+      passes: Array.isArray(data.passes) ? normalizePasses(data.passes) : null,
+      curbOffset: data.curbOffset ? normalizeCurbOffset(data.curbOffset) : null,
+      capacityModel: data.capacityModel ? normalizeCapacityModel(data.capacityModel) : null,
+      points: normalizePoints(data.points),
+      zones: normalizeZones(data.zones),
+    };
+  }
+  if (data?.type !== "FeatureCollection" || !Array.isArray(data.features)) return null;
+
+  const flat = data.survey?.attributes === "flat";
+  let boundary = null;
+  const features = [];
+  const points = [];
+  const zones = [];
+  for (const f of data.features) {
+    const props = f?.properties || {};
+    const type = f?.geometry?.type;
+    if (type === "Point") {
+      const { kind: _kind, ...rest } = flat
+        ? { ...unflattenProperties(props), pointType: props.point_type, text: props.text ?? "" }
+        : props;
+      points.push({ type: "Feature", geometry: f.geometry, properties: { ...rest, _id: rest._id ?? (typeof f.id === "string" ? f.id : undefined) } });
+      continue;
+    }
+    if (props.kind === "zone" && type === "Polygon") {
+      zones.push({ id: typeof f.id === "string" ? f.id : undefined, name: props.name, color: props.color, ring: polygonToBoundary(f.geometry) });
+      continue;
+    }
+    if (props.kind === "study_area" || (!boundary && type === "Polygon" && props.kind == null)) {
+      boundary = boundary ?? polygonToBoundary(f.geometry);
+      continue;
+    }
+    if (type !== "LineString") continue;
+    const { kind: _kind, ...rest } = flat ? { ...unflattenProperties(props) } : props;
+    if (rest.regulations !== undefined) rest.regulations = normalizeRegulations(rest.regulations);
+    features.push({
+      type: "Feature",
+      geometry: f.geometry,
+      properties: { ...rest, _id: rest._id ?? (typeof f.id === "string" ? f.id : crypto.randomUUID()) },
+    });
+  }
+  return {
+    features,
+    boundary,
+    categories: Array.isArray(data.survey?.categories) ? normalizeCategories(data.survey.categories) : null,
+    info: data.survey?.info ?? null,
+    passes: Array.isArray(data.survey?.passes) ? normalizePasses(data.survey.passes) : null,
+    curbOffset: data.survey?.curbOffset ? normalizeCurbOffset(data.survey.curbOffset) : null,
+    capacityModel: data.survey?.capacityModel ? normalizeCapacityModel(data.survey.capacityModel) : null,
+    points: normalizePoints(points),
+    zones: normalizeZones(zones),
+  };
+}
@@ -0,0 +1,321 @@
+// KML / KMZ export and import (Google Earth)
+// - segments become LineString placemarks styled with their category color
+// - segment properties travel in <ExtendedData>, the category registry in the
+//   document's ExtendedData, so a round trip restores the survey
+// - the study area and named zones are Polygon placemarks, curb points are Point placemarks
+// - KMZ bundles photos under photos/ and shows them in the placemark balloon
+import JSZip from "jszip";
+import { getCategory, categoryLabel, normalizeCategories } from "../utils/categories";
+import { photoPath } from "./geojson";
+import { addPhotosToZip, resolveZipPhotos } from "./archive";
+import { translations } from "../i18n";
+import { normalizeRegulations, regulationText } from "../utils/regulations";
+import { POINT_TYPES, normalizePoints } from "../utils/curbPoints";
+import { normalizeZones } from "../utils/zones";
+
+const KML_NS = "http://www.opengis.net/kml/2.2";
+const STUDY_AREA_ID = "study_area";
+const POINT_KIND = "point";
+const ZONE_KIND = "zone";
+
+// Properties written to / read from ExtendedData, with their value types
+const KML_FIELDS = {
+  _id: "string",
+  street: "string",
+  category: "string",
+  spaces: "number",
+  length_m: "number",
+  limitMins: "number",
+  rules: "string",
+  notes: "string",
+  spacesEdited: "boolean",
+  osmWayId: "number",
+  side: "string",
+  orientation: "string",
+  driveways: "number",
+  hydrants: "number",
+  intersectionEnds: "number",
+};
+
+function esc(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function photoRefs(images, photos) {
+  return photos
+    ? (images || []).filter((img) => img?.photoId).map((img) => ({ href: photoPath(img.photoId), caption: img.caption ?? "" }))
+    : [];
+}
+
+// "#rrggbb" -> KML "aabbggrr"
+function kmlColor(hex, alpha = "ff") {
+  const m = /^#?([0-9a-f]{6})$/i.exec(hex || "");
+  if (!m) return `${alpha}9ca3af`;
+  const [r, g, b] = [m[1].slice(0, 2), m[1].slice(2, 4), m[1].slice(4, 6)];
+  return `${alpha}${b}${g}${r}`.toLowerCase();
+}
+
+function coordText(coords) {
+  return coords.map(([lng, lat]) => `${lng},${lat}`).join(" ");
+}
+
+function styleId(categoryId) {
+  return `cat-${String(categoryId || "unknown").replace(/[^A-Za-z0-9_-]/g, "_")}`;
+}
+
+function extendedData(entries) {
+  const rows = entries
+    .filter(([, v]) => v !== undefined && v !== null && v !== "")
+    .map(([k, v]) => `<Data name="${esc(k)}"><value>${esc(v)}</value></Data>`);
+  return rows.length ? `<ExtendedData>${rows.join("")}</ExtendedData>` : "";
+}
+
+function description(p, category, lang, images) {
+  const t = translations[lang].pdf;
+  const rows = [
+    [t.field_category, categoryLabel(category, lang)],
+    [t.field_spaces, p.spaces],
+    [t.field_timelimit, p.limitMins],
+    [t.field_rules, regulationText(p, lang)],
+    [t.field_notes, p.notes],
+  ].filter(([, v]) => v !== undefined && v !== null && v !== "");
+  let html = rows.map(([k, v]) => `<b>${esc(k)}:</b> ${esc(v)}`).join("<br/>");
+  for (const img of images) {
+    html += `<br/><img src="${esc(img.href)}" width="320"/>`;
+    if (img.caption) html += `<br/><i>${esc(img.caption)}</i>`;
+  }
+  return cdataDescription(html);
+}
+
+// CDATA must not contain its own terminator
+function cdataDescription(html) {
+  return `<description><![CDATA[${html.replace(/]]>/g, "]]&gt;")}]]></description>`;
+}
+
+function pointPlacemark(point, lang, photos) {
+  const p = point.properties || {};
+  const label = translations[lang].points.types[p.pointType];
+  const images = photoRefs(p.images, photos);
+  let html = [p.text, p.notes].filter(Boolean).map(esc).join("<br/>");
+  for (const img of images) html += `<br/><img src="${esc(img.href)}" width="320"/>`;
+  const data = [["kind", POINT_KIND], ["_id", p._id], ["pointType", p.pointType], ["text", p.text], ["notes", p.notes]];
+  if (images.length) data.push(["images", JSON.stringify(images)]);
+  const [lng, lat] = point.geometry.coordinates;
+  return `<Placemark${p._id ? ` id="${esc(p._id)}"` : ""}><name>${esc(p.text ? `${label}: ${p.text}` : label)}</name>` +
+    `${cdataDescription(html)}${extendedData(data)}<Point><coordinates>${lng},${lat}</coordinates></Point></Placemark>`;
+}
+
+/**
+ * KML document text for a survey.
+ * options.photos: true to reference photos as photos/<id>.jpg (for KMZ packaging)
+ */
+export function buildKml({ features, boundary, zones = [], categories, points = [], name }, { lang = "en", photos = false } = {}) {
+  const used = new Set(features.map((f) => f?.properties?.category));
+  const styles = [...used].map((id) => {
+    const c = getCategory(categories, id);
+    return `<Style id="${styleId(id)}"><LineStyle><color>${kmlColor(c.color)}</color><width>4</width></LineStyle></Style>`;
+  });
+  styles.push(
+    `<Style id="${STUDY_AREA_ID}"><LineStyle><color>ff000000</color><width>2</width></LineStyle>` +
+      `<PolyStyle><color>${kmlColor("#000000", "1a")}</color></PolyStyle></Style>`
+  );
+
+  const placemarks = [];
+  if (Array.isArray(boundary) && boundary.length >= 3) {
+    const ring = boundary.map(([lat, lng]) => [lng, lat]);
+    ring.push(ring[0]);
+    placemarks.push(
+      `<Placemark id="${STUDY_AREA_ID}"><name>${esc(translations[lang].pdf.studyArea)}</name>` +
+        `<styleUrl>#${STUDY_AREA_ID}</styleUrl>${extendedData([["kind", STUDY_AREA_ID]])}` +
+        `<Polygon><outerBoundaryIs><LinearRing><coordinates>${coordText(ring)}</coordinates></LinearRing></outerBoundaryIs></Polygon></Placemark>`
+    );
+  }
+  for (const zone of zones) {
+    const ring = zone.ring.map(([lat, lng]) => [lng, lat]);
+    ring.push(ring[0]);
+    placemarks.push(
+      `<Placemark id="${esc(zone.id)}"><name>${esc(zone.name)}</name>` +
+        `<Style><LineStyle><color>${kmlColor(zone.color)}</color><width>2</width></LineStyle><PolyStyle><color>${kmlColor(zone.color, "1a")}</color></PolyStyle></Style>` +
+        `${extendedData([["kind", ZONE_KIND], ["color", zone.color]])}` +
+        `<Polygon><outerBoundaryIs><LinearRing><coordinates>${coordText(ring)}</coordinates></LinearRing></outerBoundaryIs></Polygon></Placemark>`
+    );
+  }
+
+  for (const f of features) {
+    if (f?.geometry?.type !== "LineString") continue;
+    const p = f.properties || {};
+    const category = getCategory(categories, p.category);
+    const images = photoRefs(p.images, photos);
+    const data = Object.keys(KML_FIELDS).map((k) => [k, k === "spacesEdited" ? (p[k] ? 1 : 0) : p[k]]);
+    if (images.length) data.push(["images", JSON.stringify(images)]);
+    if (p.regulations?.length) data.push(["regulations", JSON.stringify(p.regulations)]);
+    placemarks.push(
+      `<Placemark${p._id ? ` id="${esc(p._id)}"` : ""}><name>${esc(p.street || categoryLabel(category, lang))}</name>` +
+        `${description(p, category, lang, images)}<styleUrl>#${styleId(p.category)}</styleUrl>${extendedData(data)}` +
+        `<LineString><tessellate>1</tessellate><coordinates>${coordText(f.geometry.coordinates)}</coordinates></LineString></Placemark>`
+    );
+  }
+  for (const point of points) placemarks.push(pointPlacemark(point, lang, photos));
+
+  return [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<kml xmlns="${KML_NS}"><Document>`,
+    `<name>${esc(name || translations[lang].pdf.title)}</name>`,
+    extendedData([["survey_categories", JSON.stringify(categories)]]),
+    ...styles,
+    ...placemarks,
+    `</Document></kml>`,
+  ].join("\n");
+}
+
+/**
+ * KMZ archive (doc.kml + photos/) as a Blob.
+ * loadPhoto(photoId) resolves to the stored Blob (or null when missing).
+ */
+export async function buildKmz(survey, { lang = "en", loadPhoto } = {}) {
+  const zip = new JSZip();
+  zip.file("doc.kml", buildKml(survey, { lang, photos: true }));
+  await addPhotosToZip(zip, [...survey.features, ...(survey.points || [])], loadPhoto);
+  return zip.generateAsync({ type: "blob", mimeType: "application/vnd.google-earth.kmz" });
+}
+
+/* ---------------------- Import ---------------------- */
+
+function childText(el, tag) {
+  const child = el.getElementsByTagName(tag)[0];
+  return child ? child.textContent.trim() : "";
+}
+
+function parseCoords(text) {
+  return text
+    .trim()
+    .split(/\s+/)
+    .map((tuple) => tuple.split(",").map(Number))
+    .filter(([lng, lat]) => Number.isFinite(lng) && Number.isFinite(lat))
+    .map(([lng, lat]) => [lng, lat]);
+}
+
+// <Data name><value> and <SchemaData><SimpleData name> as a plain object of strings
+function readExtendedData(el) {
+  const out = {};
+  const ext = Array.from(el.childNodes).find((c) => c.localName === "ExtendedData");
+  if (!ext) return out;
+  for (const d of Array.from(ext.getElementsByTagName("Data"))) {
+    out[d.getAttribute("name")] = childText(d, "value");
+  }
+  for (const d of Array.from(ext.getElementsByTagName("SimpleData"))) {
+    out[d.getAttribute("name")] = d.textContent.trim();
+  }
+  return out;
+}
+
+function typedProperties(data) {
+  const out = {};
+  for (const [key, type] of Object.entries(KML_FIELDS)) {
+    const raw = data[key];
+    if (raw === undefined || raw === "") continue;
+    if (type === "number") {
+      const n = Number(raw);
+      if (Number.isFinite(n)) out[key] = n;
+    } else if (type === "boolean") {
+      out[key] = raw === "1" || raw === "true";
+    } else {
+      out[key] = raw;
+    }
+  }
+  return out;
+}
+
+function parseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Read a survey from KML text. Returns { features, boundary, zones, categories, points } or null.
+ * Images keep `href` paths relative to the KMZ archive.
+ */
+export function parseKml(text) {
+  const doc = new DOMParser().parseFromString(text, "application/xml");
+  if (doc.getElementsByTagName("parsererror").length || doc.documentElement.localName !== "kml") return null;
+
+  const docEl = doc.getElementsByTagName("Document")[0];
+  const categories = docEl ? parseJson(readExtendedData(docEl).survey_categories ?? "") : null;
+
+  let boundary = null;
+  const features = [];
+  const points = [];
+  const zones = [];
+  for (const pm of Array.from(doc.getElementsByTagName("Placemark"))) {
+    const data = readExtendedData(pm);
+    const point = pm.getElementsByTagName("Point")[0];
+    if (point) {
+      const [coordinates] = parseCoords(childText(point, "coordinates"));
+      if (!coordinates) continue;
+      const images = parseJson(data.images ?? "");
+      points.push({
+        type: "Feature",
+        geometry: { type: "Point", coordinates },
+        properties: {
+          _id: data._id || pm.getAttribute("id") || crypto.randomUUID(),
+          pointType: POINT_TYPES.includes(data.pointType) ? data.pointType : "sign",
+          // placemarks from other tools: their name becomes the sign text
+          text: data.kind === POINT_KIND ? data.text ?? "" : childText(pm, "name"),
+          notes: data.notes ?? "",
+          images: Array.isArray(images) ? images.filter((img) => img?.href) : [],
+        },
+      });
+      continue;
+    }
+    const polygon = pm.getElementsByTagName("Polygon")[0];
+    if (polygon) {
+      const ring = parseCoords(childText(polygon.getElementsByTagName("outerBoundaryIs")[0] ?? polygon, "coordinates"));
+      if (ring.length < 4) continue;
+      // drop the closing vertex; the app keeps open [lat, lng] rings
+      const open = ring.slice(0, -1).map(([lng, lat]) => [lat, lng]);
+      if (data.kind === ZONE_KIND) zones.push({ id: pm.getAttribute("id"), name: childText(pm, "name"), color: data.color, ring: open });
+      else if (!boundary || data.kind === STUDY_AREA_ID) boundary = open;
+      continue;
+    }
+    const line = pm.getElementsByTagName("LineString")[0];
+    if (!line) continue;
+    const coordinates = parseCoords(childText(line, "coordinates"));
+    if (coordinates.length < 2) continue;
+    const properties = typedProperties(data);
+    // files from other tools: use the placemark name as the street
+    if (!data._id && !properties.street) properties.street = childText(pm, "name");
+    if (!properties._id) properties._id = pm.getAttribute("id") || crypto.randomUUID();
+    const images = parseJson(data.images ?? "");
+    if (Array.isArray(images)) properties.images = images.filter((img) => img?.href);
+    const regulations = parseJson(data.regulations ?? "");
+    if (Array.isArray(regulations)) properties.regulations = normalizeRegulations(regulations);
+    features.push({ type: "Feature", geometry: { type: "LineString", coordinates }, properties });
+  }
+  return {
+    features,
+    boundary,
+    categories: Array.isArray(categories) ? normalizeCategories(categories) : null,
+    points: normalizePoints(points),
+    zones: normalizeZones(zones),
+  };
+}
+
+/**
+ * Read a survey from a KMZ archive (ArrayBuffer / Blob).
+ * Photos found in the archive are returned inline as `dataUrl` images.
+ */
+export async function parseKmz(data) {
+  const zip = await JSZip.loadAsync(data);
+  const kmlEntry = zip.file("doc.kml") ?? zip.file(/\.kml$/i)[0];
+  if (!kmlEntry) return null;
+  const survey = parseKml(await kmlEntry.async("string"));
+  if (!survey) return null;
+  return { ...survey, features: await resolveZipPhotos(zip, survey.features), points: await resolveZipPhotos(zip, survey.points) };
+}
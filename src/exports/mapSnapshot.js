@@ -0,0 +1,153 @@
+// Map images for the PDF / DOCX reports, drawn on a canvas from the survey
+// geometry alone (no basemap tiles), so reports render offline and stand on their own.
+import { getCategory, LINE_STYLES } from "../utils/categories";
+
+const EARTH_RADIUS = 6378137;
+const BACKGROUND = "#f8fafc";
+const BOUNDARY_STYLE = { stroke: "#111827", fill: "rgba(17, 24, 39, 0.08)", dash: [6, 6] };
+const CONTEXT_COLOR = "#cbd5e1";
+
+// Web Mercator, in meters
+function project([lng, lat]) {
+  const rad = Math.PI / 180;
+  return [EARTH_RADIUS * lng * rad, EARTH_RADIUS * Math.log(Math.tan(Math.PI / 4 + (lat * rad) / 2))];
+}
+
+// Ground meters per Web Mercator meter at a projected y (mercator stretches by 1/cos(lat))
+function groundScale(y) {
+  return Math.cos(2 * Math.atan(Math.exp(y / EARTH_RADIUS)) - Math.PI / 2);
+}
+
+function extendBounds(bounds, coords) {
+  for (const c of coords) {
+    const [x, y] = project(c);
+    bounds[0] = Math.min(bounds[0], x);
+    bounds[1] = Math.min(bounds[1], y);
+    bounds[2] = Math.max(bounds[2], x);
+    bounds[3] = Math.max(bounds[3], y);
+  }
+  return bounds;
+}
+
+function lineCoords(f) {
+  return f?.geometry?.type === "LineString" ? f.geometry.coordinates || [] : [];
+}
+
+// "12 8" -> [12, 8] scaled to the image
+function dashPattern(lineStyle, scale) {
+  const dash = LINE_STYLES[lineStyle];
+  return dash ? dash.split(/\s+/).map((n) => Number(n) * scale) : [];
+}
+
+// metersPerPixel: ground meters per image pixel
+function drawScaleBar(ctx, metersPerPixel, width, height, scale) {
+  // largest 1/2/5 x 10^n distance that fits in a fifth of the image
+  const target = (width / 5) * metersPerPixel;
+  const pow = 10 ** Math.floor(Math.log10(target));
+  const meters = [5, 2, 1].map((m) => m * pow).find((m) => m <= target) ?? pow;
+  const px = meters / metersPerPixel;
+  const x = 12 * scale;
+  const y = height - 14 * scale;
+  ctx.setLineDash([]);
+  ctx.strokeStyle = "#111827";
+  ctx.lineWidth = 2 * scale;
+  ctx.beginPath();
+  ctx.moveTo(x, y - 5 * scale);
+  ctx.lineTo(x, y);
+  ctx.lineTo(x + px, y);
+  ctx.lineTo(x + px, y - 5 * scale);
+  ctx.stroke();
+  ctx.fillStyle = "#111827";
+  ctx.font = `${11 * scale}px sans-serif`;
+  ctx.fillText(meters >= 1000 ? `${meters / 1000} km` : `${meters} m`, x + px + 6 * scale, y);
+}
+
+/**
+ * Render the survey as a PNG data URL.
+ * - focusId: draw a locator map around that segment (others greyed out)
+ * - minExtent: smallest map extent in meters, so short segments keep some context
+ * Returns null when there is nothing to draw.
+ */
+export function renderMapImage(
+  { features, boundary, categories },
+  { width = 1200, height = 800, focusId = null, minExtent = 150 } = {}
+) {
+  const lines = features.filter((f) => lineCoords(f).length >= 2);
+  const ring = Array.isArray(boundary) && boundary.length >= 3 ? boundary.map(([lat, lng]) => [lng, lat]) : null;
+  const focus = focusId ? lines.find((f) => f.properties?._id === focusId) : null;
+  if (focusId && !focus) return null;
+
+  let bounds = [Infinity, Infinity, -Infinity, -Infinity];
+  if (focus) {
+    extendBounds(bounds, lineCoords(focus));
+  } else {
+    for (const f of lines) extendBounds(bounds, lineCoords(f));
+    if (ring) extendBounds(bounds, ring);
+  }
+  if (!Number.isFinite(bounds[0])) return null;
+
+  // grow to the minimum extent (in ground meters), then pad by 8% on each side
+  const [cx, cy] = [(bounds[0] + bounds[2]) / 2, (bounds[1] + bounds[3]) / 2];
+  const k = groundScale(cy);
+  const spanX = Math.max(bounds[2] - bounds[0], minExtent / k) * 1.16;
+  const spanY = Math.max(bounds[3] - bounds[1], minExtent / k) * 1.16;
+  const metersPerPixel = Math.max(spanX / width, spanY / height);
+  const toPixel = (c) => {
+    const [x, y] = project(c);
+    return [width / 2 + (x - cx) / metersPerPixel, height / 2 - (y - cy) / metersPerPixel];
+  };
+
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext("2d");
+  // line widths are tuned for a 1200 px wide image
+  const scale = width / 1200;
+  ctx.lineCap = "round";
+  ctx.lineJoin = "round";
+  ctx.fillStyle = BACKGROUND;
+  ctx.fillRect(0, 0, width, height);
+
+  const tracePath = (coords) => {
+    ctx.beginPath();
+    coords.forEach((c, i) => {
+      const [x, y] = toPixel(c);
+      if (i === 0) ctx.moveTo(x, y);
+      else ctx.lineTo(x, y);
+    });
+  };
+
+  if (ring) {
+    tracePath(ring);
+    ctx.closePath();
+    ctx.fillStyle = BOUNDARY_STYLE.fill;
+    ctx.fill();
+    ctx.setLineDash(BOUNDARY_STYLE.dash.map((n) => n * scale));
+    ctx.strokeStyle = BOUNDARY_STYLE.stroke;
+    ctx.lineWidth = 2 * scale;
+    ctx.stroke();
+  }
+
+  const strokeLine = (f, color, lineWidth, dash) => {
+    tracePath(lineCoords(f));
+    ctx.setLineDash(dash);
+    ctx.strokeStyle = color;
+    ctx.lineWidth = lineWidth;
+    ctx.stroke();
+  };
+
+  for (const f of lines) {
+    if (f === focus) continue;
+    const category = getCategory(categories, f.properties?.category);
+    if (focus) strokeLine(f, CONTEXT_COLOR, 5 * scale, []);
+    else strokeLine(f, category.color, 6 * scale, dashPattern(category.lineStyle, scale));
+  }
+  if (focus) {
+    // white halo so the highlighted segment stands out from the context
+    strokeLine(focus, "#ffffff", 16 * scale, []);
+    strokeLine(focus, getCategory(categories, focus.properties?.category).color, 10 * scale, []);
+  }
+
+  drawScaleBar(ctx, metersPerPixel * k, width, height, scale);
+  return canvas.toDataURL("image/png");
+}
@@ -0,0 +1,82 @@
+// Survey package (.zip): a self-contained, diff-friendly survey archive
+//   survey.geojson  nested GeoJSON, photos referenced as photos/<id>.jpg
+//   photos/         one JPEG per photo
+//   manifest.json   package format/version, survey schema and SHA-256 per file
+import JSZip from "jszip";
+import { buildSurveyGeoJSON, parseSurveyJSON, SURVEY_SCHEMA, SURVEY_SCHEMA_VERSION } from "./geojson";
+import { addPhotosToZip, resolveZipPhotos } from "./archive";
+
+export const PACKAGE_FORMAT = "parking-surveyor-package";
+export const PACKAGE_VERSION = 1;
+const SURVEY_FILE = "survey.geojson";
+const MANIFEST_FILE = "manifest.json";
+
+async function sha256(bytes) {
+  const digest = await crypto.subtle.digest("SHA-256", bytes);
+  return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * Zip the survey with its photos as separate files.
+ * loadPhoto(photoId) resolves to the stored Blob (or null when missing).
+ */
+export async function buildSurveyPackage(survey, { lang = "en", loadPhoto } = {}) {
+  const zip = new JSZip();
+  const fc = buildSurveyGeoJSON(survey, { schema: "nested", photos: "reference", lang });
+  zip.file(SURVEY_FILE, JSON.stringify(fc, null, 2));
+  const photoPaths = await addPhotosToZip(zip, [...survey.features, ...(survey.points || [])], loadPhoto);
+
+  const files = [];
+  for (const path of [SURVEY_FILE, ...photoPaths]) {
+    const bytes = await zip.file(path).async("uint8array");
+    files.push({ path, size: bytes.length, sha256: await sha256(bytes) });
+  }
+  const manifest = {
+    format: PACKAGE_FORMAT,
+    version: PACKAGE_VERSION,
+    schema: SURVEY_SCHEMA,
+    schemaVersion: SURVEY_SCHEMA_VERSION,
+    name: survey.name ?? null,
+    createdAt: new Date().toISOString(),
+    files,
+  };
+  zip.file(MANIFEST_FILE, JSON.stringify(manifest, null, 2));
+  return zip.generateAsync({ type: "blob", mimeType: "application/zip" });
+}
+
+/**
+ * Read a survey package (ArrayBuffer / Blob).
+ * Returns { features, boundary, categories, points, damaged } or null when the archive is
+ * not a survey package. Photos come back inline as `dataUrl` images; files whose
+ * checksum does not match the manifest are listed in `damaged` (damaged photos are
+ * skipped, a damaged survey.geojson makes the whole import fail).
+ */
+export async function readSurveyPackage(data) {
+  const zip = await JSZip.loadAsync(data);
+  const surveyEntry = zip.file(SURVEY_FILE);
+  if (!surveyEntry) return null;
+
+  let manifest = null;
+  const manifestEntry = zip.file(MANIFEST_FILE);
+  if (manifestEntry) {
+    manifest = JSON.parse(await manifestEntry.async("string"));
+    if (manifest?.format !== PACKAGE_FORMAT) return null;
+    if (manifest.version > PACKAGE_VERSION) throw new Error(`Unsupported package version ${manifest.version}`);
+  }
+
+  const damaged = [];
+  for (const file of manifest?.files || []) {
+    const entry = zip.file(file.path);
+    if (!entry) { damaged.push(file.path); continue; }
+    const bytes = await entry.async("uint8array");
+    if ((await sha256(bytes)) !== file.sha256) damaged.push(file.path);
+  }
+  if (damaged.includes(SURVEY_FILE)) throw new Error(`${SURVEY_FILE} is damaged`);
+
+  const survey = parseSurveyJSON(JSON.parse(await surveyEntry.async("string")));
+  if (!survey) return null;
+  const skip = new Set(damaged);
+  const features = await resolveZipPhotos(zip, survey.features, skip);
+  const points = await resolveZipPhotos(zip, survey.points, skip);
+  return { ...survey, features, points, damaged };
+}
@@ -0,0 +1,61 @@
+// Summary tables shared by the PDF, DOCX and XLSX exports
+import { translations } from "../i18n";
+import { sumByCategory, categoryLabel } from "../utils/categories";
+import { passOccupancy, passLabel, formatPct } from "../utils/occupancy";
+import { sumByZone } from "../utils/zones";
+
+// Rows of [label, value] (segments, spaces per category, total capacity).
+// Values are strings for the document tables; pass { numeric: true } for spreadsheets.
+export function summaryRows(features, categories, lang = "en", { numeric = false } = {}) {
+  const t = translations[lang].pdf;
+  const { byId, capacity } = sumByCategory(features, categories);
+  const v = (n) => (numeric ? n : String(n));
+  return [
+    [t.segments, v(features.length)],
+    ...categories.map((c) => [`${t.totalSpaces} (${categoryLabel(c, lang)})`, v(byId[c.id])]),
+    [t.totalCapacity, v(capacity)],
+  ];
+}
+
+// Occupancy per category and per street, one column per count pass.
+// Returns [{ title, head, body }] (empty when the survey has no passes).
+export function occupancyTables(features, categories, passes, lang = "en") {
+  if (!passes?.length) return [];
+  const t = translations[lang].pdf;
+  const results = passes.map((p) => passOccupancy(features, categories, p.id));
+  const head = [t.metric, ...passes.map(passLabel)];
+  const cell = (g) => (g ? `${formatPct(g.ratio)} (${g.vehicles}/${g.spaces})` : "—");
+
+  const categoryRows = categories
+    .filter((c) => results.some((r) => r.byCategory.has(c.id)))
+    .map((c) => [categoryLabel(c, lang), ...results.map((r) => cell(r.byCategory.get(c.id)))]);
+  categoryRows.push([t.occupancyTotal, ...results.map((r) => cell(r.total.segments ? r.total : null))]);
+
+  const streets = [...new Set(results.flatMap((r) => [...r.byStreet.keys()]))].sort((a, b) => a.localeCompare(b));
+  const streetRows = streets.map((s) => [s || t.unnamedStreet, ...results.map((r) => cell(r.byStreet.get(s)))]);
+
+  return [
+    { title: t.occupancyByCategory, head, body: categoryRows },
+    { title: t.occupancyByStreet, head, body: streetRows },
+  ];
+}
+
+// Segments, length and spaces per study zone (plus segments outside all zones).
+// Returns [{ title, head, body }] (empty when the survey has no zones).
+// Cells are strings unless { numeric: true }, as in summaryRows.
+export function zoneTables(features, categories, zones, lang = "en", { numeric = false } = {}) {
+  if (!zones?.length) return [];
+  const t = translations[lang].pdf;
+  // only categories that occur, to keep the table narrow
+  const used = categories.filter((c) => features.some((f) => f.properties?.category === c.id));
+  const v = (n) => (numeric ? n : String(n));
+  const head = [t.zone, t.segments, numeric ? `${t.length} (m)` : t.length, ...used.map((c) => categoryLabel(c, lang)), t.totalCapacity];
+  const body = sumByZone(features, zones, categories).map(({ zone, segments, length_m, spaces }) => [
+    zone?.name ?? t.outsideZones,
+    v(segments),
+    numeric ? Math.round(length_m) : `${Math.round(length_m)} m`,
+    ...used.map((c) => v(spaces.byId[c.id])),
+    v(spaces.capacity),
+  ]);
+  return [{ title: t.spacesByZone, head, body }];
+}
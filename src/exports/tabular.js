@@ -0,0 +1,152 @@
+// Tabular export of segments (CSV / XLSX) for spreadsheets and traffic engineers
+// - one row per segment with start/end coordinates and a WKT geometry column
+// - CSV delimiter and decimal separator follow the UI language so the file
+//   opens directly in a localized Excel (de: "1,5" and ";")
+// - the workbook adds a Summary sheet with the same rows as the PDF summary
+//   (and its spaces-by-zone table) and a Points sheet with the survey's curb points
+import { translations } from "../i18n";
+import { summaryRows, zoneTables } from "./summary";
+import { regulationText } from "../utils/regulations";
+import { segmentIdForPoint } from "../utils/curbPoints";
+
+export const TABLE_COLUMNS = [
+  "id", "street", "category", "spaces", "length_m", "limitMins", "rules", "notes", "spacesEdited",
+  "osm_way_id", "side", "orientation", "driveways", "hydrants", "intersection_ends", "start_lat", "start_lon", "end_lat", "end_lon", "wkt",
+];
+
+export const POINT_COLUMNS = ["id", "type", "text", "notes", "segment_id", "lat", "lon", "n_photos"];
+
+const CSV_LOCALES = {
+  en: { delimiter: ",", decimal: "." },
+  de: { delimiter: ";", decimal: "," },
+};
+
+function lineWkt(geometry) {
+  const coords = geometry?.coordinates;
+  if (geometry?.type !== "LineString" || !Array.isArray(coords) || coords.length < 2) return "";
+  return `LINESTRING (${coords.map(([lng, lat]) => `${lng} ${lat}`).join(", ")})`;
+}
+
+function toNumber(v) {
+  if (v === "" || v == null) return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+// One plain object per segment; numbers stay numbers, missing values are null
+export function segmentRows(features, lang = "en") {
+  return features
+    .filter((f) => f?.geometry?.type === "LineString")
+    .map((f) => {
+      const p = f.properties || {};
+      const coords = f.geometry.coordinates || [];
+      const [startLng, startLat] = coords[0] || [];
+      const [endLng, endLat] = coords[coords.length - 1] || [];
+      return {
+        id: p._id ?? "",
+        street: p.street ?? "",
+        category: p.category ?? "",
+        spaces: toNumber(p.spaces),
+        length_m: toNumber(p.length_m),
+        limitMins: toNumber(p.limitMins),
+        rules: regulationText(p, lang),
+        notes: p.notes ?? "",
+        spacesEdited: !!p.spacesEdited,
+        osm_way_id: p.osmWayId ?? "",
+        side: p.side ?? "",
+        orientation: p.orientation ?? "",
+        driveways: toNumber(p.driveways),
+        hydrants: toNumber(p.hydrants),
+        intersection_ends: toNumber(p.intersectionEnds),
+        start_lat: toNumber(startLat),
+        start_lon: toNumber(startLng),
+        end_lat: toNumber(endLat),
+        end_lon: toNumber(endLng),
+        wkt: lineWkt(f.geometry),
+      };
+    });
+}
+
+// One plain object per curb point, with the segment it counts against
+export function pointRows(points, features, lang = "en") {
+  const types = translations[lang].points.types;
+  return points.map((pt) => {
+    const p = pt.properties || {};
+    const [lng, lat] = pt.geometry.coordinates;
+    return {
+      id: p._id ?? "",
+      type: types[p.pointType] ?? p.pointType ?? "",
+      text: p.text ?? "",
+      notes: p.notes ?? "",
+      segment_id: segmentIdForPoint(pt, features) ?? "",
+      lat: toNumber(lat),
+      lon: toNumber(lng),
+      n_photos: Array.isArray(p.images) ? p.images.length : 0,
+    };
+  });
+}
+
+function csvCell(value, { delimiter, decimal }) {
+  if (value == null) return "";
+  let s;
+  if (typeof value === "boolean") s = value ? "1" : "0";
+  // WKT keeps "." as required by the format; only plain numbers are localized
+  else if (typeof value === "number") s = decimal === "." ? String(value) : String(value).replace(".", decimal);
+  else s = String(value);
+  return /["\r\n]/.test(s) || s.includes(delimiter) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// CSV text (with a BOM so Excel detects UTF-8 umlauts)
+export function buildSegmentsCsv(features, lang = "en") {
+  const locale = CSV_LOCALES[lang] || CSV_LOCALES.en;
+  const lines = [TABLE_COLUMNS.join(locale.delimiter)];
+  for (const row of segmentRows(features, lang)) {
+    lines.push(TABLE_COLUMNS.map((col) => csvCell(row[col], locale)).join(locale.delimiter));
+  }
+  return `\uFEFF${lines.join("\r\n")}\r\n`;
+}
+
+// XLSX workbook as a Blob; exceljs is loaded on demand to keep it out of the main bundle
+export async function buildSegmentsXlsx(features, categories, lang = "en", points = [], zones = []) {
+  const { default: ExcelJS } = await import("exceljs");
+  const t = translations[lang].pdf;
+  const workbook = new ExcelJS.Workbook();
+  workbook.created = new Date();
+
+  const sheet = workbook.addWorksheet(t.segments);
+  sheet.columns = TABLE_COLUMNS.map((col) => ({
+    header: col,
+    key: col,
+    width: col === "wkt" ? 60 : col === "rules" || col === "notes" || col === "street" ? 28 : 12,
+  }));
+  for (const row of segmentRows(features, lang)) sheet.addRow(row);
+  sheet.getRow(1).font = { bold: true };
+  sheet.views = [{ state: "frozen", ySplit: 1 }];
+
+  const summary = workbook.addWorksheet(t.summary);
+  summary.columns = [
+    { header: t.metric, key: "metric", width: 36 },
+    { header: t.value, key: "value", width: 12 },
+  ];
+  for (const [metric, value] of summaryRows(features, categories, lang, { numeric: true })) {
+    summary.addRow({ metric, value });
+  }
+  summary.getRow(1).font = { bold: true };
+  // zone table below the totals, after a blank row
+  for (const table of zoneTables(features, categories, zones, lang, { numeric: true })) {
+    summary.addRow([]);
+    summary.addRow([table.title]).font = { bold: true };
+    summary.addRow(table.head).font = { bold: true };
+    for (const row of table.body) summary.addRow(row);
+  }
+
+  if (points.length) {
+    const pointSheet = workbook.addWorksheet(translations[lang].points.sheet);
+    pointSheet.columns = POINT_COLUMNS.map((col) => ({ header: col, key: col, width: col === "text" || col === "notes" ? 28 : 12 }));
+    for (const row of pointRows(points, features, lang)) pointSheet.addRow(row);
+    pointSheet.getRow(1).font = { bold: true };
+  }
+
+  const buffer = await workbook.xlsx.writeBuffer();
+  return new Blob([buffer], { type: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet" });
+}
@@ -0,0 +1,65 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+
+// Default number of undo steps kept per survey
+export const HISTORY_DEPTH = 100;
+
+// Hook: bounded undo/redo history of survey snapshots
+// - snapshot: the current state to protect (e.g. { features, boundary }); it must be
+//   treated immutably so older snapshots stay valid
+// - restore(snapshot): apply a snapshot back to React state
+// - call record(label) right BEFORE applying an edit; undo()/redo() swap snapshots
+// - reset() clears both stacks (e.g. after switching to another survey)
+export default function useHistory(snapshot, restore, { depth = HISTORY_DEPTH } = {}) {
+  const snapshotRef = useRef(snapshot);
+  snapshotRef.current = snapshot;
+  const restoreRef = useRef(restore);
+  useEffect(() => { restoreRef.current = restore; }, [restore]);
+
+  const undoRef = useRef([]);
+  const redoRef = useRef([]);
+  // stacks live in refs; bump a counter so buttons re-render when they change
+  const [, setVersion] = useState(0);
+  const bump = () => setVersion((v) => v + 1);
+
+  const record = useCallback((label) => {
+    undoRef.current.push({ label, state: snapshotRef.current });
+    if (undoRef.current.length > depth) undoRef.current.splice(0, undoRef.current.length - depth);
+    redoRef.current = [];
+    bump();
+  }, [depth]);
+
+  const undo = useCallback(() => {
+    const entry = undoRef.current.pop();
+    if (!entry) return;
+    redoRef.current.push({ label: entry.label, state: snapshotRef.current });
+    restoreRef.current?.(entry.state);
+    bump();
+  }, []);
+
+  const redo = useCallback(() => {
+    const entry = redoRef.current.pop();
+    if (!entry) return;
+    undoRef.current.push({ label: entry.label, state: snapshotRef.current });
+    restoreRef.current?.(entry.state);
+    bump();
+  }, []);
+
+  const reset = useCallback(() => {
+    undoRef.current = [];
+    redoRef.current = [];
+    bump();
+  }, []);
+
+  const undoTop = undoRef.current[undoRef.current.length - 1];
+  const redoTop = redoRef.current[redoRef.current.length - 1];
+  return {
+    record,
+    undo,
+    redo,
+    reset,
+    canUndo: !!undoTop,
+    canRedo: !!redoTop,
+    undoLabel: undoTop?.label ?? null,
+    redoLabel: redoTop?.label ?? null,
+  };
+}
@@ -0,0 +1,32 @@
+import { useEffect, useState } from "react";
+import { getPhoto } from "../utils/surveyStore";
+
+// Hook: displayable URL for a feature image
+// - { photoId } images are read from the photo store and exposed as an object URL
+//   (revoked again on change/unmount)
+// - legacy { dataUrl } images are returned unchanged
+export default function usePhotoUrl(image) {
+  const photoId = image?.photoId ?? null;
+  const dataUrl = image?.dataUrl ?? null;
+  const [objectUrl, setObjectUrl] = useState(null);
+
+  useEffect(() => {
+    if (!photoId) return;
+    let cancelled = false;
+    let url = null;
+    getPhoto(photoId)
+      .then((blob) => {
+        if (cancelled || !blob) return;
+        url = URL.createObjectURL(blob);
+        setObjectUrl(url);
+      })
+      .catch((err) => console.warn("Could not load photo", err));
+    return () => {
+      cancelled = true;
+      if (url) URL.revokeObjectURL(url);
+      setObjectUrl(null);
+    };
+  }, [photoId]);
+
+  return dataUrl || objectUrl;
+}
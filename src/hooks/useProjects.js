@@ -0,0 +1,111 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import {
+  loadProjectIndex, saveProjectIndex, loadSurvey, saveSurvey, deleteSurvey, duplicateSurvey,
+  prunePhotos, newProjectMeta, emptySurvey,
+} from "../utils/surveyStore";
+
+// Hook: list of stored surveys ("projects") plus the active one
+// - onOpen(surveyData): called with { features, boundary, categories } whenever a
+//   project becomes active; apply it to React state in the same tick so the
+//   new activeId and its data render together (autosave relies on this)
+// - onError(err): storage failures (e.g. IndexedDB unavailable or full)
+// - returns the project list, activeId and create/rename/duplicate/remove/switchTo
+export default function useProjects(onOpen, { defaultName = "Survey", onError } = {}) {
+  const [projects, setProjects] = useState([]);
+  const [activeId, setActiveId] = useState(null);
+  const onOpenRef = useRef(onOpen);
+  const onErrorRef = useRef(onError);
+  useEffect(() => { onOpenRef.current = onOpen; }, [onOpen]);
+  useEffect(() => { onErrorRef.current = onError; }, [onError]);
+  const defaultNameRef = useRef(defaultName);
+  useEffect(() => { defaultNameRef.current = defaultName; }, [defaultName]);
+
+  // refs so async actions always see the latest list / active id
+  const projectsRef = useRef(projects);
+  const activeIdRef = useRef(activeId);
+  useEffect(() => { activeIdRef.current = activeId; }, [activeId]);
+
+  const commitIndex = useCallback((nextProjects, nextActiveId) => {
+    projectsRef.current = nextProjects;
+    setProjects(nextProjects);
+    saveProjectIndex({ activeId: nextActiveId, projects: nextProjects })
+      .catch((err) => onErrorRef.current?.(err));
+  }, []);
+
+  const open = useCallback(async (id, list = projectsRef.current) => {
+    const data = await loadSurvey(id);
+    // photos added in a dialog that was later cancelled are never referenced
+    prunePhotos(id, [...data.features, ...data.points]).catch((err) => console.warn("Photo cleanup failed", err));
+    onOpenRef.current?.(data);
+    setActiveId(id);
+    commitIndex(list, id);
+  }, [commitIndex]);
+
+  const run = useCallback((action) => {
+    action().catch((err) => {
+      console.warn("Survey storage error", err);
+      onErrorRef.current?.(err);
+    });
+  }, []);
+
+  // open the last active project on mount
+  useEffect(() => {
+    run(async () => {
+      const index = await loadProjectIndex(`${defaultNameRef.current} 1`);
+      await open(index.activeId, index.projects);
+    });
+  }, [open, run]);
+
+  const switchTo = useCallback((id) => {
+    if (!id || id === activeIdRef.current) return;
+    run(() => open(id));
+  }, [open, run]);
+
+  const create = useCallback((name) => {
+    run(async () => {
+      const meta = newProjectMeta(name || defaultName);
+      await saveSurvey(meta.id, emptySurvey());
+      await open(meta.id, [...projectsRef.current, meta]);
+    });
+  }, [defaultName, open, run]);
+
+  const rename = useCallback((id, name) => {
+    if (!name) return;
+    const now = new Date().toISOString();
+    commitIndex(projectsRef.current.map((p) => (p.id === id ? { ...p, name, updatedAt: now } : p)), activeIdRef.current);
+  }, [commitIndex]);
+
+  const duplicate = useCallback((id, name) => {
+    const source = projectsRef.current.find((p) => p.id === id);
+    if (!source) return;
+    run(async () => {
+      const meta = newProjectMeta(name || `${source.name} (copy)`);
+      await duplicateSurvey(id, meta.id);
+      await open(meta.id, [...projectsRef.current, meta]);
+    });
+  }, [open, run]);
+
+  const remove = useCallback((id) => {
+    run(async () => {
+      await deleteSurvey(id);
+      const rest = projectsRef.current.filter((p) => p.id !== id);
+      if (!rest.length) {
+        // never leave the app without a survey to draw into
+        const meta = newProjectMeta(`${defaultName} 1`);
+        await saveSurvey(meta.id, emptySurvey());
+        await open(meta.id, [meta]);
+        return;
+      }
+      if (id === activeIdRef.current) await open(rest[0].id, rest);
+      else commitIndex(rest, activeIdRef.current);
+    });
+  }, [defaultName, open, run, commitIndex]);
+
+  // bump updatedAt after an autosave of the active survey
+  const touch = useCallback((id) => {
+    const now = new Date().toISOString();
+    commitIndex(projectsRef.current.map((p) => (p.id === id ? { ...p, updatedAt: now } : p)), activeIdRef.current);
+  }, [commitIndex]);
+
+  return { projects, activeId, switchTo, create, rename, duplicate, remove, touch };
+}
@@ -0,0 +1,36 @@
+import { useCallback, useEffect, useMemo, useState } from "react";
+import { loadSetting, saveSetting } from "../utils/surveyStore";
+import { DEFAULT_ROAD_SETTINGS, normalizeRoadSettings } from "../utils/osmRoads";
+
+// Hook: where snapping gets its road network from (device-wide, kept in IndexedDB)
+// - returns { settings, file, save }; file is the parsed local road file or null
+// - save({ settings, file }) persists and applies them; leave `file` undefined
+//   to keep the current file (it can be large, so it is only written on change)
+export default function useRoadSource() {
+  const [settings, setSettings] = useState(DEFAULT_ROAD_SETTINGS);
+  const [file, setFile] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    Promise.all([loadSetting("roadSettings"), loadSetting("roadFile")])
+      .then(([storedSettings, storedFile]) => {
+        if (cancelled) return;
+        setSettings(normalizeRoadSettings(storedSettings));
+        setFile(storedFile ?? null);
+      })
+      .catch((err) => console.warn("Could not load road data settings", err));
+    return () => { cancelled = true; };
+  }, []);
+
+  const save = useCallback(async ({ settings: nextSettings, file: nextFile }) => {
+    const normalized = normalizeRoadSettings(nextSettings);
+    setSettings(normalized);
+    await saveSetting("roadSettings", normalized);
+    if (nextFile === undefined) return;
+    setFile(nextFile);
+    await saveSetting("roadFile", nextFile);
+  }, []);
+
+  // stable while nothing changes, so consumers can use it as an effect dependency
+  return useMemo(() => ({ settings, file, save }), [settings, file, save]);
+}
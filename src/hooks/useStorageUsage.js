@@ -0,0 +1,45 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { getStorageEstimate } from "../utils/surveyStore";
+
+// Warn once the origin has used this share of its storage quota
+export const STORAGE_WARN_RATIO = 0.8;
+const MIN_REFRESH_MS = 3000;
+
+// Hook: browser storage usage for this origin (IndexedDB + everything else)
+// - returns { usage, quota, ratio, nearlyFull, refresh }; usage/quota are bytes,
+//   null when the browser does not support navigator.storage.estimate()
+// - refresh() is throttled so it can be called after every autosave
+export default function useStorageUsage() {
+  const [estimate, setEstimate] = useState(null);
+  const lastRef = useRef(0);
+  const pendingRef = useRef(null);
+
+  const measure = useCallback(() => {
+    lastRef.current = Date.now();
+    getStorageEstimate().then(setEstimate);
+  }, []);
+
+  const refresh = useCallback(() => {
+    const wait = lastRef.current + MIN_REFRESH_MS - Date.now();
+    if (wait <= 0) { measure(); return; }
+    if (pendingRef.current) return;
+    pendingRef.current = setTimeout(() => {
+      pendingRef.current = null;
+      measure();
+    }, wait);
+  }, [measure]);
+
+  useEffect(() => {
+    measure();
+    return () => { if (pendingRef.current) clearTimeout(pendingRef.current); };
+  }, [measure]);
+
+  const ratio = estimate ? estimate.usage / estimate.quota : null;
+  return {
+    usage: estimate?.usage ?? null,
+    quota: estimate?.quota ?? null,
+    ratio,
+    nearlyFull: ratio != null && ratio >= STORAGE_WARN_RATIO,
+    refresh,
+  };
+}
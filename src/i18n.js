@@ -6,39 +6,338 @@ export const translations = {
     appTitle: "Parking Survey",
     subtitle: "Draw segments along streets and tag them. Use the polygon/rectangle tool to draw the study area.",
     legend: "Legend",
-    category: {
-      free: "Free (anyone)",
-      residents: "Residents only",
-      limited: "Limited time",
-    },
     ui: { showPanel: "Show panel", hidePanel: "Hide panel" },
     approxSpaces: "Approx. spaces by category",
+    totalCapacity: "Total capacity",
     measuredLength: "Measured length by category",
     exportGeoJSON: "Export",
     import: "Import",
+    confirmImport: "Importing replaces this survey's data and cannot be undone. Continue?",
+    importDamaged: "Some files in the package are damaged and were skipped: {files}",
     exportPDF: "PDF",
     exportWord: "Word",
+    exportDialog: {
+      title: "Export survey",
+      format: "Format",
+      formats: {
+        geojson: "GeoJSON (QGIS, ArcGIS, …)",
+        csv: "CSV (segments table)",
+        xlsx: "Excel workbook (segments + summary)",
+        kml: "KML (Google Earth)",
+        kmz: "KMZ (Google Earth, with photos)",
+        package: "Survey package (.zip, photos as files)",
+      },
+      schema: "Attribute names",
+      schemas: { nested: "Full (app property names)", flat: "Flat (Shapefile-friendly, max. 10 characters)" },
+      photos: "Photos",
+      photoModes: { strip: "Leave out", reference: "Reference by file path", embed: "Embed in file (large)" },
+      cancel: "Cancel",
+      export: "Export",
+      failed: "Export failed.",
+    },
+    editCategories: "Categories",
+    regulations: {
+      title: "Regulations",
+      hint: "Time windows with restrictions; outside them parking is free.",
+      add: "Add time window",
+      remove: "Remove",
+      type: "Restriction",
+      types: { residents: "Residents only", paid: "Paid parking", max_stay: "Max. stay", no_parking: "No parking", loading: "Loading only" },
+      days: ["Mo", "Tu", "We", "Th", "Fr", "Sa", "Su"],
+      daily: "Daily",
+      allDay: "all day",
+      start: "From",
+      end: "To",
+      maxStay: "Max. stay (min)",
+      maxStayShort: "Max. stay",
+      fare: "Fare (€/h, optional)",
+      zone: "Permit zone (optional)",
+      zoneShort: "zone",
+      none: "No restrictions",
+      parsedFrom: "Parsed from the old rules text, please check:",
+    },
+    parkable: {
+      at: "At",
+      visitorCapacity: "Available to visitors",
+      statuses: { free: "Free", paid: "Paid", limited: "Time-limited", residents: "Residents only", prohibited: "No parking" },
+    },
+    surveySettings: {
+      open: "Survey settings",
+      title: "Survey settings",
+      reportTitle: "Report title",
+      subtitle: "Subtitle",
+      area: "Area name",
+      author: "Author / organisation",
+      date: "Survey date",
+      logo: "Logo",
+      addLogo: "Add logo",
+      changeLogo: "Change",
+      removeLogo: "Remove",
+      logoFailed: "The logo could not be read.",
+      cancel: "Cancel",
+      save: "Save",
+    },
+    categoryEditor: {
+      title: "Parking categories",
+      labelEn: "Label (EN)",
+      labelDe: "Label (DE)",
+      color: "Color",
+      lineStyle: "Line",
+      counts: "Capacity",
+      countsHint: "Counts toward total capacity",
+      add: "Add category",
+      remove: "Remove",
+      inUse: "In use by segments",
+      reset: "Reset to defaults",
+      done: "Done",
+      newLabel: "New category",
+      lineStyles: { solid: "Solid", dashed: "Dashed", dotted: "Dotted" },
+    },
     snap: {
       loading: "Loading snap lines...",
       delayed: "We are loading the snap lines as quickly as possible",
       retrying: "Server busy — retrying...",
       timedOut: "Request timed out, retrying..."
     },
-    clearAll: "🗑️ Clear all data",
+    roadCache: {
+      title: "Offline road data",
+      needBoundary: "Draw a study area to prepare road data for offline snapping.",
+      none: "Not prepared for offline use",
+      status: "{cached} of {total} map tiles cached",
+      updated: "updated {age}",
+      prepare: "Prepare study area for offline",
+      refresh: "Refresh",
+      working: "Downloading road data…",
+      failed: "Could not download road data: {msg}",
+    },
+    osm: {
+      way: "OSM way",
+      sides: { left: "left side", right: "right side" },
+    },
+    orientation: {
+      title: "Parking orientation",
+      side: "Side of street",
+      unknownSide: "Unknown",
+      types: { parallel: "Parallel", angled: "Angled", perpendicular: "Perpendicular", pavement: "On the pavement" },
+    },
+    capacityModel: {
+      open: "Space estimation",
+      title: "Space estimation",
+      hint: "Estimated spaces = (segment length − deductions) ÷ stall length. Applies to every segment whose spaces were not entered by hand.",
+      vehicle: "Design vehicle",
+      vehicles: { car: "Car", compact: "Small car", van: "Van" },
+      stallLengths: "Curb length per stall (m)",
+      deductions: "Deductions per occurrence (m)",
+      deductionTypes: { driveway: "Driveway", hydrant: "Hydrant", intersection: "Intersection setback", bus_stop: "Bus stop", loading_bay: "Loading bay" },
+      segmentCounts: { driveways: "Driveways", hydrants: "Hydrants", intersectionEnds: "Ends at intersections" },
+      reset: "Reset to defaults",
+      cancel: "Cancel",
+      save: "Save",
+    },
+    curbOffset: {
+      title: "Curb offset",
+      hint: "Distance from the road centerline to the parking line used for snap guides.",
+      modes: { auto: "By road (OSM width, lanes, class)", fixed: "Same for all roads" },
+      adjust: "Adjustment",
+      meters: "Offset",
+      preview: "Show guides",
+    },
+    roadSettings: {
+      open: "Settings",
+      title: "Road data settings",
+      source: "Road data source",
+      sources: { overpass: "Overpass API (online, cached for offline use)", file: "Local file (GeoJSON or .osm)" },
+      endpoints: "Overpass servers, tried in this order",
+      addEndpoint: "Add",
+      moveUp: "Move up",
+      moveDown: "Move down",
+      remove: "Remove",
+      resetEndpoints: "Reset to defaults",
+      proxyHint: "\"/overpass\" goes through the development server's proxy.",
+      timeout: "Timeout per request (s)",
+      retries: "Attempts per server",
+      file: "Road network file",
+      chooseFile: "Choose file",
+      noFile: "No road data file loaded",
+      usingFile: "Local file {name} ({n} roads)",
+      fileFailed: "The file contains no usable roads (GeoJSON lines or OSM XML ways with a highway tag).",
+      cancel: "Cancel",
+      save: "Save",
+    },
+    clearAll: "🗑️ Clear survey data",
+    confirmClearAll: "Really delete all data of this survey?",
+    projects: {
+      label: "Survey",
+      defaultName: "Survey",
+      create: "New",
+      rename: "Rename",
+      duplicate: "Duplicate",
+      remove: "Delete",
+      copySuffix: "(copy)",
+      namePrompt: "Name of the new survey:",
+      renamePrompt: "New name for this survey:",
+      confirmDelete: "Delete the survey \"{name}\" and all its data?",
+    },
     clearStudy: "Clear study area",
     autosaveInfo: "Data is autosaved to your browser. Export to share or back up.",
+    history: {
+      undo: "Undo",
+      redo: "Redo",
+      addSegment: "add segment",
+      editSegment: "edit segment",
+      deleteSegment: "delete segment",
+      editGeometry: "edit segment geometry",
+      setStudyArea: "draw study area",
+      clearStudyArea: "clear study area",
+      editStudyArea: "edit study area",
+      addZone: "draw zone",
+      editZone: "edit zone",
+      renameZone: "rename zone",
+      recolorZone: "change zone color",
+      removeZone: "remove zone",
+      clearSurvey: "clear survey data",
+      countVehicles: "count vehicles",
+      addPass: "add count pass",
+      editPass: "edit count pass",
+      removePass: "delete count pass",
+      addPoint: "add point",
+      editPoint: "edit point",
+      movePoint: "move point",
+      deletePoint: "delete point",
+      splitSegment: "split segment",
+      mergeSegments: "merge segments",
+      bulkEdit: "edit selected segments",
+    },
+    zones: {
+      title: "Zones",
+      draw: "Draw zone",
+      hint: "Split the area into named zones (e.g. permit zones A/B/C) to see totals per zone. Edit mode moves their corners.",
+      drawing: "Draw the zone on the map; finish on its first point.",
+      name: "Zone name",
+      color: "Zone color",
+      remove: "Remove zone",
+      outside: "Outside zones",
+      totals: "{spaces} spaces · {segments} seg. · {length}",
+    },
+    attributeTable: {
+      open: "Attribute table",
+      title: "Segments",
+      search: "Search street, notes, rules…",
+      close: "Close table",
+      columns: { street: "Street", category: "Category", spaces: "Spaces", length_m: "Length", photos: "Photos", occupancy: "Occupancy" },
+      manualSpaces: "Counted by hand",
+      autoSpaces: "Estimated (type to enter a count)",
+      openForm: "Open segment details",
+      empty: "No segments (check the category filter).",
+      noMatches: "No segments match the search.",
+    },
+    selection: {
+      lasso: "Lasso select",
+      lassoHint: "Drag around segments to select them (hold Shift to add). Click a segment to add or remove it.",
+      selected: "{n} selected",
+      edit: "Edit selected",
+      clear: "Clear",
+      all: "All",
+      none: "None",
+      unnamed: "Unnamed street",
+      title: "Edit {n} segments",
+      hint: "Only the fields you change are written; the others keep each segment's own value.",
+      category: "Category",
+      timeLimit: "Time limit (min)",
+      notes: "Notes",
+      mixed: "mixed",
+      mixedOption: "— mixed values —",
+      mixedRules: "The segments have different rules.",
+      replaceRules: "Replace for all",
+      keep: "leave unchanged",
+      apply: "Apply to {n} segments",
+      cancel: "Cancel",
+    },
+    segmentTools: {
+      split: "Split segment",
+      merge: "Merge segments",
+      splitHint: "Click a segment where it should be split.",
+      mergeHint: "Click the first of two touching segments of the same street.",
+      mergeHintSecond: "Now click the segment to join it with.",
+      splitTooShort: "Too close to the end of the segment to split there.",
+      confirmCategory: "The segments have different categories. Merge anyway and keep the first one's attributes?",
+      mergeFailed: {
+        street: "Only segments of the same street can be merged.",
+        apart: "The segments do not touch end to end.",
+      },
+    },
+    points: {
+      title: "Curb point",
+      type: "Type",
+      types: { sign: "Parking sign", driveway: "Driveway", hydrant: "Hydrant", bus_stop: "Bus stop", loading_bay: "Loading bay" },
+      text: "Text",
+      textPlaceholder: {
+        sign: "e.g., Mo–Fr 8–18 h, parking disc 2 h",
+        driveway: "e.g., garage entrance no. 12",
+        hydrant: "e.g., H 100 / 2.5 m",
+        bus_stop: "e.g., Lutherplatz (line 10)",
+        loading_bay: "e.g., Mo–Sa 6–11 h",
+      },
+      notes: "Notes",
+      photos: "Photos",
+      sheet: "Points",
+      delete: "Delete point",
+      confirmDelete: "Delete this point?",
+      cancel: "Cancel",
+      save: "Save",
+    },
+    occupancy: {
+      title: "Occupancy",
+      noPasses: "No count passes yet. Add one before counting parked vehicles.",
+      addPass: "Add pass",
+      renamePass: "Rename",
+      removePass: "Delete",
+      passPrompt: "Name of the count pass (e.g. 06:00)",
+      confirmRemovePass: "Delete the count pass \"{name}\" and all its counts?",
+      time: "Time",
+      counted: "{n} of {total} segments counted",
+      vehicles: "Vehicles",
+      byStreet: "By street",
+      counts: "Parked vehicles per pass",
+      notCounted: "not counted",
+      clearCount: "Clear",
+      showOnMap: "Color map by occupancy",
+      colorBy: "Color by",
+      modes: { category: "Category", time: "Parkable at", occupancy: "Occupancy" },
+      pass: "Pass",
+      scale: { low: "under 50%", mid: "50–85%", high: "over 85%", none: "not counted" },
+    },
+    storage: {
+      usage: "Storage used",
+      nearlyFull: "Browser storage is almost full ({pct}%). Export a backup and delete unused surveys or photos before adding more.",
+      quotaExceeded: "Browser storage is full — your latest changes could NOT be saved. Export the survey now, then delete unused surveys or photos to free space.",
+      saveFailed: "Your latest changes could not be saved: {msg}",
+      confirmPhotosNearlyFull: "Browser storage is almost full. Add the photos anyway?",
+      photoFailed: "The photo could not be stored.",
+      dismiss: "Dismiss",
+    },
     drawHint:
       "Draw a line along a street ➜ Save details ➜ Repeat. Use Export to share the survey as GeoJSON.",
     pdf: {
-      title: "Jena Parking Survey",
-      subtitle: "Grete-Unrein-Str. / Forstweg / Lutherstraße and vicinity",
+      title: "Parking Survey",
+      area: "Area",
+      surveyDate: "Survey date",
+      page: "Page",
       generated: "Generated",
       studyArea: "Study area included",
       summary: "Summary",
+      overviewMap: "Overview map",
+      occupancyByCategory: "Occupancy by category",
+      occupancyByStreet: "Occupancy by street",
+      occupancyTotal: "Total (capacity categories)",
+      unnamedStreet: "Unnamed street",
+      spacesByZone: "Spaces by zone",
+      zone: "Zone",
+      outsideZones: "Outside zones",
+      length: "Length",
       segments: "Segments",
-      totalSpacesFree: "Total spaces (Free)",
-      totalSpacesResidents: "Total spaces (Residents)",
-      totalSpacesLimited: "Total spaces (Limited)",
+      totalSpaces: "Total spaces",
+      totalCapacity: "Total capacity",
       metric: "Metric",
       value: "Value",
       field_category: "Category",
@@ -54,40 +353,339 @@ export const translations = {
     subtitle:
       "Zeichnen Sie Abschnitte entlang der Straßen und markieren Sie diese. Verwenden Sie das Polygon- oder Rechteck-Werkzeug, um das Untersuchungsgebiet festzulegen.",
     legend: "Legende",
-    category: {
-      free: "Frei (öffentlich)",
-      residents: "Nur Anwohner",
-      limited: "Begrenzt (zeitlich)",
-    },
     ui: { showPanel: "Panel anzeigen", hidePanel: "Panel verbergen" },
     approxSpaces: "Geschätzte Stellplätze nach Kategorie",
+    totalCapacity: "Gesamtkapazität",
     measuredLength: "Gemessene Länge nach Kategorie",
     exportGeoJSON: "Exportieren",
     import: "Importieren",
+    confirmImport: "Der Import ersetzt die Daten dieser Erhebung und kann nicht rückgängig gemacht werden. Fortfahren?",
+    importDamaged: "Einige Dateien im Paket sind beschädigt und wurden übersprungen: {files}",
     exportPDF: "PDF",
     exportWord: "Word",
+    exportDialog: {
+      title: "Erhebung exportieren",
+      format: "Format",
+      formats: {
+        geojson: "GeoJSON (QGIS, ArcGIS, …)",
+        csv: "CSV (Abschnittstabelle)",
+        xlsx: "Excel-Arbeitsmappe (Abschnitte + Zusammenfassung)",
+        kml: "KML (Google Earth)",
+        kmz: "KMZ (Google Earth, mit Fotos)",
+        package: "Erhebungspaket (.zip, Fotos als Dateien)",
+      },
+      schema: "Attributnamen",
+      schemas: { nested: "Vollständig (App-Eigenschaften)", flat: "Flach (Shapefile-tauglich, max. 10 Zeichen)" },
+      photos: "Fotos",
+      photoModes: { strip: "Weglassen", reference: "Als Dateipfad referenzieren", embed: "In Datei einbetten (groß)" },
+      cancel: "Abbrechen",
+      export: "Exportieren",
+      failed: "Export fehlgeschlagen.",
+    },
+    editCategories: "Kategorien",
+    regulations: {
+      title: "Regelungen",
+      hint: "Zeitfenster mit Einschränkungen; außerhalb davon ist das Parken frei.",
+      add: "Zeitfenster hinzufügen",
+      remove: "Entfernen",
+      type: "Einschränkung",
+      types: { residents: "Nur Anwohner", paid: "Gebührenpflichtig", max_stay: "Höchstparkdauer", no_parking: "Parkverbot", loading: "Nur Ladezone" },
+      days: ["Mo", "Di", "Mi", "Do", "Fr", "Sa", "So"],
+      daily: "Täglich",
+      allDay: "ganztägig",
+      start: "Von",
+      end: "Bis",
+      maxStay: "Höchstparkdauer (Min.)",
+      maxStayShort: "max.",
+      fare: "Gebühr (€/h, optional)",
+      zone: "Bewohnerparkzone (optional)",
+      zoneShort: "Zone",
+      none: "Keine Einschränkungen",
+      parsedFrom: "Aus dem bisherigen Regeltext übernommen, bitte prüfen:",
+    },
+    parkable: {
+      at: "Am",
+      visitorCapacity: "Für Besucher verfügbar",
+      statuses: { free: "Frei", paid: "Gebührenpflichtig", limited: "Zeitlich begrenzt", residents: "Nur Anwohner", prohibited: "Parkverbot" },
+    },
+    surveySettings: {
+      open: "Erhebungseinstellungen",
+      title: "Erhebungseinstellungen",
+      reportTitle: "Berichtstitel",
+      subtitle: "Untertitel",
+      area: "Gebietsname",
+      author: "Verfasser / Organisation",
+      date: "Erhebungsdatum",
+      logo: "Logo",
+      addLogo: "Logo hinzufügen",
+      changeLogo: "Ändern",
+      removeLogo: "Entfernen",
+      logoFailed: "Das Logo konnte nicht gelesen werden.",
+      cancel: "Abbrechen",
+      save: "Speichern",
+    },
+    categoryEditor: {
+      title: "Parkkategorien",
+      labelEn: "Bezeichnung (EN)",
+      labelDe: "Bezeichnung (DE)",
+      color: "Farbe",
+      lineStyle: "Linie",
+      counts: "Kapazität",
+      countsHint: "Zählt zur Gesamtkapazität",
+      add: "Kategorie hinzufügen",
+      remove: "Entfernen",
+      inUse: "Von Abschnitten verwendet",
+      reset: "Standard wiederherstellen",
+      done: "Fertig",
+      newLabel: "Neue Kategorie",
+      lineStyles: { solid: "Durchgezogen", dashed: "Gestrichelt", dotted: "Gepunktet" },
+    },
     snap: {
       loading: "Snap-Linien werden geladen...",
       delayed: "Wir laden die Snap-Linien so schnell wie möglich",
       retrying: "Server beschäftigt — erneuter Versuch...",
       timedOut: "Anfrage abgelaufen, erneuter Versuch..."
     },
-    clearAll: "🗑️ Alle Daten löschen",
+    roadCache: {
+      title: "Straßendaten offline",
+      needBoundary: "Zeichnen Sie ein Untersuchungsgebiet, um Straßendaten für das Einrasten offline vorzubereiten.",
+      none: "Nicht offline verfügbar",
+      status: "{cached} von {total} Kartenkacheln gespeichert",
+      updated: "aktualisiert {age}",
+      prepare: "Gebiet offline verfügbar machen",
+      refresh: "Aktualisieren",
+      working: "Straßendaten werden geladen…",
+      failed: "Straßendaten konnten nicht geladen werden: {msg}",
+    },
+    osm: {
+      way: "OSM-Weg",
+      sides: { left: "linke Seite", right: "rechte Seite" },
+    },
+    orientation: {
+      title: "Aufstellung",
+      side: "Straßenseite",
+      unknownSide: "Unbekannt",
+      types: { parallel: "Längs", angled: "Schräg", perpendicular: "Senkrecht", pavement: "Auf dem Gehweg" },
+    },
+    capacityModel: {
+      open: "Stellplatzschätzung",
+      title: "Stellplatzschätzung",
+      hint: "Geschätzte Stellplätze = (Abschnittslänge − Abzüge) ÷ Stellplatzlänge. Gilt für alle Abschnitte, deren Stellplätze nicht von Hand eingetragen wurden.",
+      vehicle: "Bemessungsfahrzeug",
+      vehicles: { car: "Pkw", compact: "Kleinwagen", van: "Transporter" },
+      stallLengths: "Bordsteinlänge je Stellplatz (m)",
+      deductions: "Abzug je Vorkommen (m)",
+      deductionTypes: { driveway: "Einfahrt", hydrant: "Hydrant", intersection: "Kreuzungsabstand", bus_stop: "Bushaltestelle", loading_bay: "Ladezone" },
+      segmentCounts: { driveways: "Einfahrten", hydrants: "Hydranten", intersectionEnds: "Enden an Kreuzungen" },
+      reset: "Standardwerte",
+      cancel: "Abbrechen",
+      save: "Speichern",
+    },
+    curbOffset: {
+      title: "Abstand zum Fahrbahnrand",
+      hint: "Abstand von der Straßenmitte zur Parklinie, an der die Snap-Linien liegen.",
+      modes: { auto: "Je Straße (OSM-Breite, Fahrstreifen, Klasse)", fixed: "Gleich für alle Straßen" },
+      adjust: "Korrektur",
+      meters: "Abstand",
+      preview: "Linien anzeigen",
+    },
+    roadSettings: {
+      open: "Einstellungen",
+      title: "Einstellungen Straßendaten",
+      source: "Quelle der Straßendaten",
+      sources: { overpass: "Overpass-API (online, offline zwischengespeichert)", file: "Lokale Datei (GeoJSON oder .osm)" },
+      endpoints: "Overpass-Server, in dieser Reihenfolge versucht",
+      addEndpoint: "Hinzufügen",
+      moveUp: "Nach oben",
+      moveDown: "Nach unten",
+      remove: "Entfernen",
+      resetEndpoints: "Standard wiederherstellen",
+      proxyHint: "„/overpass“ läuft über den Proxy des Entwicklungsservers.",
+      timeout: "Zeitlimit je Anfrage (s)",
+      retries: "Versuche je Server",
+      file: "Straßennetz-Datei",
+      chooseFile: "Datei wählen",
+      noFile: "Keine Straßendaten-Datei geladen",
+      usingFile: "Lokale Datei {name} ({n} Straßen)",
+      fileFailed: "Die Datei enthält keine verwendbaren Straßen (GeoJSON-Linien oder OSM-XML-Wege mit highway-Tag).",
+      cancel: "Abbrechen",
+      save: "Speichern",
+    },
+    clearAll: "🗑️ Erhebungsdaten löschen",
+    confirmClearAll: "Alle Daten dieser Erhebung wirklich löschen?",
+    projects: {
+      label: "Erhebung",
+      defaultName: "Erhebung",
+      create: "Neu",
+      rename: "Umbenennen",
+      duplicate: "Duplizieren",
+      remove: "Löschen",
+      copySuffix: "(Kopie)",
+      namePrompt: "Name der neuen Erhebung:",
+      renamePrompt: "Neuer Name für diese Erhebung:",
+      confirmDelete: "Die Erhebung \"{name}\" mit allen Daten löschen?",
+    },
     clearStudy: "Untersuchungsgebiet löschen",
     autosaveInfo:
       "Daten werden automatisch im Browser gespeichert. Exportieren Sie zum Teilen oder Sichern.",
+    history: {
+      undo: "Rückgängig",
+      redo: "Wiederholen",
+      addSegment: "Abschnitt hinzufügen",
+      editSegment: "Abschnitt bearbeiten",
+      deleteSegment: "Abschnitt löschen",
+      editGeometry: "Abschnittsgeometrie bearbeiten",
+      setStudyArea: "Untersuchungsgebiet zeichnen",
+      clearStudyArea: "Untersuchungsgebiet löschen",
+      editStudyArea: "Untersuchungsgebiet bearbeiten",
+      addZone: "Zone zeichnen",
+      editZone: "Zone bearbeiten",
+      renameZone: "Zone umbenennen",
+      recolorZone: "Zonenfarbe ändern",
+      removeZone: "Zone entfernen",
+      clearSurvey: "Erhebungsdaten löschen",
+      countVehicles: "Fahrzeuge zählen",
+      addPass: "Zähldurchgang hinzufügen",
+      editPass: "Zähldurchgang bearbeiten",
+      removePass: "Zähldurchgang löschen",
+      addPoint: "Punkt hinzufügen",
+      editPoint: "Punkt bearbeiten",
+      movePoint: "Punkt verschieben",
+      deletePoint: "Punkt löschen",
+      splitSegment: "Abschnitt teilen",
+      mergeSegments: "Abschnitte zusammenführen",
+      bulkEdit: "ausgewählte Abschnitte bearbeiten",
+    },
+    zones: {
+      title: "Zonen",
+      draw: "Zone zeichnen",
+      hint: "Das Gebiet in benannte Zonen teilen (z. B. Bewohnerparkzonen A/B/C), um Summen je Zone zu sehen. Im Bearbeitungsmodus lassen sich ihre Ecken verschieben.",
+      drawing: "Zone auf der Karte zeichnen; am ersten Punkt abschließen.",
+      name: "Zonenname",
+      color: "Zonenfarbe",
+      remove: "Zone entfernen",
+      outside: "Außerhalb der Zonen",
+      totals: "{spaces} Plätze · {segments} Abschn. · {length}",
+    },
+    attributeTable: {
+      open: "Attributtabelle",
+      title: "Abschnitte",
+      search: "Straße, Notizen, Regeln suchen…",
+      close: "Tabelle schließen",
+      columns: { street: "Straße", category: "Kategorie", spaces: "Plätze", length_m: "Länge", photos: "Fotos", occupancy: "Auslastung" },
+      manualSpaces: "Von Hand gezählt",
+      autoSpaces: "Geschätzt (Zahl eingeben, um zu zählen)",
+      openForm: "Abschnittsdetails öffnen",
+      empty: "Keine Abschnitte (Kategoriefilter prüfen).",
+      noMatches: "Keine Abschnitte passen zur Suche.",
+    },
+    selection: {
+      lasso: "Lasso-Auswahl",
+      lassoHint: "Abschnitte umfahren, um sie auszuwählen (mit Umschalt hinzufügen). Ein Klick auf einen Abschnitt wählt ihn aus oder ab.",
+      selected: "{n} ausgewählt",
+      edit: "Auswahl bearbeiten",
+      clear: "Aufheben",
+      all: "Alle",
+      none: "Keine",
+      unnamed: "Unbenannte Straße",
+      title: "{n} Abschnitte bearbeiten",
+      hint: "Nur geänderte Felder werden übernommen; alle anderen behalten den Wert des jeweiligen Abschnitts.",
+      category: "Kategorie",
+      timeLimit: "Höchstparkdauer (min)",
+      notes: "Notizen",
+      mixed: "gemischt",
+      mixedOption: "— unterschiedliche Werte —",
+      mixedRules: "Die Abschnitte haben unterschiedliche Regeln.",
+      replaceRules: "Für alle ersetzen",
+      keep: "nicht ändern",
+      apply: "Auf {n} Abschnitte anwenden",
+      cancel: "Abbrechen",
+    },
+    segmentTools: {
+      split: "Abschnitt teilen",
+      merge: "Abschnitte zusammenführen",
+      splitHint: "Abschnitt an der Stelle anklicken, an der er geteilt werden soll.",
+      mergeHint: "Den ersten von zwei aneinandergrenzenden Abschnitten derselben Straße anklicken.",
+      mergeHintSecond: "Jetzt den Abschnitt anklicken, mit dem er verbunden werden soll.",
+      splitTooShort: "Zu nah am Ende des Abschnitts, um dort zu teilen.",
+      confirmCategory: "Die Abschnitte haben unterschiedliche Kategorien. Trotzdem zusammenführen und die Angaben des ersten übernehmen?",
+      mergeFailed: {
+        street: "Nur Abschnitte derselben Straße können zusammengeführt werden.",
+        apart: "Die Abschnitte berühren sich nicht an den Enden.",
+      },
+    },
+    points: {
+      title: "Punkt am Fahrbahnrand",
+      type: "Art",
+      types: { sign: "Parkschild", driveway: "Einfahrt", hydrant: "Hydrant", bus_stop: "Bushaltestelle", loading_bay: "Ladezone" },
+      text: "Text",
+      textPlaceholder: {
+        sign: "z. B. Mo–Fr 8–18 h, Parkscheibe 2 Std.",
+        driveway: "z. B. Garageneinfahrt Nr. 12",
+        hydrant: "z. B. H 100 / 2,5 m",
+        bus_stop: "z. B. Lutherplatz (Linie 10)",
+        loading_bay: "z. B. Mo–Sa 6–11 h",
+      },
+      notes: "Notizen",
+      photos: "Fotos",
+      sheet: "Punkte",
+      delete: "Punkt löschen",
+      confirmDelete: "Diesen Punkt löschen?",
+      cancel: "Abbrechen",
+      save: "Speichern",
+    },
+    occupancy: {
+      title: "Auslastung",
+      noPasses: "Noch keine Zähldurchgänge. Legen Sie einen an, bevor Sie parkende Fahrzeuge zählen.",
+      addPass: "Durchgang hinzufügen",
+      renamePass: "Umbenennen",
+      removePass: "Löschen",
+      passPrompt: "Name des Zähldurchgangs (z. B. 06:00)",
+      confirmRemovePass: "Zähldurchgang „{name}“ mit allen Zählungen löschen?",
+      time: "Zeit",
+      counted: "{n} von {total} Abschnitten gezählt",
+      vehicles: "Fahrzeuge",
+      byStreet: "Nach Straße",
+      counts: "Parkende Fahrzeuge je Durchgang",
+      notCounted: "nicht gezählt",
+      clearCount: "Leeren",
+      showOnMap: "Karte nach Auslastung einfärben",
+      colorBy: "Einfärben nach",
+      modes: { category: "Kategorie", time: "Parken möglich", occupancy: "Auslastung" },
+      pass: "Durchgang",
+      scale: { low: "unter 50 %", mid: "50–85 %", high: "über 85 %", none: "nicht gezählt" },
+    },
+    storage: {
+      usage: "Speicher belegt",
+      nearlyFull: "Der Browserspeicher ist fast voll ({pct} %). Exportieren Sie eine Sicherung und löschen Sie nicht benötigte Erhebungen oder Fotos.",
+      quotaExceeded: "Der Browserspeicher ist voll – Ihre letzten Änderungen wurden NICHT gespeichert. Exportieren Sie die Erhebung jetzt und löschen Sie nicht benötigte Erhebungen oder Fotos.",
+      saveFailed: "Ihre letzten Änderungen konnten nicht gespeichert werden: {msg}",
+      confirmPhotosNearlyFull: "Der Browserspeicher ist fast voll. Fotos trotzdem hinzufügen?",
+      photoFailed: "Das Foto konnte nicht gespeichert werden.",
+      dismiss: "Schließen",
+    },
     drawHint:
       "Zeichnen Sie Linien entlang der Straßen ➜ Details speichern ➜ Wiederholen. Nutzen Sie den Export zum Teilen der Erhebung.",
     pdf: {
-      title: "Parkraumerhebung Jena",
-      subtitle: "Grete-Unrein-Straße / Forstweg / Lutherstraße und Umgebung",
+      title: "Parkraumerhebung",
+      area: "Gebiet",
+      surveyDate: "Erhebungsdatum",
+      page: "Seite",
       generated: "Erstellt am",
       studyArea: "Untersuchungsgebiet enthalten",
       summary: "Zusammenfassung",
+      overviewMap: "Übersichtskarte",
+      occupancyByCategory: "Auslastung nach Kategorie",
+      occupancyByStreet: "Auslastung nach Straße",
+      occupancyTotal: "Gesamt (Kapazitätskategorien)",
+      unnamedStreet: "Unbenannte Straße",
+      spacesByZone: "Plätze nach Zone",
+      zone: "Zone",
+      outsideZones: "Außerhalb der Zonen",
+      length: "Länge",
       segments: "Straßenabschnitte",
-      totalSpacesFree: "Gesamtzahl Stellplätze (Frei)",
-      totalSpacesResidents: "Gesamtzahl Stellplätze (Anwohner)",
-      totalSpacesLimited: "Gesamtzahl Stellplätze (Begrenzt)",
+      totalSpaces: "Gesamtzahl Stellplätze",
+      totalCapacity: "Gesamtkapazität",
       metric: "Merkmal",
       value: "Wert",
       field_category: "Kategorie",
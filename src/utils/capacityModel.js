@@ -0,0 +1,99 @@
+// How parking spaces are estimated from a segment's length (per survey)
+// { vehicle, stallLengths: { [vehicle]: { [orientation]: meters } },
+//   deductions: { driveway, hydrant, intersection, bus_stop, loading_bay } (meters of curb lost each) }
+// Segments count their own driveways, hydrants and intersection ends (0–2);
+// curb points placed on a segment add to those counts.
+// Spaces are re-estimated only while `spacesEdited` is false.
+import { ORIENTATIONS, normalizeOrientation } from "./orientation";
+import { pointCountsBySegment } from "./curbPoints";
+
+export const VEHICLE_TYPES = ["car", "compact", "van"];
+
+// Curb length per stall in meters (EAR/RASt-style planning values)
+export const DEFAULT_STALL_LENGTHS = {
+  car: { parallel: 5.5, angled: 3.5, perpendicular: 2.5, pavement: 5.5 },
+  compact: { parallel: 5, angled: 3.2, perpendicular: 2.3, pavement: 5 },
+  van: { parallel: 7, angled: 4.2, perpendicular: 3, pavement: 7 },
+};
+
+export const DEDUCTION_TYPES = ["driveway", "hydrant", "intersection", "bus_stop", "loading_bay"];
+
+// StVO §12: no parking within 5 m of an intersection, 15 m either side of a bus stop sign
+export const DEFAULT_DEDUCTIONS = { driveway: 4, hydrant: 5, intersection: 5, bus_stop: 30, loading_bay: 10 };
+
+// Segment property counting each deduction (points only for the others)
+const SEGMENT_COUNTS = { driveway: "driveways", hydrant: "hydrants", intersection: "intersectionEnds" };
+
+export const DEFAULT_CAPACITY_MODEL = {
+  vehicle: "car",
+  stallLengths: DEFAULT_STALL_LENGTHS,
+  deductions: DEFAULT_DEDUCTIONS,
+};
+
+export const STALL_LENGTH_RANGE = { min: 1, max: 20 };
+export const DEDUCTION_RANGE = { min: 0, max: 30 };
+
+function clamp(n, { min, max }) {
+  return Math.min(max, Math.max(min, n));
+}
+
+export function normalizeCapacityModel(value) {
+  const v = value && typeof value === "object" ? value : {};
+  const stallLengths = {};
+  for (const vehicle of VEHICLE_TYPES) {
+    stallLengths[vehicle] = {};
+    for (const o of ORIENTATIONS) {
+      const n = v.stallLengths?.[vehicle]?.[o];
+      stallLengths[vehicle][o] = Number.isFinite(n) ? clamp(n, STALL_LENGTH_RANGE) : DEFAULT_STALL_LENGTHS[vehicle][o];
+    }
+  }
+  const deductions = {};
+  for (const d of DEDUCTION_TYPES) {
+    const n = v.deductions?.[d];
+    deductions[d] = Number.isFinite(n) ? clamp(n, DEDUCTION_RANGE) : DEFAULT_DEDUCTIONS[d];
+  }
+  return { vehicle: VEHICLE_TYPES.includes(v.vehicle) ? v.vehicle : DEFAULT_CAPACITY_MODEL.vehicle, stallLengths, deductions };
+}
+
+export function stallLength(orientation, model = DEFAULT_CAPACITY_MODEL) {
+  return model.stallLengths[model.vehicle][normalizeOrientation(orientation)];
+}
+
+function count(n, max = Infinity) {
+  const i = parseInt(n, 10);
+  return Number.isFinite(i) && i > 0 ? Math.min(i, max) : 0;
+}
+
+// Meters of curb lost on a segment: its own counts (driveways, hydrants,
+// intersectionEnds) plus the curb points on it ({ [pointType]: n })
+export function deductedLength(properties = {}, model = DEFAULT_CAPACITY_MODEL, pointCounts = {}) {
+  let total = 0;
+  for (const key of DEDUCTION_TYPES) {
+    const own = key === "intersection" ? count(properties.intersectionEnds, 2) : count(properties[SEGMENT_COUNTS[key]]);
+    total += (own + (pointCounts[key] ?? 0)) * model.deductions[key];
+  }
+  return total;
+}
+
+// Estimated spaces on lengthM meters of curb; 0 once deductions use up the curb
+export function estimateSpaces(lengthM, properties = {}, model = DEFAULT_CAPACITY_MODEL, pointCounts = {}) {
+  const usable = (Number(lengthM) || 0) - deductedLength(properties, model, pointCounts);
+  if (usable <= 0) return 0;
+  return Math.max(1, Math.round(usable / stallLength(properties.orientation, model)));
+}
+
+// Re-estimate every segment whose spaces were not entered by hand;
+// returns the same array when nothing changed
+export function recomputeSpaces(features, model, points = []) {
+  const pointCounts = pointCountsBySegment(features, points);
+  let changed = false;
+  const next = features.map((f) => {
+    const p = f.properties;
+    if (f.geometry?.type !== "LineString" || !p || p.spacesEdited || !Number.isFinite(p.length_m)) return f;
+    const spaces = estimateSpaces(p.length_m, p, model, pointCounts.get(p._id));
+    if (spaces === p.spaces) return f;
+    changed = true;
+    return { ...f, properties: { ...p, spaces } };
+  });
+  return changed ? next : features;
+}
@@ -0,0 +1,94 @@
+// Parking category registry
+// Each survey carries its own list of categories, so custom categories travel
+// with autosave, exports and imports. Features reference a category by `id`.
+
+// Leaflet dashArray per line style
+export const LINE_STYLES = {
+  solid: null,
+  dashed: "12 8",
+  dotted: "2 8",
+};
+
+export const DEFAULT_CATEGORIES = [
+  { id: "free",       label: { en: "Free (anyone)",   de: "Frei (öffentlich)" },     color: "#22c55e", lineStyle: "solid",  countsTowardCapacity: true },
+  { id: "residents",  label: { en: "Residents only",  de: "Nur Anwohner" },          color: "#ef4444", lineStyle: "solid",  countsTowardCapacity: true },
+  { id: "limited",    label: { en: "Limited time",    de: "Begrenzt (zeitlich)" },   color: "#f59e0b", lineStyle: "solid",  countsTowardCapacity: true },
+  { id: "paid",       label: { en: "Paid parking",    de: "Gebührenpflichtig" },     color: "#3b82f6", lineStyle: "solid",  countsTowardCapacity: true },
+  { id: "loading",    label: { en: "Loading zone",    de: "Ladezone" },              color: "#a855f7", lineStyle: "dashed", countsTowardCapacity: false },
+  { id: "disabled",   label: { en: "Disabled bay",    de: "Behindertenparkplatz" },  color: "#0ea5e9", lineStyle: "dashed", countsTowardCapacity: true },
+  { id: "taxi",       label: { en: "Taxi rank",       de: "Taxistand" },             color: "#eab308", lineStyle: "dashed", countsTowardCapacity: false },
+  { id: "ev",         label: { en: "EV charging",     de: "E-Ladestation" },         color: "#14b8a6", lineStyle: "dotted", countsTowardCapacity: true },
+  { id: "no_parking", label: { en: "No parking",      de: "Parkverbot" },            color: "#6b7280", lineStyle: "dotted", countsTowardCapacity: false },
+];
+
+const FALLBACK_COLOR = "#9ca3af";
+
+// Validate a registry loaded from storage or an imported file.
+// Falls back to the defaults when nothing usable is present.
+export function normalizeCategories(list) {
+  if (!Array.isArray(list)) return DEFAULT_CATEGORIES;
+  const seen = new Set();
+  const out = [];
+  for (const c of list) {
+    if (!c || typeof c.id !== "string" || !c.id || seen.has(c.id)) continue;
+    seen.add(c.id);
+    out.push({
+      id: c.id,
+      label: typeof c.label === "string" ? { en: c.label, de: c.label } : { ...(c.label || {}) },
+      color: typeof c.color === "string" ? c.color : FALLBACK_COLOR,
+      lineStyle: c.lineStyle in LINE_STYLES ? c.lineStyle : "solid",
+      countsTowardCapacity: c.countsTowardCapacity !== false,
+    });
+  }
+  return out.length ? out : DEFAULT_CATEGORIES;
+}
+
+// Look up a category; unknown ids (e.g. from an older import) get a grey placeholder
+export function getCategory(categories, id) {
+  const found = categories.find((c) => c.id === id);
+  if (found) return found;
+  return { id, label: { en: id || "—", de: id || "—" }, color: FALLBACK_COLOR, lineStyle: "solid", countsTowardCapacity: false };
+}
+
+export function categoryLabel(category, lang = "en") {
+  if (!category) return "";
+  return category.label?.[lang] || category.label?.en || category.id;
+}
+
+// Leaflet path options for a category
+export function categoryStyle(category) {
+  return {
+    color: category?.color || FALLBACK_COLOR,
+    weight: 8,
+    dashArray: LINE_STYLES[category?.lineStyle] ?? null,
+  };
+}
+
+// Sum a numeric feature property per category id, plus the capacity total
+export function sumByCategory(features, categories, key = "spaces") {
+  const byId = {};
+  for (const c of categories) byId[c.id] = 0;
+  let capacity = 0;
+  for (const f of features) {
+    const id = f?.properties?.category;
+    const n = Number(f?.properties?.[key]);
+    if (!id || byId[id] == null || !Number.isFinite(n)) continue;
+    byId[id] += n;
+    if (getCategory(categories, id).countsTowardCapacity) capacity += n;
+  }
+  return { byId, capacity };
+}
+
+// Build a unique id for a new user-defined category
+export function makeCategoryId(label, categories) {
+  const base = String(label || "category")
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_+|_+$/g, "") || "category";
+  let id = base;
+  let n = 2;
+  while (categories.some((c) => c.id === id)) id = `${base}_${n++}`;
+  return id;
+}
@@ -0,0 +1,64 @@
+// Distance from a road's centerline to its parking line (the snap guide)
+// Per survey: { mode: "auto" | "fixed", meters, adjust }
+// - auto: derived per road from the OSM `width` or `lanes` tag, else from the
+//   highway class; `adjust` shifts all of them (e.g. +1 m for wide sidewalks)
+// - fixed: `meters` for every road
+export const DEFAULT_CURB_OFFSET = { mode: "auto", meters: 4, adjust: 0 };
+
+export const CURB_OFFSET_RANGE = { min: 1, max: 15 };
+export const CURB_ADJUST_RANGE = { min: -3, max: 3 };
+
+// Typical centerline-to-parking-line distances by highway class, in meters
+export const HIGHWAY_OFFSETS = {
+  motorway: 9,
+  trunk: 8,
+  primary: 7,
+  secondary: 6,
+  tertiary: 5.5,
+  unclassified: 4.5,
+  residential: 4,
+  living_street: 3,
+  service: 3,
+  road: 4,
+};
+const FALLBACK_OFFSET = 4;
+const LANE_WIDTH = 3;
+// parked cars sit about a meter inside the curb
+const PARKING_INSET = 1;
+
+function clamp(n, { min, max }) {
+  return Math.min(max, Math.max(min, n));
+}
+
+export function normalizeCurbOffset(value) {
+  const out = { ...DEFAULT_CURB_OFFSET };
+  if (!value || typeof value !== "object") return out;
+  if (value.mode === "auto" || value.mode === "fixed") out.mode = value.mode;
+  if (Number.isFinite(value.meters)) out.meters = clamp(value.meters, CURB_OFFSET_RANGE);
+  if (Number.isFinite(value.adjust)) out.adjust = clamp(value.adjust, CURB_ADJUST_RANGE);
+  return out;
+}
+
+// "7.5", "7,5 m" -> 7.5
+function parseMeters(value) {
+  const n = parseFloat(String(value ?? "").replace(",", "."));
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+// Offset of a road from its tags alone (auto mode without adjustment)
+export function roadOffset(tags = {}) {
+  const width = parseMeters(tags.width);
+  if (width) return Math.max(1.5, width / 2 - PARKING_INSET);
+  const lanes = parseInt(tags.lanes, 10);
+  if (lanes > 0) {
+    // a single lane is usually a one-way street; there the lane sits off center
+    return Math.max(2, (Math.max(lanes, 2) * LANE_WIDTH) / 2 + PARKING_INSET - (lanes === 1 ? LANE_WIDTH / 2 : 0));
+  }
+  return HIGHWAY_OFFSETS[tags.highway] ?? FALLBACK_OFFSET;
+}
+
+// Offset in meters for a road feature under the survey's setting
+export function curbOffsetFor(road, setting = DEFAULT_CURB_OFFSET) {
+  if (setting.mode === "fixed") return setting.meters;
+  return clamp(roadOffset(road?.properties?.tags) + (setting.adjust || 0), CURB_OFFSET_RANGE);
+}
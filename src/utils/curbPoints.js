@@ -0,0 +1,84 @@
+// Point objects along the curb: parking signs, driveways, hydrants, bus stops, loading bays
+// Kept per survey in `points`, separate from the segments:
+//   { type: "Feature", geometry: Point, properties: { _id, pointType, text, notes, images } }
+// A point counts against the nearest segment within POINT_SEGMENT_DISTANCE;
+// what it costs in curb length is set by the survey's capacity model.
+import * as turf from "@turf/turf";
+
+export const POINT_TYPES = ["sign", "driveway", "hydrant", "bus_stop", "loading_bay"];
+
+export const POINT_ICONS = {
+  sign: "🅿️",
+  driveway: "🚘",
+  hydrant: "🧯",
+  bus_stop: "🚏",
+  loading_bay: "📦",
+};
+
+// Points are set on the curb, segments along the parking line next to it
+export const POINT_SEGMENT_DISTANCE = 4;
+
+export function makePoint(coordinates, pointType = "sign") {
+  return {
+    type: "Feature",
+    geometry: { type: "Point", coordinates },
+    properties: { _id: crypto.randomUUID(), pointType, text: "", notes: "", images: [] },
+  };
+}
+
+export function normalizePoints(points) {
+  if (!Array.isArray(points)) return [];
+  return points
+    .filter((p) => p?.geometry?.type === "Point" && Array.isArray(p.geometry.coordinates))
+    .map((p) => ({
+      type: "Feature",
+      geometry: p.geometry,
+      properties: {
+        ...p.properties,
+        _id: p.properties?._id ?? crypto.randomUUID(),
+        pointType: POINT_TYPES.includes(p.properties?.pointType) ? p.properties.pointType : "sign",
+      },
+    }));
+}
+
+function segmentsOf(features) {
+  return features.filter((f) => f?.geometry?.type === "LineString" && f.geometry.coordinates.length >= 2);
+}
+
+// Nearest segment within POINT_SEGMENT_DISTANCE of a point, or null
+function nearestSegment(point, segments) {
+  let best = null, bestDist = POINT_SEGMENT_DISTANCE;
+  for (const f of segments) {
+    const d = turf.pointToLineDistance(point.geometry.coordinates, f, { units: "meters" });
+    if (d <= bestDist) { bestDist = d; best = f; }
+  }
+  return best;
+}
+
+// _id of the segment a point counts against, or null
+export function segmentIdForPoint(point, features) {
+  return nearestSegment(point, segmentsOf(features))?.properties?._id ?? null;
+}
+
+/**
+ * Point counts per segment: Map of segment _id -> { [pointType]: n }.
+ * Each point goes to its nearest segment only, so a driveway between
+ * two segments on opposite sides of a narrow street is not counted twice.
+ */
+export function pointCountsBySegment(features, points) {
+  const out = new Map();
+  const segments = segmentsOf(features);
+  for (const p of points || []) {
+    const id = nearestSegment(p, segments)?.properties?._id;
+    if (!id) continue;
+    const counts = out.get(id) ?? {};
+    counts[p.properties.pointType] = (counts[p.properties.pointType] ?? 0) + 1;
+    out.set(id, counts);
+  }
+  return out;
+}
+
+// Point counts of one segment ({ [pointType]: n })
+export function pointCountsFor(feature, features, points) {
+  return pointCountsBySegment(features, points).get(feature?.properties?._id) ?? {};
+}
@@ -0,0 +1,135 @@
+// Occupancy counting
+// - a survey defines count passes: [{ id, label, time }] (time as local "yyyy-mm-ddThh:mm")
+// - each segment stores parked vehicles per pass: properties.counts = { [passId]: n }
+// - occupancy = vehicles / spaces over the segments counted in a pass
+import { getCategory } from "./categories";
+
+export function normalizePasses(list) {
+  if (!Array.isArray(list)) return [];
+  const seen = new Set();
+  const out = [];
+  for (const p of list) {
+    if (!p || typeof p.id !== "string" || !p.id || seen.has(p.id)) continue;
+    seen.add(p.id);
+    out.push({ id: p.id, label: typeof p.label === "string" ? p.label : "", time: typeof p.time === "string" ? p.time : "" });
+  }
+  return out;
+}
+
+// Local "yyyy-mm-ddThh:mm" for <input type="datetime-local">
+export function localDateTime(date = new Date()) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+export function makePass(label, time = localDateTime()) {
+  return { id: crypto.randomUUID(), label, time };
+}
+
+// "06:00" style label for a pass; falls back to its time
+export function passLabel(pass) {
+  if (!pass) return "";
+  return pass.label || pass.time.replace("T", " ");
+}
+
+// Vehicles counted on a segment in a pass, or null when not counted
+export function segmentCount(feature, passId) {
+  const n = feature?.properties?.counts?.[passId];
+  return Number.isFinite(n) ? n : null;
+}
+
+// Set (or clear, with null) the count of a pass on a segment; returns the new feature
+export function withCount(feature, passId, count) {
+  const counts = { ...(feature.properties?.counts || {}) };
+  if (count == null) delete counts[passId];
+  else counts[passId] = Math.max(0, Math.round(count));
+  return { ...feature, properties: { ...feature.properties, counts } };
+}
+
+// Drop a pass's counts from every segment
+export function withoutPass(features, passId) {
+  return features.map((f) => (segmentCount(f, passId) == null ? f : withCount(f, passId, null)));
+}
+
+export function occupancyRatio(vehicles, spaces) {
+  return spaces > 0 ? vehicles / spaces : null;
+}
+
+// Occupancy of one segment in a pass: { vehicles, spaces, ratio }, or null when not counted
+export function segmentOccupancy(feature, passId) {
+  const vehicles = segmentCount(feature, passId);
+  if (vehicles == null) return null;
+  const spaces = Number(feature.properties?.spaces) || 0;
+  return { vehicles, spaces, ratio: occupancyRatio(vehicles, spaces) };
+}
+
+// Group the segments counted in a pass by keyOf(feature)
+// -> Map key -> { vehicles, spaces, segments, ratio }
+export function occupancyBy(features, passId, keyOf) {
+  const groups = new Map();
+  for (const f of features) {
+    const vehicles = segmentCount(f, passId);
+    if (vehicles == null) continue;
+    const key = keyOf(f);
+    const g = groups.get(key) || { vehicles: 0, spaces: 0, segments: 0 };
+    g.vehicles += vehicles;
+    g.spaces += Number(f.properties?.spaces) || 0;
+    g.segments += 1;
+    groups.set(key, g);
+  }
+  for (const g of groups.values()) g.ratio = occupancyRatio(g.vehicles, g.spaces);
+  return groups;
+}
+
+// Occupancy of a pass per category id, per street and in total.
+// The total only includes categories that count toward capacity.
+export function passOccupancy(features, categories, passId) {
+  const byCategory = occupancyBy(features, passId, (f) => f.properties?.category);
+  const byStreet = occupancyBy(features, passId, (f) => f.properties?.street?.trim() || "");
+  const total = { vehicles: 0, spaces: 0, segments: 0 };
+  for (const [id, g] of byCategory) {
+    if (!getCategory(categories, id).countsTowardCapacity) continue;
+    total.vehicles += g.vehicles;
+    total.spaces += g.spaces;
+    total.segments += g.segments;
+  }
+  total.ratio = occupancyRatio(total.vehicles, total.spaces);
+  return { byCategory, byStreet, total };
+}
+
+export function formatPct(ratio) {
+  return ratio == null ? "—" : `${Math.round(ratio * 100)}%`;
+}
+
+// "vehicles/spaces · pct" for a segment or group
+export function formatOccupancy(g) {
+  return `${g.vehicles}/${g.spaces} · ${formatPct(g.ratio)}`;
+}
+
+/* ---------------------- Heatmap ---------------------- */
+
+// Occupancy classes for the map: under 50%, 50–85%, over 85%
+export const OCCUPANCY_SCALE = [
+  { id: "low", color: "#22c55e" },
+  { id: "mid", color: "#f59e0b" },
+  { id: "high", color: "#ef4444" },
+];
+export const NOT_COUNTED_COLOR = "#9ca3af";
+
+export function occupancyClass(ratio) {
+  if (ratio == null) return null;
+  if (ratio < 0.5) return OCCUPANCY_SCALE[0];
+  return ratio <= 0.85 ? OCCUPANCY_SCALE[1] : OCCUPANCY_SCALE[2];
+}
+
+// Leaflet path options for a segment colored by its occupancy in a pass
+export function occupancyStyle(feature, passId) {
+  const occ = segmentOccupancy(feature, passId);
+  // vehicles on a segment without spaces (e.g. no parking) count as over capacity
+  const over = occ?.vehicles > 0 && occ.ratio == null;
+  return {
+    color: over ? OCCUPANCY_SCALE[2].color : occupancyClass(occ?.ratio)?.color ?? NOT_COUNTED_COLOR,
+    weight: 8,
+    dashArray: occ ? null : "2 8",
+  };
+}
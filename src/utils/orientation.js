@@ -0,0 +1,16 @@
+// How vehicles park along a segment
+// - side: "left" | "right" of the road, relative to its OSM way direction
+// - orientation: parallel, angled (~45°), perpendicular, or on the pavement
+//   (half or fully on the sidewalk, lined up like parallel parking)
+// Stall lengths per orientation live in the survey's capacity model.
+export const SIDES = ["left", "right"];
+export const ORIENTATIONS = ["parallel", "angled", "perpendicular", "pavement"];
+export const DEFAULT_ORIENTATION = "parallel";
+
+export function normalizeOrientation(value) {
+  return ORIENTATIONS.includes(value) ? value : DEFAULT_ORIENTATION;
+}
+
+export function normalizeSide(value) {
+  return SIDES.includes(value) ? value : null;
+}
@@ -0,0 +1,221 @@
+// OSM road network for snapping: Overpass download or a local file
+// Road settings are per device (not per survey):
+//   { source: "overpass" | "file", endpoints: [url, ...] (in priority order),
+//     timeoutSecs, retries }
+// A local file (GeoJSON or .osm XML) is parsed once into a FeatureCollection of
+// road LineStrings and kept in IndexedDB next to the settings.
+import { loadRoads } from "./roadCache";
+
+export const PUBLIC_ENDPOINTS = [
+  "https://overpass-api.de/api/interpreter",
+  "https://overpass.kumi.systems/api/interpreter",
+  "https://overpass.openstreetmap.ru/api/interpreter",
+];
+// dev server proxy to overpass-api.de (see vite.config.js)
+export const PROXY_ENDPOINT = "/overpass";
+
+export const DEFAULT_ROAD_SETTINGS = {
+  source: "overpass",
+  endpoints: import.meta.env?.DEV ? [PROXY_ENDPOINT, ...PUBLIC_ENDPOINTS] : PUBLIC_ENDPOINTS,
+  timeoutSecs: 30,
+  retries: 2,
+};
+
+// Highways that are not driven on and so never have curbside parking
+const EXCLUDED_HIGHWAYS = /^(footway|path|cycleway|steps|bridleway)$/;
+
+// OSM tags kept on road features (properties.tags)
+export const ROAD_TAGS = ["name", "highway", "oneway", "maxspeed", "width", "lanes"];
+
+export function normalizeRoadSettings(s) {
+  const out = { ...DEFAULT_ROAD_SETTINGS };
+  if (!s || typeof s !== "object") return out;
+  if (s.source === "overpass" || s.source === "file") out.source = s.source;
+  if (Array.isArray(s.endpoints)) {
+    const endpoints = s.endpoints.filter((u) => typeof u === "string" && u.trim()).map((u) => u.trim());
+    if (endpoints.length) out.endpoints = endpoints;
+  }
+  if (Number.isFinite(s.timeoutSecs) && s.timeoutSecs >= 5) out.timeoutSecs = Math.min(300, s.timeoutSecs);
+  if (Number.isFinite(s.retries) && s.retries >= 1) out.retries = Math.min(5, Math.round(s.retries));
+  return out;
+}
+
+function roadFeature(id, coordinates, tags = {}) {
+  const kept = {};
+  for (const key of ROAD_TAGS) {
+    if (tags[key] != null && tags[key] !== "") kept[key] = String(tags[key]);
+  }
+  return { type: "Feature", geometry: { type: "LineString", coordinates }, properties: { id, tags: kept } };
+}
+
+/* ---------------------- Overpass ---------------------- */
+
+// Fetch OSM roads for a [w, s, e, n] bbox, trying the endpoints in order
+export async function fetchOSMRoadsForBBox(bboxArr, onProgress, settings = DEFAULT_ROAD_SETTINGS) {
+  const [w, s, e, n] = bboxArr;
+  const { endpoints, timeoutSecs } = settings;
+  const query = `
+    [out:json][timeout:${Math.max(5, timeoutSecs - 5)}];
+    (way["highway"]["highway"!~"footway|path|cycleway|steps|bridleway"](${s},${w},${n},${e}););
+    out geom;
+  `;
+
+  let data = null, lastErr = null;
+  const maxRetries = settings.retries; // Try each endpoint up to this many times on timeout
+
+  for (let endpointIdx = 0; endpointIdx < endpoints.length; endpointIdx++) {
+    const url = endpoints[endpointIdx];
+
+    for (let retry = 0; retry < maxRetries; retry++) {
+      try {
+        if (onProgress) {
+          const attemptInfo = retry > 0 ? ` (retry ${retry}/${maxRetries - 1})` : '';
+          onProgress(`Fetching from server ${endpointIdx + 1}/${endpoints.length}${attemptInfo}...`);
+        }
+
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), timeoutSecs * 1000);
+
+        const res = await fetch(url, {
+          method: "POST",
+          headers: { "Content-Type": "application/x-www-form-urlencoded;charset=UTF-8" },
+          body: `data=${encodeURIComponent(query)}`,
+          signal: controller.signal
+        });
+
+        clearTimeout(timeoutId);
+
+        if (res.status === 504 || res.status === 502 || res.status === 503) {
+          lastErr = new Error(`Server temporarily unavailable (${res.status})`);
+          if (retry < maxRetries - 1) {
+            if (onProgress) {
+              onProgress(`Server busy, retrying in 2 seconds...`);
+            }
+            await new Promise(resolve => setTimeout(resolve, 2000));
+            continue; // Retry this endpoint
+          }
+          continue; // Move to next endpoint
+        }
+
+        if (!res.ok) {
+          lastErr = new Error(`HTTP ${res.status}`);
+          continue; // Try next endpoint
+        }
+
+        data = await res.json();
+        break; // Success!
+      } catch (err) {
+        lastErr = err;
+        if (err.name === 'AbortError') {
+          lastErr = new Error(`Request timed out after ${timeoutSecs} seconds`);
+          if (onProgress && retry < maxRetries - 1) {
+            onProgress(`Request timed out, retrying...`);
+          }
+          if (retry < maxRetries - 1) {
+            await new Promise(resolve => setTimeout(resolve, 1000));
+            continue; // Retry
+          }
+        }
+      }
+    }
+
+    if (data) break; // Success, no need to try other endpoints
+  }
+
+  if (!data) {
+    const errorMsg = lastErr?.message || "Overpass request failed";
+    throw new Error(`Unable to load street data: ${errorMsg}. Please try again or check your internet connection.`);
+  }
+
+  const features = (data.elements || [])
+    .filter(el => el.type === "way" && Array.isArray(el.geometry))
+    .map(el => roadFeature(el.id, el.geometry.map(g => [g.lon, g.lat]), el.tags));
+  return { type: "FeatureCollection", features };
+}
+
+/* ---------------------- Local files ---------------------- */
+
+function parseOsmXml(text) {
+  const doc = new DOMParser().parseFromString(text, "application/xml");
+  if (doc.getElementsByTagName("parsererror").length || doc.documentElement.localName !== "osm") return null;
+  const nodes = new Map();
+  for (const node of Array.from(doc.getElementsByTagName("node"))) {
+    nodes.set(node.getAttribute("id"), [Number(node.getAttribute("lon")), Number(node.getAttribute("lat"))]);
+  }
+  const features = [];
+  for (const way of Array.from(doc.getElementsByTagName("way"))) {
+    const tags = Object.fromEntries(Array.from(way.getElementsByTagName("tag")).map((tag) => [tag.getAttribute("k"), tag.getAttribute("v")]));
+    if (!tags.highway || EXCLUDED_HIGHWAYS.test(tags.highway)) continue;
+    // ways at the edge of an extract may reference nodes outside it
+    const coordinates = Array.from(way.getElementsByTagName("nd"))
+      .map((nd) => nodes.get(nd.getAttribute("ref")))
+      .filter(Boolean);
+    if (coordinates.length >= 2) features.push(roadFeature(Number(way.getAttribute("id")), coordinates, tags));
+  }
+  return features;
+}
+
+function parseRoadGeoJSON(data) {
+  const list = data?.type === "FeatureCollection" ? data.features : data?.type === "Feature" ? [data] : null;
+  if (!Array.isArray(list)) return null;
+  const features = [];
+  list.forEach((f, i) => {
+    // tags flat in properties, or nested under properties.tags (osmtogeojson)
+    const tags = f?.properties?.tags ?? f?.properties ?? {};
+    if (typeof tags.highway === "string" && EXCLUDED_HIGHWAYS.test(tags.highway)) return;
+    const rawId = f.properties?.["@id"] ?? f.properties?.id ?? f.id ?? `local-${i}`;
+    // "way/123" (osmtogeojson, overpass turbo) -> 123
+    const wayId = /^(?:way\/)?(\d+)$/.exec(String(rawId));
+    const id = wayId ? Number(wayId[1]) : rawId;
+    const g = f?.geometry;
+    const lines = g?.type === "LineString" ? [g.coordinates] : g?.type === "MultiLineString" ? g.coordinates : [];
+    lines.forEach((coords, j) => {
+      if (Array.isArray(coords) && coords.length >= 2) features.push(roadFeature(lines.length > 1 ? `${id}-${j}` : id, coords, tags));
+    });
+  });
+  return features;
+}
+
+/**
+ * Parse a road network file (GeoJSON or OSM XML).
+ * Returns { name, loadedAt, fc } or null when the file holds no roads.
+ */
+export function parseRoadFile(text, name) {
+  let features = null;
+  if (/^\s*</.test(text)) {
+    features = parseOsmXml(text);
+  } else {
+    try {
+      features = parseRoadGeoJSON(JSON.parse(text));
+    } catch {
+      features = null;
+    }
+  }
+  if (!features?.length) return null;
+  return { name, loadedAt: new Date().toISOString(), fc: { type: "FeatureCollection", features } };
+}
+
+// bbox overlap is enough here; guides are clipped to the study area later
+function intersectsBBox(feature, [w, s, e, n]) {
+  const lngs = feature.geometry.coordinates.map((c) => c[0]);
+  const lats = feature.geometry.coordinates.map((c) => c[1]);
+  return Math.min(...lngs) <= e && Math.max(...lngs) >= w && Math.min(...lats) <= n && Math.max(...lats) >= s;
+}
+
+/* ---------------------- Loading ---------------------- */
+
+/**
+ * Roads for a [w, s, e, n] bbox from the configured source:
+ * the local file when selected, otherwise Overpass through the tile cache.
+ * Returns { fc, fetchedAt } (fetchedAt: oldest cached tile, or the file's load time).
+ */
+export async function loadRoadNetwork(bbox, { settings, file }, { onProgress, refresh = false } = {}) {
+  if (settings.source === "file") {
+    if (!file) throw new Error("No road data file loaded");
+    return {
+      fc: { type: "FeatureCollection", features: file.fc.features.filter((f) => intersectsBBox(f, bbox)) },
+      fetchedAt: file.loadedAt,
+    };
+  }
+  return loadRoads(bbox, (b, progress) => fetchOSMRoadsForBBox(b, progress, settings), { onProgress, refresh });
+}
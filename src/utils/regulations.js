@@ -0,0 +1,321 @@
+// Structured parking regulations
+// A segment carries properties.regulations = [{ id, type, days, start, end, ... }]:
+// - type: one of REGULATION_TYPES
+// - days: ISO weekdays (1 = Monday … 7 = Sunday)
+// - start / end: "hh:mm"; end "24:00" means midnight, end < start wraps past midnight
+// - maxStayMins (max_stay), fare (paid, per hour) and zone (residents) are optional
+// Outside all windows the segment's category applies. The free-text `rules` of older
+// surveys is parsed into windows on a best-effort basis.
+import { translations } from "../i18n";
+import { getCategory } from "./categories";
+
+export const REGULATION_TYPES = ["residents", "paid", "max_stay", "no_parking", "loading"];
+export const ALL_DAYS = [1, 2, 3, 4, 5, 6, 7];
+
+export function makeRegulation(patch = {}) {
+  return { id: crypto.randomUUID(), type: "residents", days: [1, 2, 3, 4, 5], start: "08:00", end: "18:00", ...patch };
+}
+
+const TIME_RE = /^([01]?\d|2[0-4]):([0-5]\d)$/;
+
+function cleanTime(value, fallback) {
+  const m = TIME_RE.exec(String(value ?? ""));
+  if (!m) return fallback;
+  return `${m[1].padStart(2, "0")}:${m[2]}`;
+}
+
+export function normalizeRegulations(list) {
+  if (!Array.isArray(list)) return [];
+  return list
+    .filter((r) => r && REGULATION_TYPES.includes(r.type))
+    .map((r) => {
+      const out = {
+        id: typeof r.id === "string" && r.id ? r.id : crypto.randomUUID(),
+        type: r.type,
+        days: Array.isArray(r.days) ? ALL_DAYS.filter((d) => r.days.includes(d)) : [...ALL_DAYS],
+        start: cleanTime(r.start, "00:00"),
+        end: cleanTime(r.end, "24:00"),
+      };
+      if (Number.isFinite(r.maxStayMins) && r.maxStayMins > 0) out.maxStayMins = r.maxStayMins;
+      if (Number.isFinite(r.fare) && r.fare >= 0) out.fare = r.fare;
+      if (typeof r.zone === "string" && r.zone.trim()) out.zone = r.zone.trim();
+      return out;
+    });
+}
+
+/* ---------------------- Parsing free text ---------------------- */
+
+const DAY_NAMES = {
+  mo: 1, mon: 1, montag: 1, monday: 1,
+  di: 2, tu: 2, tue: 2, dienstag: 2, tuesday: 2,
+  mi: 3, we: 3, wed: 3, mittwoch: 3, wednesday: 3,
+  do: 4, th: 4, thu: 4, donnerstag: 4, thursday: 4,
+  fr: 5, fri: 5, freitag: 5, friday: 5,
+  sa: 6, sat: 6, samstag: 6, sonnabend: 6, saturday: 6,
+  so: 7, su: 7, sun: 7, sonntag: 7, sunday: 7,
+};
+const DAY_TOKEN = "(mo(?:n(?:tag|day)?)?|di(?:enstag)?|tu(?:e(?:sday)?)?|mi(?:ttwoch)?|we(?:d(?:nesday)?)?|do(?:nnerstag)?|th(?:u(?:rsday)?)?|fr(?:i(?:day)?|eitag)?|sa(?:t(?:urday)?|mstag)?|sonnabend|so(?:nntag)?|su(?:n(?:day)?)?)\\.?";
+const DAY_RANGE_RE = new RegExp(`\\b${DAY_TOKEN}\\s*(?:-|–|—|bis|to)\\s*${DAY_TOKEN}`, "i");
+const DAY_LIST_RE = new RegExp(`\\b${DAY_TOKEN}(?=[\\s,/+&]|$)`, "gi");
+// Lower-case short forms that are also ordinary words ("do not block", "so",
+// "we"): listed days only when capitalized, before a time or next to such a day
+const AMBIGUOUS_DAYS = new Set(["do", "so", "we", "di", "mi"]);
+const DAY_SEPARATOR_RE = /^[\s,/+&]*$/;
+const TIME_RANGE_RE = /(\d{1,2})(?:[:.](\d{2}))?\s*(?:h|uhr)?\s*(?:-|–|—|bis|to)\s*(\d{1,2})(?:[:.](\d{2}))?\s*(?:h|uhr)?/i;
+
+const TYPE_PATTERNS = [
+  ["no_parking", /(no (parking|stopping|waiting)|park(ing)?verbot|halte?verbot|parken verboten)/i],
+  ["loading", /(loading|lade|liefer)/i],
+  ["residents", /(resident|anwohner|bewohner|permit|parkausweis)/i],
+  ["paid", /(paid|pay|ticket|meter|geb(ü|ue)hr|parkschein|kostenpflichtig|€|eur\b)/i],
+  ["max_stay", /(max|limit|parkscheibe|disc|begrenzt|\d+\s*(h|std|stunden?|hours?|min))/i],
+];
+
+function dayIndex(token) {
+  return DAY_NAMES[token.toLowerCase().replace(/\.$/, "")] ?? null;
+}
+
+function parseDays(text) {
+  const t = text.toLowerCase();
+  // German "werktags" includes Saturday
+  if (/werktag/.test(t)) return [1, 2, 3, 4, 5, 6];
+  if (/weekdays/.test(t)) return [1, 2, 3, 4, 5];
+  if (/(daily|täglich|taeglich|every day|all days)/.test(t)) return [...ALL_DAYS];
+  const range = DAY_RANGE_RE.exec(text);
+  if (range) {
+    const [a, b] = [dayIndex(range[1]), dayIndex(range[2])];
+    if (a && b) {
+      const out = [];
+      for (let d = a; ; d = (d % 7) + 1) {
+        out.push(d);
+        if (d === b || out.length > 7) break;
+      }
+      return ALL_DAYS.filter((d) => out.includes(d));
+    }
+  }
+  const listed = listedDays(text);
+  return listed.length ? ALL_DAYS.filter((d) => listed.includes(d)) : null;
+}
+
+function listedDays(text) {
+  const matches = [...text.matchAll(DAY_LIST_RE)];
+  const adjacent = (a, b) => a && b && DAY_SEPARATOR_RE.test(text.slice(a.index + a[0].length, b.index));
+  const accepted = matches.map((m) =>
+    !AMBIGUOUS_DAYS.has(m[1].toLowerCase()) || /^[A-Z]/.test(m[1]) || /^\s*\d/.test(text.slice(m.index + m[0].length)));
+  // then spread to ambiguous tokens chained to an accepted day ("do, so 8-12")
+  for (let changed = true; changed; ) {
+    changed = false;
+    matches.forEach((m, i) => {
+      if (accepted[i] || !((accepted[i - 1] && adjacent(matches[i - 1], m)) || (accepted[i + 1] && adjacent(m, matches[i + 1])))) return;
+      accepted[i] = changed = true;
+    });
+  }
+  return matches.filter((m, i) => accepted[i]).map((m) => dayIndex(m[1])).filter(Boolean);
+}
+
+function parseTimes(text) {
+  const m = TIME_RANGE_RE.exec(text);
+  if (!m) return null;
+  const [h1, m1, h2, m2] = [Number(m[1]), m[2] ?? "00", Number(m[3]), m[4] ?? "00"];
+  if (h1 > 24 || h2 > 24) return null;
+  return { start: `${String(h1).padStart(2, "0")}:${m1}`, end: `${String(h2).padStart(2, "0")}:${m2}` };
+}
+
+function parseMaxStay(text) {
+  const hours = /(\d+(?:[.,]\d+)?)\s*(?:h|std|stunden?|hours?)\b(?!\s*(?:-|–|bis|to))/i.exec(text);
+  if (hours) return Math.round(Number(hours[1].replace(",", ".")) * 60);
+  const mins = /(\d+)\s*(?:min|minutes|minuten)/i.exec(text);
+  return mins ? Number(mins[1]) : null;
+}
+
+// "free otherwise" / "sonst frei" is the unrestricted default, nothing to store
+const OTHERWISE_FREE_RE = /,?\s*(?:sonst|ansonsten|otherwise|else)\s+(?:frei|free)\b|,?\s*(?:free|frei)\s+(?:otherwise|sonst)\b/gi;
+
+function parseRulePart(text, limitMins) {
+  const part = text.replace(OTHERWISE_FREE_RE, "");
+  const isFree = /(free|frei|kostenlos)\b/i.test(part) && !/(frei\s*(für|fuer)|free for)/i.test(part);
+  if (!part.trim() || isFree) return null;
+  const type = TYPE_PATTERNS.find(([, re]) => re.test(part))?.[0];
+  if (!type) return null;
+  const reg = makeRegulation({
+    type,
+    days: parseDays(part) ?? [...ALL_DAYS],
+    ...(parseTimes(part) ?? { start: "00:00", end: "24:00" }),
+  });
+  if (type === "max_stay") {
+    const mins = parseMaxStay(part.replace(TIME_RANGE_RE, "")) ?? limitMins;
+    if (Number.isFinite(mins) && mins > 0) reg.maxStayMins = mins;
+  }
+  if (type === "paid") {
+    const fare = /(\d+(?:[.,]\d{1,2})?)\s*(?:€|eur)/i.exec(part);
+    if (fare) reg.fare = Number(fare[1].replace(",", "."));
+  }
+  const zone = /\b(?:zone|bereich|gebiet)\s*([A-Z0-9][\w-]*)/i.exec(part);
+  if (zone && type === "residents") reg.zone = zone[1];
+  return reg;
+}
+
+// Best-effort conversion of a free-text rule ("Residents Mo–Fr 8–18h; free otherwise").
+// "No parking, do not block" is a daily no-parking rule, not a Thursday one.
+export function parseRulesText(text, { limitMins } = {}) {
+  if (typeof text !== "string" || !text.trim()) return [];
+  return text
+    .split(/[;\n|]+/)
+    .map((part) => parseRulePart(part, limitMins))
+    .filter(Boolean);
+}
+
+// Add `regulations` to a segment saved before the structured model existed.
+// Returns the same object when nothing changes.
+export function migrateRegulations(feature) {
+  const p = feature?.properties;
+  if (!p || Array.isArray(p.regulations)) return feature;
+  let regulations = parseRulesText(p.rules, { limitMins: p.limitMins });
+  if (!regulations.length && p.category === "limited" && Number(p.limitMins) > 0) {
+    regulations = [makeRegulation({ type: "max_stay", days: [...ALL_DAYS], start: "00:00", end: "24:00", maxStayMins: Number(p.limitMins) })];
+  }
+  return { ...feature, properties: { ...p, regulations } };
+}
+
+/* ---------------------- Summaries ---------------------- */
+
+function formatDays(days, tr) {
+  const sorted = ALL_DAYS.filter((d) => days.includes(d));
+  if (sorted.length === 7) return tr.daily;
+  const runs = [];
+  for (const d of sorted) {
+    const last = runs[runs.length - 1];
+    if (last && d === last[1] + 1) last[1] = d;
+    else runs.push([d, d]);
+  }
+  return runs
+    .map(([a, b]) => (a === b ? tr.days[a - 1] : `${tr.days[a - 1]}${b - a > 1 ? "–" : ", "}${tr.days[b - 1]}`))
+    .join(", ");
+}
+
+function formatDuration(mins) {
+  if (mins % 60 === 0) return `${mins / 60} h`;
+  if (mins > 60) return `${Math.floor(mins / 60)} h ${mins % 60} min`;
+  return `${mins} min`;
+}
+
+export function describeRegulation(reg, lang = "en") {
+  const tr = translations[lang].regulations;
+  let what = tr.types[reg.type] ?? reg.type;
+  if (reg.type === "max_stay" && reg.maxStayMins) what = `${tr.maxStayShort} ${formatDuration(reg.maxStayMins)}`;
+  const extras = [];
+  if (reg.type === "paid" && Number.isFinite(reg.fare)) {
+    extras.push(`${reg.fare.toLocaleString(lang === "de" ? "de-DE" : "en-GB", { minimumFractionDigits: 2 })} €/h`);
+  }
+  if (reg.type === "residents" && reg.zone) extras.push(`${tr.zoneShort} ${reg.zone}`);
+  const time = reg.start === "00:00" && reg.end === "24:00" ? tr.allDay : `${reg.start}–${reg.end}`;
+  return `${formatDays(reg.days, tr)} ${time}: ${what}${extras.length ? ` (${extras.join(", ")})` : ""}`;
+}
+
+export function summarizeRegulations(regulations, lang = "en") {
+  if (!regulations?.length) return translations[lang].regulations.none;
+  return regulations.map((r) => describeRegulation(r, lang)).join("; ");
+}
+
+// Text shown for a segment's rules: the structured summary, or the legacy free text
+export function regulationText(properties, lang = "en") {
+  const regs = properties?.regulations;
+  if (Array.isArray(regs) && regs.length) return summarizeRegulations(regs, lang);
+  return properties?.rules || "";
+}
+
+// Free text a segment's regulations were parsed from, until the segment is
+// saved with the structured editor (which replaces `rules` with the summary)
+export function legacyRulesText(properties) {
+  const rules = properties?.rules?.trim();
+  if (!rules) return "";
+  const regs = properties.regulations ?? [];
+  return Object.keys(translations).some((lang) => summarizeRegulations(regs, lang) === rules) ? "" : rules;
+}
+
+/* ---------------------- Status at a time ---------------------- */
+
+// What a visitor (non-resident) may do on a segment at a given moment
+export const PARKING_STATUSES = [
+  { id: "free", color: "#22c55e" },
+  { id: "paid", color: "#3b82f6" },
+  { id: "limited", color: "#f59e0b" },
+  { id: "residents", color: "#ef4444" },
+  { id: "prohibited", color: "#6b7280" },
+];
+const VISITOR_STATUSES = new Set(["free", "paid", "limited"]);
+
+// Status of segments without regulations, by default category id; other
+// categories are free when they count toward capacity, prohibited otherwise.
+// Reserved bays (disabled, taxi) are not available to a general visitor.
+const CATEGORY_STATUS = {
+  free: "free",
+  residents: "residents",
+  limited: "limited",
+  paid: "paid",
+  ev: "free",
+  loading: "prohibited",
+  disabled: "prohibited",
+  taxi: "prohibited",
+  no_parking: "prohibited",
+};
+
+// Active types win in this order
+const TYPE_STATUS = [
+  ["no_parking", "prohibited"],
+  ["loading", "prohibited"],
+  ["residents", "residents"],
+  ["max_stay", "limited"],
+  ["paid", "paid"],
+];
+
+function minutesOf(hhmm) {
+  const [h, m] = hhmm.split(":").map(Number);
+  return h * 60 + m;
+}
+
+// ISO weekday (1 = Monday) and minutes since midnight of a Date
+function weekMinute(date) {
+  return { day: ((date.getDay() + 6) % 7) + 1, mins: date.getHours() * 60 + date.getMinutes() };
+}
+
+export function isRegulationActive(reg, date) {
+  const { day, mins } = weekMinute(date);
+  const start = minutesOf(reg.start);
+  const end = minutesOf(reg.end);
+  if (start < end) return reg.days.includes(day) && mins >= start && mins < end;
+  // equal times cover the whole day; end < start runs into the next day
+  if (start === end) return reg.days.includes(day);
+  const prevDay = day === 1 ? 7 : day - 1;
+  return (reg.days.includes(day) && mins >= start) || (reg.days.includes(prevDay) && mins < end);
+}
+
+export function parkingStatusAt(feature, categories, date) {
+  const p = feature?.properties || {};
+  const regs = Array.isArray(p.regulations) ? p.regulations : [];
+  const active = regs.filter((r) => isRegulationActive(r, date));
+  const status = TYPE_STATUS.find(([type]) => active.some((r) => r.type === type))?.[1];
+  if (status) return status;
+  const category = getCategory(categories, p.category);
+  return CATEGORY_STATUS[category.id] ?? (category.countsTowardCapacity ? "free" : "prohibited");
+}
+
+// Spaces a non-resident may use at that moment (free, paid or time-limited)
+export function visitorCapacityAt(features, categories, date) {
+  let spaces = 0;
+  for (const f of features) {
+    const n = Number(f?.properties?.spaces);
+    if (Number.isFinite(n) && VISITOR_STATUSES.has(parkingStatusAt(f, categories, date))) spaces += n;
+  }
+  return spaces;
+}
+
+// Leaflet path options for a segment colored by its status at that moment
+export function parkingStatusStyle(feature, categories, date) {
+  const status = parkingStatusAt(feature, categories, date);
+  return {
+    color: PARKING_STATUSES.find((s) => s.id === status).color,
+    weight: 8,
+    dashArray: status === "prohibited" ? "2 8" : null,
+  };
+}
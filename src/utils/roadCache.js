@@ -0,0 +1,126 @@
+// Persistent cache of OSM road data for snapping
+// Roads are stored per tile of a fixed 0.01° grid (about 1 km). A bbox request
+// only fetches the tiles that are not cached yet, so once a study area has been
+// prepared, snapping works without a network connection.
+import { getRoadTiles, putRoadTiles } from "./surveyStore";
+
+const TILE_DEG = 0.01;
+// bump when road features change shape; older tiles are refetched when online
+const CACHE_VERSION = 3;
+
+function tileIndex(value) {
+  return Math.floor(value / TILE_DEG);
+}
+
+function tileKey(x, y) {
+  return `${x}:${y}`;
+}
+
+// [w, s, e, n] of a tile
+function tileBBox(key) {
+  const [x, y] = key.split(":").map(Number);
+  return [x * TILE_DEG, y * TILE_DEG, (x + 1) * TILE_DEG, (y + 1) * TILE_DEG];
+}
+
+// Keys of the tiles covering a [w, s, e, n] bbox
+export function tilesForBBox([w, s, e, n]) {
+  const keys = [];
+  for (let x = tileIndex(w); x <= tileIndex(e); x++) {
+    for (let y = tileIndex(s); y <= tileIndex(n); y++) keys.push(tileKey(x, y));
+  }
+  return keys;
+}
+
+function unionBBox(keys) {
+  const out = [Infinity, Infinity, -Infinity, -Infinity];
+  for (const key of keys) {
+    const [w, s, e, n] = tileBBox(key);
+    out[0] = Math.min(out[0], w);
+    out[1] = Math.min(out[1], s);
+    out[2] = Math.max(out[2], e);
+    out[3] = Math.max(out[3], n);
+  }
+  return out;
+}
+
+function lineBBox(feature) {
+  const lngs = feature.geometry.coordinates.map((c) => c[0]);
+  const lats = feature.geometry.coordinates.map((c) => c[1]);
+  return [Math.min(...lngs), Math.min(...lats), Math.max(...lngs), Math.max(...lats)];
+}
+
+// Split fetched roads into records for the given tiles (roads crossing tile
+// borders are stored in every tile they touch; empty tiles are stored too)
+function toTileRecords(features, keys, fetchedAt) {
+  const wanted = new Set(keys);
+  const ways = new Map(keys.map((key) => [key, []]));
+  for (const f of features) {
+    if (f?.geometry?.type !== "LineString") continue;
+    for (const key of tilesForBBox(lineBBox(f))) {
+      if (wanted.has(key)) ways.get(key).push(f);
+    }
+  }
+  return keys.map((key) => ({ key, version: CACHE_VERSION, fetchedAt, ways: ways.get(key) }));
+}
+
+function oldestFetch(records) {
+  let oldest = null;
+  for (const rec of records) if (!oldest || rec.fetchedAt < oldest) oldest = rec.fetchedAt;
+  return oldest;
+}
+
+function collect(records) {
+  const seen = new Set();
+  const features = [];
+  for (const rec of records) {
+    for (const f of rec.ways) {
+      const id = f.properties?.id;
+      if (id != null) {
+        if (seen.has(id)) continue;
+        seen.add(id);
+      }
+      features.push(f);
+    }
+  }
+  return { type: "FeatureCollection", features };
+}
+
+/**
+ * Roads for a [w, s, e, n] bbox, from the cache where possible.
+ * fetchRoads(bbox, onProgress) loads a FeatureCollection of road LineStrings
+ * from the network; it is only called for missing tiles (all tiles with refresh).
+ * Returns { fc, fetchedAt } with the time of the oldest tile used.
+ */
+export async function loadRoads(bbox, fetchRoads, { onProgress, refresh = false } = {}) {
+  const keys = tilesForBBox(bbox);
+  const cached = refresh ? new Map() : await getRoadTiles(keys).catch(() => new Map());
+  const isCurrent = (key) => cached.get(key)?.version === CACHE_VERSION;
+  const missing = keys.filter((key) => !isCurrent(key));
+  const records = keys.filter(isCurrent).map((key) => cached.get(key));
+
+  if (missing.length) {
+    const fetchedAt = new Date().toISOString();
+    let fc;
+    try {
+      fc = await fetchRoads(unionBBox(missing), onProgress);
+    } catch (err) {
+      // offline with tiles from an older version: still better than no guides
+      if (!keys.every((key) => cached.has(key))) throw err;
+      return { fc: collect(keys.map((key) => cached.get(key))), fetchedAt: oldestFetch(cached.values()) };
+    }
+    const fresh = toTileRecords(fc.features || [], missing, fetchedAt);
+    // a full cache must not break snapping; the roads are still used this time
+    await putRoadTiles(fresh).catch((err) => console.warn("[roads] could not cache tiles", err));
+    records.push(...fresh);
+  }
+
+  return { fc: collect(records), fetchedAt: oldestFetch(records) };
+}
+
+// How much of a bbox is cached -> { total, cached, oldest } (oldest: ISO time or null);
+// tiles from an older cache version do not count
+export async function roadCacheStatus(bbox) {
+  const keys = tilesForBBox(bbox);
+  const current = [...(await getRoadTiles(keys).catch(() => new Map())).values()].filter((r) => r.version === CACHE_VERSION);
+  return { total: keys.length, cached: current.length, oldest: oldestFetch(current) };
+}
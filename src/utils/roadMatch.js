@@ -0,0 +1,44 @@
+// Matching drawn segments to OSM roads (for street names, way ids and sides)
+import * as turf from "@turf/turf";
+
+// Road feature nearest to a [lng, lat] point, or null
+export function findClosestRoad(roadsFc, lngLat) {
+  let best = null, bestDist = Infinity;
+  const pt = turf.point(lngLat);
+  for (const f of roadsFc?.features || []) {
+    try {
+      const nearest = turf.nearestPointOnLine(f, pt, { units: "meters" });
+      const d = Number.isFinite(nearest.properties?.dist) ? nearest.properties.dist : Infinity;
+      if (d < bestDist) { bestDist = d; best = f; }
+    } catch { /* skip malformed roads */ }
+  }
+  return best;
+}
+
+// "left" / "right" of a point relative to the road's drawing direction (the OSM way direction)
+export function sideOfRoad(road, lngLat) {
+  const nearest = turf.nearestPointOnLine(road, turf.point(lngLat), { units: "meters" });
+  const coords = road.geometry.coordinates;
+  const idx = Math.max(0, Math.min(nearest.properties?.index ?? 0, coords.length - 2));
+  const [[aLng, aLat], [bLng, bLat]] = [coords[idx], coords[idx + 1]];
+  const [nLng, nLat] = nearest.geometry.coordinates;
+  // local planar approximation: shrink longitudes by cos(latitude)
+  const k = Math.cos((nLat * Math.PI) / 180);
+  const cross = (bLng - aLng) * k * (lngLat[1] - nLat) - (bLat - aLat) * (lngLat[0] - nLng) * k;
+  return cross > 0 ? "left" : "right";
+}
+
+/**
+ * Road a drawn LineString runs along: the road nearest to the segment's midpoint,
+ * if within maxDistance meters. Returns { road, side, distance } or null.
+ */
+export function matchSegmentToRoad(roadsFc, geometry, { maxDistance = 25 } = {}) {
+  if (!roadsFc?.features?.length || geometry?.type !== "LineString" || geometry.coordinates.length < 2) return null;
+  const line = turf.lineString(geometry.coordinates);
+  const mid = turf.along(line, turf.length(line, { units: "meters" }) / 2, { units: "meters" }).geometry.coordinates;
+  const road = findClosestRoad(roadsFc, mid);
+  if (!road) return null;
+  const distance = turf.nearestPointOnLine(road, turf.point(mid), { units: "meters" }).properties.dist;
+  if (!(distance <= maxDistance)) return null;
+  return { road, side: sideOfRoad(road, mid), distance };
+}
@@ -0,0 +1,150 @@
+// Split and merge of segments
+// Both parts of a split keep the segment's properties with new _ids; counted
+// values (hand-entered spaces, vehicle counts, driveways, hydrants) are shared
+// out by length. A merge joins two same-street segments whose ends touch and
+// adds those values up. Estimated spaces are left to recomputeSpaces.
+import * as turf from "@turf/turf";
+
+// Ends closer than this count as touching
+export const MERGE_TOLERANCE = 1;
+// A split leaves at least this much line on either side
+const MIN_PART_LENGTH = 1;
+// A cut this close to a vertex is on the vertex
+const VERTEX_TOLERANCE = 0.01;
+
+function pathLength(coords) {
+  return turf.length(turf.lineString(coords), { units: "meters" });
+}
+
+function distance(a, b) {
+  return turf.distance(a, b, { units: "meters" });
+}
+
+// Split an integer n into two parts in the ratio share : 1 - share
+function shareOut(n, share) {
+  if (!Number.isFinite(n)) return [n, n];
+  const first = Math.round(n * share);
+  return [first, n - first];
+}
+
+function splitCounts(counts, share) {
+  const a = {}, b = {};
+  for (const [passId, n] of Object.entries(counts || {})) [a[passId], b[passId]] = shareOut(n, share);
+  return [a, b];
+}
+
+/**
+ * Cut a segment at the point of its line nearest to lngLat.
+ * Returns [first, second] or null when the cut would leave a stub.
+ */
+export function splitSegment(feature, lngLat) {
+  const coords = feature?.geometry?.coordinates;
+  if (feature?.geometry?.type !== "LineString" || coords.length < 2) return null;
+  const line = turf.lineString(coords);
+  const cut = turf.nearestPointOnLine(line, turf.point(lngLat), { units: "meters" });
+  const idx = cut.properties.index;
+  // a cut on (or within a hair of) an existing vertex uses that vertex once
+  const onVertex = [coords[idx], coords[idx + 1]].find((c) => distance(c, cut) < VERTEX_TOLERANCE);
+  const at = onVertex ?? cut.geometry.coordinates;
+  const firstCoords = [...coords.slice(0, idx + 1), ...(at === coords[idx] ? [] : [at])];
+  const secondCoords = [...(at === coords[idx + 1] ? [] : [at]), ...coords.slice(idx + 1)];
+  const firstLength = pathLength(firstCoords);
+  const secondLength = pathLength(secondCoords);
+  if (firstLength < MIN_PART_LENGTH || secondLength < MIN_PART_LENGTH) return null;
+
+  const p = feature.properties || {};
+  const share = firstLength / (firstLength + secondLength);
+  const [spacesA, spacesB] = shareOut(p.spaces, share);
+  const [drivewaysA, drivewaysB] = shareOut(p.driveways, share);
+  const [hydrantsA, hydrantsB] = shareOut(p.hydrants, share);
+  const [countsA, countsB] = splitCounts(p.counts, share);
+  // which end met an intersection is not recorded: at most one per part
+  const ends = p.intersectionEnds ?? 0;
+
+  const part = (geometryCoords, length, extra) => ({
+    ...feature,
+    geometry: { type: "LineString", coordinates: geometryCoords },
+    properties: { ...p, _id: crypto.randomUUID(), length_m: Math.round(length), ...extra },
+  });
+  return [
+    part(firstCoords, firstLength, {
+      ...(p.spacesEdited && { spaces: spacesA }),
+      ...(p.driveways != null && { driveways: drivewaysA }),
+      ...(p.hydrants != null && { hydrants: hydrantsA }),
+      ...(p.counts && { counts: countsA }),
+      ...(p.intersectionEnds != null && { intersectionEnds: Math.min(ends, 1) }),
+    }),
+    part(secondCoords, secondLength, {
+      ...(p.spacesEdited && { spaces: spacesB }),
+      ...(p.driveways != null && { driveways: drivewaysB }),
+      ...(p.hydrants != null && { hydrants: hydrantsB }),
+      ...(p.counts && { counts: countsB }),
+      ...(p.intersectionEnds != null && { intersectionEnds: Math.max(ends - 1, 0) }),
+    }),
+  ];
+}
+
+/**
+ * How two segments can be joined: { coordinates } of the merged line, or
+ * { reason } ("street" | "apart") when they cannot.
+ */
+export function mergeGeometry(a, b, tolerance = MERGE_TOLERANCE) {
+  const norm = (s) => String(s ?? "").trim().toLowerCase();
+  if (norm(a.properties?.street) !== norm(b.properties?.street)) return { reason: "street" };
+  const ca = a.geometry.coordinates, cb = b.geometry.coordinates;
+  const rev = (c) => [...c].reverse();
+  // try the four end-to-end joins; the touching vertex is kept once
+  const joins = [
+    [ca, cb],
+    [ca, rev(cb)],
+    [rev(ca), cb],
+    [cb, ca],
+  ];
+  for (const [x, y] of joins) {
+    if (distance(x[x.length - 1], y[0]) <= tolerance) return { coordinates: [...x, ...y.slice(1)] };
+  }
+  return { reason: "apart" };
+}
+
+function sum(x, y) {
+  if (x == null && y == null) return undefined;
+  return (Number(x) || 0) + (Number(y) || 0);
+}
+
+/**
+ * Join two touching, same-street segments into one (keeping the first one's
+ * other properties). Returns { feature } or { reason } like mergeGeometry.
+ */
+export function mergeSegments(a, b, tolerance = MERGE_TOLERANCE) {
+  const geo = mergeGeometry(a, b, tolerance);
+  if (!geo.coordinates) return geo;
+  const pa = a.properties || {}, pb = b.properties || {};
+
+  // a pass counted on only one of them would undercount the merged segment
+  const counts = {};
+  for (const passId of Object.keys(pa.counts || {})) {
+    if (pa.counts[passId] != null && pb.counts?.[passId] != null) counts[passId] = sum(pa.counts[passId], pb.counts[passId]);
+  }
+  const images = [...(pa.images || [])];
+  for (const img of pb.images || []) {
+    if (!img?.photoId || !images.some((i) => i.photoId === img.photoId)) images.push(img);
+  }
+  const spacesEdited = !!(pa.spacesEdited || pb.spacesEdited);
+  const notes = [pa.notes, pb.notes].filter(Boolean);
+
+  const properties = {
+    ...pa,
+    _id: crypto.randomUUID(),
+    length_m: Math.round(pathLength(geo.coordinates)),
+    spacesEdited,
+    ...(spacesEdited && { spaces: sum(pa.spaces, pb.spaces) }),
+    images,
+    notes: [...new Set(notes)].join("\n"),
+  };
+  for (const key of ["driveways", "hydrants", "intersectionEnds"]) {
+    const total = sum(pa[key], pb[key]);
+    if (total !== undefined) properties[key] = key === "intersectionEnds" ? Math.min(total, 2) : total;
+  }
+  if (pa.counts || pb.counts) properties.counts = counts;
+  return { feature: { ...a, geometry: { type: "LineString", coordinates: geo.coordinates }, properties } };
+}
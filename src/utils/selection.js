@@ -0,0 +1,62 @@
+// Multi-selection of segments and bulk edits of their attributes
+// A bulk edit is a partial { category, regulations, limitMins, notes }: only the
+// fields present are written, to every selected segment.
+import * as turf from "@turf/turf";
+import { normalizeRegulations, summarizeRegulations } from "./regulations";
+
+export const BULK_FIELDS = ["category", "regulations", "limitMins", "notes"];
+
+// regulations compare by content; each segment has its own rule ids
+function comparable(key, value) {
+  if (key === "regulations") return JSON.stringify((value ?? []).map((r) => ({ ...r, id: undefined })));
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * The value a field has on all of the given segments:
+ * { mixed: false, value } when they agree, { mixed: true } when not.
+ */
+export function sharedValue(features, key) {
+  const values = features.map((f) => f.properties?.[key] ?? null);
+  const first = comparable(key, values[0]);
+  if (values.some((v) => comparable(key, v) !== first)) return { mixed: true };
+  return { mixed: false, value: values[0] ?? null };
+}
+
+// _ids of the segments a lasso ring ([lng, lat][]) touches
+export function segmentIdsInLasso(features, ring) {
+  if (ring.length < 3) return [];
+  const polygon = turf.polygon([[...ring, ring[0]]]);
+  return features
+    .filter((f) => f.geometry?.type === "LineString" && f.properties?._id && turf.booleanIntersects(f, polygon))
+    .map((f) => f.properties._id);
+}
+
+function withMaxStay(regulations, limitMins) {
+  return regulations.map((r) => (r.type === "max_stay" ? { ...r, maxStayMins: limitMins } : r));
+}
+
+// Write a bulk edit to the segments with the given _ids
+export function applyBulkEdit(features, ids, changes, lang = "en") {
+  const selected = new Set(ids);
+  return features.map((f) => {
+    if (!selected.has(f.properties?._id)) return f;
+    const p = { ...f.properties };
+    if ("category" in changes) p.category = changes.category;
+    if ("regulations" in changes) {
+      p.regulations = normalizeRegulations(changes.regulations).map((r) => ({ ...r, id: crypto.randomUUID() }));
+      p.rules = p.regulations.length ? summarizeRegulations(p.regulations, lang) : "";
+      p.limitMins = p.regulations.find((r) => r.type === "max_stay" && r.maxStayMins)?.maxStayMins ?? p.limitMins;
+    }
+    // a time limit also updates the segment's max-stay rules, so the two agree
+    if ("limitMins" in changes) {
+      p.limitMins = changes.limitMins;
+      if (changes.limitMins > 0 && p.regulations?.some((r) => r.type === "max_stay")) {
+        p.regulations = withMaxStay(p.regulations, changes.limitMins);
+        p.rules = summarizeRegulations(p.regulations, lang);
+      }
+    }
+    if ("notes" in changes) p.notes = changes.notes;
+    return { ...f, properties: p };
+  });
+}
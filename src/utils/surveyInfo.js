@@ -0,0 +1,41 @@
+// Report metadata of a survey (title, area, author, ...), saved with the survey
+// and used on the report cover, in the footer and in exported file names.
+import { fileSlug } from "./download";
+
+export const EMPTY_INFO = {
+  title: "",
+  subtitle: "",
+  area: "",
+  author: "",
+  date: "", // ISO yyyy-mm-dd
+  logo: null, // { dataUrl, width, height } (PNG, downscaled)
+};
+
+export function normalizeInfo(info) {
+  const out = { ...EMPTY_INFO };
+  if (!info || typeof info !== "object") return out;
+  for (const key of ["title", "subtitle", "area", "author", "date"]) {
+    if (typeof info[key] === "string") out[key] = info[key];
+  }
+  const logo = info.logo;
+  if (logo?.dataUrl && logo.width > 0 && logo.height > 0) out.logo = { dataUrl: logo.dataUrl, width: logo.width, height: logo.height };
+  return out;
+}
+
+// Report title, falling back to the generic translated title
+export function reportTitle(info, t) {
+  return info?.title?.trim() || t.pdf.title;
+}
+
+// Survey date formatted for the UI language ("" when unset)
+export function formatSurveyDate(info, lang = "en") {
+  if (!info?.date) return "";
+  const d = new Date(`${info.date}T00:00:00`);
+  return Number.isNaN(d.getTime()) ? info.date : d.toLocaleDateString(lang === "de" ? "de-DE" : "en-GB");
+}
+
+// Base file name for exports: title (or project name), area and date
+export function surveyFileBase(info, fallbackName) {
+  const parts = [info?.title?.trim() || fallbackName, info?.area?.trim(), info?.date];
+  return fileSlug(parts.filter(Boolean).join(" "));
+}
@@ -0,0 +1,370 @@
+// Survey persistence (browser IndexedDB)
+// - `meta` store: the project index (list of surveys + active id) and device settings
+// - `surveys` store: one record per survey (features, boundary, categories, report info, points, zones)
+// - `photos` store: segment photos as Blobs, kept apart from the geometry.
+//   Features only reference them: properties.images = [{ photoId, caption }]
+// - `roads` store: OSM road geometry cached per map tile for offline snapping
+// Surveys saved by older versions in localStorage are migrated on first run.
+
+const DB_NAME = "parking-surveyor";
+const DB_VERSION = 2;
+const INDEX_KEY = "projectIndex";
+
+// localStorage keys used before IndexedDB
+const LS_INDEX_KEY = "parking-surveyor-projects-v1";
+const LS_SURVEY_KEY_PREFIX = "parking-surveyor-survey-v1:";
+const LS_LEGACY_KEY = "jena-parking-features-v1";
+
+let dbPromise = null;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === "undefined") {
+        reject(new Error("IndexedDB is not available in this browser"));
+        return;
+      }
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains("meta")) db.createObjectStore("meta");
+        if (!db.objectStoreNames.contains("surveys")) db.createObjectStore("surveys", { keyPath: "id" });
+        if (!db.objectStoreNames.contains("photos")) {
+          const photos = db.createObjectStore("photos", { keyPath: "id" });
+          photos.createIndex("surveyId", "surveyId");
+        }
+        if (!db.objectStoreNames.contains("roads")) db.createObjectStore("roads", { keyPath: "key" });
+      };
+      let blocked = false;
+      req.onsuccess = () => {
+        const db = req.result;
+        // the open was given up on: let go again so other tabs can upgrade
+        if (blocked) { db.close(); return; }
+        // a newer version opened in another tab: close so its upgrade can go ahead
+        db.onversionchange = () => {
+          db.close();
+          dbPromise = null;
+        };
+        resolve(db);
+      };
+      req.onerror = () => reject(req.error);
+      // another tab still has the old version open and keeps the upgrade waiting
+      req.onblocked = () => {
+        blocked = true;
+        reject(new Error("The survey database needs an update. Close this app in other tabs or windows, then reload."));
+      };
+    });
+    // allow a retry after a failed open
+    dbPromise.catch(() => { dbPromise = null; });
+  }
+  return dbPromise;
+}
+
+// Run `action(stores)` inside one transaction; resolves once the transaction
+// has committed, with the result of the IDBRequest the action returned (if any).
+async function transact(storeNames, mode, action) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const names = Array.isArray(storeNames) ? storeNames : [storeNames];
+    const tx = db.transaction(names, mode);
+    const stores = Object.fromEntries(names.map((n) => [n, tx.objectStore(n)]));
+    let result;
+    try {
+      result = action(stores);
+    } catch (err) {
+      try { tx.abort(); } catch { /* already finished */ }
+      reject(err);
+      return;
+    }
+    tx.oncomplete = () => resolve(result instanceof IDBRequest ? result.result : result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error("Transaction aborted"));
+  });
+}
+
+// true for the various ways browsers report a full disk / exhausted quota
+export function isQuotaError(err) {
+  return !!err && (err.name === "QuotaExceededError" || err.name === "NS_ERROR_DOM_QUOTA_REACHED" || err.code === 22);
+}
+
+export function emptySurvey() {
+  return { features: [], boundary: null, categories: null, info: null, points: [], zones: [] };
+}
+
+export function newProjectMeta(name) {
+  const now = new Date().toISOString();
+  return { id: crypto.randomUUID(), name, createdAt: now, updatedAt: now };
+}
+
+/* ---------------------- Photos ---------------------- */
+
+export async function putPhoto(surveyId, blob) {
+  const id = crypto.randomUUID();
+  await transact("photos", "readwrite", ({ photos }) => {
+    photos.put({ id, surveyId, blob, type: blob.type || "image/jpeg", createdAt: new Date().toISOString() });
+  });
+  return id;
+}
+
+export async function getPhoto(photoId) {
+  const rec = await transact("photos", "readonly", ({ photos }) => photos.get(photoId));
+  return rec?.blob ?? null;
+}
+
+function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = reject;
+    reader.readAsDataURL(blob);
+  });
+}
+
+async function dataUrlToBlob(dataUrl) {
+  const res = await fetch(dataUrl);
+  return res.blob();
+}
+
+// Move any inline `dataUrl` photos (imports, legacy data) into the photo store
+export async function ingestImages(surveyId, features) {
+  const out = [];
+  for (const f of features || []) {
+    const images = f?.properties?.images;
+    if (!Array.isArray(images) || !images.some((img) => img?.dataUrl)) {
+      out.push(f);
+      continue;
+    }
+    const next = [];
+    for (const img of images) {
+      if (!img?.dataUrl) { next.push(img); continue; }
+      try {
+        const photoId = await putPhoto(surveyId, await dataUrlToBlob(img.dataUrl));
+        next.push({ photoId, caption: img.caption ?? "" });
+      } catch (err) {
+        if (isQuotaError(err)) throw err;
+        console.warn("Could not store photo", err);
+      }
+    }
+    out.push({ ...f, properties: { ...f.properties, images: next } });
+  }
+  return out;
+}
+
+// Inline stored photos as data URLs (for self-contained exports and reports)
+export async function hydrateImages(features) {
+  const out = [];
+  for (const f of features || []) {
+    const images = f?.properties?.images;
+    if (!Array.isArray(images) || !images.length) {
+      out.push(f);
+      continue;
+    }
+    const next = [];
+    for (const img of images) {
+      if (img?.dataUrl || !img?.photoId) { next.push(img); continue; }
+      const blob = await getPhoto(img.photoId).catch(() => null);
+      if (blob) next.push({ dataUrl: await blobToDataUrl(blob), caption: img.caption ?? "" });
+    }
+    out.push({ ...f, properties: { ...f.properties, images: next } });
+  }
+  return out;
+}
+
+function referencedPhotoIds(features) {
+  const ids = new Set();
+  for (const f of features || []) {
+    for (const img of f?.properties?.images || []) if (img?.photoId) ids.add(img.photoId);
+  }
+  return ids;
+}
+
+// Drop photos of a survey that no feature references any more
+// (e.g. added in a dialog that was then cancelled)
+export async function prunePhotos(surveyId, features) {
+  const keep = referencedPhotoIds(features);
+  await transact("photos", "readwrite", ({ photos }) => {
+    const req = photos.index("surveyId").openCursor(IDBKeyRange.only(surveyId));
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (!cursor) return;
+      if (!keep.has(cursor.value.id)) cursor.delete();
+      cursor.continue();
+    };
+  });
+}
+
+/* ---------------------- Surveys ---------------------- */
+
+export async function saveProjectIndex(index) {
+  await transact("meta", "readwrite", ({ meta }) => { meta.put(index, INDEX_KEY); });
+}
+
+// `data` is the survey-level state ({ features, boundary, categories, ... });
+// it is stored as-is next to its id
+export async function saveSurvey(id, data) {
+  await transact("surveys", "readwrite", ({ surveys }) => {
+    surveys.put({ ...data, id });
+  });
+}
+
+export async function loadSurvey(id) {
+  const rec = await transact("surveys", "readonly", ({ surveys }) => surveys.get(id));
+  if (!rec) return emptySurvey();
+  const { id: _id, ...data } = rec;
+  return {
+    ...data,
+    features: Array.isArray(rec.features) ? rec.features : [],
+    boundary: Array.isArray(rec.boundary) ? rec.boundary : null,
+    categories: Array.isArray(rec.categories) ? rec.categories : null,
+    points: Array.isArray(rec.points) ? rec.points : [],
+    zones: Array.isArray(rec.zones) ? rec.zones : [],
+  };
+}
+
+export async function deleteSurvey(id) {
+  await transact(["surveys", "photos"], "readwrite", ({ surveys, photos }) => {
+    surveys.delete(id);
+    const req = photos.index("surveyId").openCursor(IDBKeyRange.only(id));
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (!cursor) return;
+      cursor.delete();
+      cursor.continue();
+    };
+  });
+}
+
+// Copy a survey and its photos; photo ids are remapped so both copies stay independent
+export async function duplicateSurvey(sourceId, targetId) {
+  const data = await loadSurvey(sourceId);
+  const idMap = new Map();
+  for (const photoId of referencedPhotoIds([...data.features, ...data.points])) {
+    const blob = await getPhoto(photoId);
+    if (blob) idMap.set(photoId, await putPhoto(targetId, blob));
+  }
+  const remap = (f) => {
+    const images = f?.properties?.images;
+    if (!Array.isArray(images) || !images.length) return f;
+    return {
+      ...f,
+      properties: {
+        ...f.properties,
+        images: images.map((img) => (img?.photoId && idMap.has(img.photoId) ? { ...img, photoId: idMap.get(img.photoId) } : img)),
+      },
+    };
+  };
+  await saveSurvey(targetId, { ...data, features: data.features.map(remap), points: data.points.map(remap) });
+}
+
+function readLocalJson(key) {
+  try {
+    const raw = localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : null;
+  } catch {
+    return null;
+  }
+}
+
+// One-time move of localStorage surveys (project slots or the single legacy slot)
+async function migrateFromLocalStorage(defaultName) {
+  const lsIndex = readLocalJson(LS_INDEX_KEY);
+  const legacy = readLocalJson(LS_LEGACY_KEY);
+  if (!lsIndex && !legacy) return null;
+
+  let index;
+  const obsoleteKeys = [LS_INDEX_KEY, LS_LEGACY_KEY];
+  if (lsIndex && Array.isArray(lsIndex.projects) && lsIndex.projects.length) {
+    index = { activeId: lsIndex.activeId, projects: lsIndex.projects };
+    for (const p of lsIndex.projects) {
+      const key = `${LS_SURVEY_KEY_PREFIX}${p.id}`;
+      const data = readLocalJson(key);
+      obsoleteKeys.push(key);
+      if (!data) continue;
+      await saveSurvey(p.id, { ...data, features: await ingestImages(p.id, data.features) });
+    }
+  } else {
+    const first = newProjectMeta(defaultName);
+    index = { activeId: first.id, projects: [first] };
+    await saveSurvey(first.id, { ...legacy, features: await ingestImages(first.id, legacy.features) });
+  }
+  await saveProjectIndex(index);
+  for (const key of obsoleteKeys) {
+    try { localStorage.removeItem(key); } catch { /* ignore */ }
+  }
+  return index;
+}
+
+// Read the project index, migrating older localStorage data or creating a first survey
+export async function loadProjectIndex(defaultName = "Survey 1") {
+  const index = await transact("meta", "readonly", ({ meta }) => meta.get(INDEX_KEY));
+  if (index && Array.isArray(index.projects) && index.projects.length) {
+    const activeId = index.projects.some((p) => p.id === index.activeId) ? index.activeId : index.projects[0].id;
+    return { ...index, activeId };
+  }
+
+  const migrated = await migrateFromLocalStorage(defaultName);
+  if (migrated) return migrated;
+
+  const first = newProjectMeta(defaultName);
+  const created = { activeId: first.id, projects: [first] };
+  await saveSurvey(first.id, emptySurvey());
+  await saveProjectIndex(created);
+  return created;
+}
+
+/* ---------------------- Device settings ---------------------- */
+
+// Settings that belong to this device rather than a survey (e.g. road data source)
+export async function loadSetting(key) {
+  return transact("meta", "readonly", ({ meta }) => meta.get(`setting:${key}`));
+}
+
+export async function saveSetting(key, value) {
+  await transact("meta", "readwrite", ({ meta }) => {
+    if (value == null) meta.delete(`setting:${key}`);
+    else meta.put(value, `setting:${key}`);
+  });
+}
+
+/* ---------------------- Road cache ---------------------- */
+
+// Cached road tiles by key -> Map key -> { key, fetchedAt, ways }
+export async function getRoadTiles(keys) {
+  const found = new Map();
+  await transact("roads", "readonly", ({ roads }) => {
+    for (const key of keys) {
+      const req = roads.get(key);
+      req.onsuccess = () => { if (req.result) found.set(key, req.result); };
+    }
+  });
+  return found;
+}
+
+export async function putRoadTiles(records) {
+  await transact("roads", "readwrite", ({ roads }) => {
+    for (const rec of records) roads.put(rec);
+  });
+}
+
+/* ---------------------- Storage usage ---------------------- */
+
+// { usage, quota } in bytes, or null when the browser cannot tell
+export async function getStorageEstimate() {
+  try {
+    if (!navigator.storage?.estimate) return null;
+    const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+    return quota > 0 ? { usage, quota } : null;
+  } catch {
+    return null;
+  }
+}
+
+// Ask the browser not to evict our data under storage pressure (best-effort)
+export async function requestPersistentStorage() {
+  try {
+    if (navigator.storage?.persisted && (await navigator.storage.persisted())) return true;
+    return (await navigator.storage?.persist?.()) ?? false;
+  } catch {
+    return false;
+  }
+}
@@ -0,0 +1,80 @@
+// Named study zones inside a survey (e.g. permit zones A/B/C)
+// zones = [{ id, name, color, ring: [[lat, lng], ...] }] — open rings in the
+// same [lat, lng] order as the study boundary.
+// A segment belongs to the first zone containing its midpoint.
+import * as turf from "@turf/turf";
+import { sumByCategory } from "./categories";
+
+export const ZONE_COLORS = ["#7c3aed", "#db2777", "#0891b2", "#ca8a04", "#16a34a", "#ea580c"];
+
+// New zone named after the next free letter ("Zone A", "Zone B", …)
+export function makeZone(ring, zones = []) {
+  const taken = new Set(zones.map((z) => z.name));
+  let i = zones.length;
+  while (taken.has(`Zone ${zoneLetter(i)}`)) i++;
+  return { id: crypto.randomUUID(), name: `Zone ${zoneLetter(i)}`, color: ZONE_COLORS[zones.length % ZONE_COLORS.length], ring };
+}
+
+function zoneLetter(i) {
+  return i < 26 ? String.fromCharCode(65 + i) : String(i + 1);
+}
+
+const HEX_RE = /^#[0-9a-f]{6}$/i;
+
+export function normalizeZones(zones) {
+  if (!Array.isArray(zones)) return [];
+  return zones
+    .filter((z) => Array.isArray(z?.ring) && z.ring.length >= 3)
+    .map((z, i) => ({
+      id: typeof z.id === "string" && z.id ? z.id : crypto.randomUUID(),
+      name: typeof z.name === "string" && z.name.trim() ? z.name : `Zone ${zoneLetter(i)}`,
+      color: HEX_RE.test(z.color ?? "") ? z.color : ZONE_COLORS[i % ZONE_COLORS.length],
+      ring: z.ring,
+    }));
+}
+
+function zonePolygon(zone) {
+  const ring = zone.ring.map(([lat, lng]) => [lng, lat]);
+  return turf.polygon([[...ring, ring[0]]]);
+}
+
+function midpoint(feature) {
+  const line = turf.lineString(feature.geometry.coordinates);
+  return turf.along(line, turf.length(line) / 2);
+}
+
+/** Map of segment _id -> zone id (segments outside every zone are left out) */
+export function zoneIdsBySegment(features, zones) {
+  const out = new Map();
+  if (!zones?.length) return out;
+  const polygons = zones.map((z) => [z.id, zonePolygon(z)]);
+  for (const f of features) {
+    if (f?.geometry?.type !== "LineString" || f.geometry.coordinates.length < 2 || !f.properties?._id) continue;
+    const mid = midpoint(f);
+    const hit = polygons.find(([, polygon]) => turf.booleanPointInPolygon(mid, polygon));
+    if (hit) out.set(f.properties._id, hit[0]);
+  }
+  return out;
+}
+
+/**
+ * Totals per zone: [{ zone, segments, length_m, spaces }] plus a last entry with
+ * zone null for segments outside every zone (only when there are any).
+ * `spaces` is sumByCategory's { byId, capacity } for the zone's segments.
+ */
+export function sumByZone(features, zones, categories) {
+  const zoneOf = zoneIdsBySegment(features, zones);
+  const groups = [...zones.map((z) => [z, []]), [null, []]];
+  for (const f of features) {
+    const id = zoneOf.get(f.properties?._id) ?? null;
+    groups.find(([z]) => (z?.id ?? null) === id)[1].push(f);
+  }
+  return groups
+    .filter(([z, list]) => z || list.length)
+    .map(([zone, list]) => ({
+      zone,
+      segments: list.length,
+      length_m: list.reduce((n, f) => n + (Number(f.properties?.length_m) || 0), 0),
+      spaces: sumByCategory(list, categories),
+    }));
+}